@@ -1,14 +1,48 @@
-import React, { useState } from 'react';
-import { findShortestPath, detectCycle } from '../utils/graphAlgorithms';
+import React, { useEffect, useMemo, useState } from 'react';
+import { findAncestors } from '../utils/graphAlgorithms';
+import { createHighlightLayer } from '../utils/graphHighlights';
+import {
+  traceShortestPath,
+  traceDepthFirst,
+  traceCycleDetection,
+  traceTopologicalSort,
+  traceStepLayers
+} from '../utils/algorithmTraces';
+import { useTracePlayback, PLAYBACK_SPEEDS } from '../hooks/useTracePlayback';
+
+// How the items of each kind of data structure are listed
+const STRUCTURE_ORDER = {
+  queue: 'front → back',
+  stack: 'bottom → top',
+  set: 'in the order added',
+  list: 'in order'
+};
+const MAX_SHOWN_ITEMS = 40;
 
 /**
  * AlgorithmVisualizer Component - Demonstrates graph algorithms
+ * Results are shown on the graph through `onPathHighlight(path, options)`
+ * (one path or visit order) and `onHighlightLayers(layers)` (several sets).
+ * BFS, DFS, cycle detection and topological sort run as traces that play
+ * step by step, on the graph and as queue/stack/set contents.
  */
-export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
+export default function AlgorithmVisualizer({ graphData, onPathHighlight, onHighlightLayers }) {
   const [selectedAlgorithm, setSelectedAlgorithm] = useState('');
   const [startNode, setStartNode] = useState('');
   const [endNode, setEndNode] = useState('');
   const [result, setResult] = useState(null);
+  const [trace, setTrace] = useState(null);
+  const playback = useTracePlayback(trace);
+
+  const hashes = useMemo(() => new Map(graphData.nodes.map(node => [node.id, node.hash])), [graphData.nodes]);
+  const shortHash = (id) => hashes.get(id) ?? id.slice(0, 7);
+
+  // Draw the step being shown on the graph
+  useEffect(() => {
+    if (trace && playback.step && onHighlightLayers) {
+      onHighlightLayers(traceStepLayers(playback.step, trace.display));
+    }
+  }, [trace, playback.step, onHighlightLayers]);
 
   const runBFS = () => {
     if (!startNode || !endNode) {
@@ -16,8 +50,10 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
       return;
     }
 
-    const path = findShortestPath(startNode, endNode, graphData.edges);
-    
+    const traced = traceShortestPath(startNode, endNode, graphData.edges, { name: shortHash });
+    const path = traced.result;
+    setTrace({ ...traced, display: { resultLabel: 'Path', frontierLabel: 'Queue' } });
+
     if (path) {
       setResult({
         algorithm: 'Breadth-First Search (BFS)',
@@ -26,7 +62,7 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
         path: path,
         pathLength: path.length - 1
       });
-      onPathHighlight && onPathHighlight(path);
+      onPathHighlight && onPathHighlight(path, { label: 'Shortest path' });
     } else {
       setResult({
         error: 'No path found between the selected commits'
@@ -35,8 +71,10 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
   };
 
   const runCycleDetection = () => {
-    const hasCycle = detectCycle(graphData.nodes, graphData.edges);
-    
+    const traced = traceCycleDetection(graphData.nodes, graphData.edges, { name: shortHash });
+    const hasCycle = traced.result;
+    setTrace({ ...traced, display: { resultLabel: 'Cycle', frontierLabel: 'Current path' } });
+
     setResult({
       algorithm: 'Cycle Detection (DFS)',
       description: 'Detects if there are any cycles in the commit graph',
@@ -54,25 +92,10 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
       return;
     }
 
-    // Simple DFS traversal from start node
-    const visited = [];
-    const stack = [startNode];
-    const visitedSet = new Set();
-
-    while (stack.length > 0) {
-      const current = stack.pop();
-      if (visitedSet.has(current)) continue;
-      
-      visitedSet.add(current);
-      visited.push(current);
-
-      // Add children to stack
-      graphData.edges.forEach(edge => {
-        if (edge.from === current && !visitedSet.has(edge.to)) {
-          stack.push(edge.to);
-        }
-      });
-    }
+    // DFS traversal from start node, following parents
+    const traced = traceDepthFirst(startNode, graphData.edges, { name: shortHash });
+    const visited = traced.result;
+    setTrace({ ...traced, display: { resultKind: 'set', resultLabel: 'Visit order', frontierLabel: 'Stack' } });
 
     setResult({
       algorithm: 'Depth-First Search (DFS)',
@@ -81,15 +104,57 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
       visited: visited,
       visitedCount: visited.length
     });
-    onPathHighlight && onPathHighlight(visited);
+    onPathHighlight && onPathHighlight(visited, { kind: 'set', label: 'DFS visit order' });
+  };
+
+  const runTopologicalSort = () => {
+    const traced = traceTopologicalSort(graphData.nodes, graphData.edges, { name: shortHash });
+    setTrace({ ...traced, display: { resultKind: 'set', resultLabel: 'Sorted', frontierLabel: 'Queue' } });
+    setResult({
+      algorithm: "Topological Sort (Kahn's Algorithm)",
+      description: 'Orders the commits so every commit comes before its parents',
+      complexity: 'Time: O(V + E), Space: O(V)',
+      order: traced.result
+    });
+  };
+
+  // What each of two commits contains: both ancestor sets, overlapping
+  // in their common history
+  const runAncestors = () => {
+    if (!startNode || !endNode) {
+      setResult({ error: 'Please select both commits' });
+      return;
+    }
+
+    setTrace(null);
+    const first = findAncestors(startNode, graphData.edges);
+    const second = findAncestors(endNode, graphData.edges);
+    const inSecond = new Set(second);
+    const shared = first.filter(id => inSecond.has(id)).length;
+    setResult({
+      algorithm: 'Ancestor Sets (BFS)',
+      description: 'Collects every commit reachable through parents from each of the two commits',
+      complexity: 'Time: O(V + E), Space: O(V)',
+      ancestors: {
+        first: { hash: shortHash(startNode), count: first.length },
+        second: { hash: shortHash(endNode), count: second.length },
+        shared
+      }
+    });
+    onHighlightLayers && onHighlightLayers([
+      createHighlightLayer(first, { kind: 'set', label: `Ancestors of ${shortHash(startNode)}`, numbered: false }),
+      createHighlightLayer(second, { kind: 'set', label: `Ancestors of ${shortHash(endNode)}`, numbered: false })
+    ]);
   };
 
   const clearResults = () => {
     setResult(null);
+    setTrace(null);
     setSelectedAlgorithm('');
     setStartNode('');
     setEndNode('');
     onPathHighlight && onPathHighlight([]);
+    onHighlightLayers && onHighlightLayers([]);
   };
 
   return (
@@ -112,6 +177,18 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
           >
             DFS (Traversal)
           </button>
+          <button
+            className={`btn-algorithm ${selectedAlgorithm === 'ancestors' ? 'active' : ''}`}
+            onClick={() => setSelectedAlgorithm('ancestors')}
+          >
+            Ancestor Sets
+          </button>
+          <button
+            className={`btn-algorithm ${selectedAlgorithm === 'topo' ? 'active' : ''}`}
+            onClick={() => setSelectedAlgorithm('topo')}
+          >
+            Topological Sort
+          </button>
           <button
             className={`btn-algorithm ${selectedAlgorithm === 'cycle' ? 'active' : ''}`}
             onClick={() => setSelectedAlgorithm('cycle')}
@@ -122,7 +199,7 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
       </div>
 
       {/* Algorithm Parameters */}
-      {selectedAlgorithm && selectedAlgorithm !== 'cycle' && (
+      {selectedAlgorithm && selectedAlgorithm !== 'cycle' && selectedAlgorithm !== 'topo' && (
         <div className="algorithm-params">
           <div className="param-group">
             <label>Start Commit:</label>
@@ -139,9 +216,9 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
             </select>
           </div>
 
-          {selectedAlgorithm === 'bfs' && (
+          {(selectedAlgorithm === 'bfs' || selectedAlgorithm === 'ancestors') && (
             <div className="param-group">
-              <label>End Commit:</label>
+              <label>{selectedAlgorithm === 'bfs' ? 'End Commit:' : 'Second Commit:'}</label>
               <select 
                 value={endNode} 
                 onChange={(e) => setEndNode(e.target.value)}
@@ -166,6 +243,8 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
             onClick={() => {
               if (selectedAlgorithm === 'bfs') runBFS();
               else if (selectedAlgorithm === 'dfs') runDFS();
+              else if (selectedAlgorithm === 'ancestors') runAncestors();
+              else if (selectedAlgorithm === 'topo') runTopologicalSort();
               else if (selectedAlgorithm === 'cycle') runCycleDetection();
             }}
           >
@@ -233,6 +312,34 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
                 </div>
               )}
 
+              {/* Topological Sort Results */}
+              {result.order && (
+                <div className="result-section">
+                  <strong>Order (newest first):</strong>
+                  <div className="visited-display">
+                    {result.order.map((nodeId, index) => (
+                      <span key={nodeId} className="visited-node">
+                        {shortHash(nodeId)}
+                        {index < result.order.length - 1 && ', '}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Ancestor Set Results */}
+              {result.ancestors && (
+                <div className="result-section">
+                  <p>
+                    <strong>{result.ancestors.first.hash}:</strong> {result.ancestors.first.count} commits
+                  </p>
+                  <p>
+                    <strong>{result.ancestors.second.hash}:</strong> {result.ancestors.second.count} commits
+                  </p>
+                  <p><strong>In both:</strong> {result.ancestors.shared} commits</p>
+                </div>
+              )}
+
               {/* Cycle Detection Results */}
               {result.message && (
                 <div className={`result-section ${result.hasCycle ? 'warning' : 'success'}`}>
@@ -244,6 +351,85 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
         </div>
       )}
 
+      {/* Step-by-step playback of the last run */}
+      {trace && playback.step && (
+        <div className="trace-player">
+          <div className="scenario-progress">
+            <span>Step {playback.position + 1} of {playback.stepCount}</span>
+            <input
+              type="range"
+              min={0}
+              max={playback.stepCount - 1}
+              value={playback.position}
+              onChange={(e) => playback.goTo(Number(e.target.value))}
+              aria-label="Step"
+            />
+          </div>
+          {trace.truncated && (
+            <p className="trace-note">Only the first {playback.stepCount} steps are recorded.</p>
+          )}
+
+          <div className="scenario-controls">
+            <button
+              className="btn-secondary btn-small"
+              onClick={() => playback.goTo(0)}
+              disabled={playback.position === 0}
+              title="First step"
+            >
+              ⏮
+            </button>
+            <button className="btn-secondary btn-small" onClick={playback.stepBack} disabled={playback.position === 0}>
+              ◀ Step
+            </button>
+            <button className="btn-primary btn-small" onClick={playback.togglePlaying}>
+              {playback.playing ? '⏸ Pause' : '▶ Play'}
+            </button>
+            <button
+              className="btn-secondary btn-small"
+              onClick={playback.stepForward}
+              disabled={playback.position === playback.stepCount - 1}
+            >
+              Step ▶
+            </button>
+            <select
+              value={playback.speed}
+              onChange={(e) => playback.setSpeed(Number(e.target.value))}
+              aria-label="Steps per second"
+            >
+              {PLAYBACK_SPEEDS.map(speed => (
+                <option key={speed} value={speed}>{speed} step{speed === 1 ? '' : 's'}/s</option>
+              ))}
+            </select>
+          </div>
+
+          <p className={`trace-message trace-${playback.step.action}`}>{playback.step.message}</p>
+
+          <div className="trace-structures">
+            {playback.step.structures.map(structure => (
+              <div key={structure.name} className="trace-structure">
+                <div className="trace-structure-name">
+                  <strong>{structure.name}</strong> <span>{STRUCTURE_ORDER[structure.kind]}</span>
+                </div>
+                <div className="visited-display">
+                  {structure.items.length === 0 && <em>empty</em>}
+                  {structure.items.slice(0, MAX_SHOWN_ITEMS).map((nodeId, index) => (
+                    <span
+                      key={`${nodeId}-${index}`}
+                      className={`visited-node ${nodeId === playback.step.node ? 'trace-current' : ''}`}
+                    >
+                      {shortHash(nodeId)}
+                    </span>
+                  ))}
+                  {structure.items.length > MAX_SHOWN_ITEMS && (
+                    <span> … {structure.items.length - MAX_SHOWN_ITEMS} more</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Algorithm Explanations */}
       <div className="algorithm-explanations">
         <h4>📖 Algorithm Explanations</h4>
@@ -255,6 +441,14 @@ export default function AlgorithmVisualizer({ graphData, onPathHighlight }) {
           <strong>DFS (Depth-First Search):</strong>
           <p>Explores as far as possible along each branch before backtracking. Uses a stack data structure (or recursion).</p>
         </div>
+        <div className="explanation-item">
+          <strong>Ancestor Sets:</strong>
+          <p>Everything reachable from a commit through its parents - the history that commit contains. Where the sets of two branches overlap is their shared history.</p>
+        </div>
+        <div className="explanation-item">
+          <strong>Topological Sort:</strong>
+          <p>Kahn's algorithm repeatedly takes a commit no other commit points to, then removes its edges. Reversed, the order lists every commit before its parents, like git log.</p>
+        </div>
         <div className="explanation-item">
           <strong>Cycle Detection:</strong>
           <p>Uses DFS with color marking to detect cycles. Git commit graphs should always be acyclic (DAG - Directed Acyclic Graph).</p>
@@ -1,17 +1,33 @@
 import React, { useState } from 'react';
 
+const RESET_MODES = {
+  soft: 'Move the branch only - index and working directory are kept',
+  mixed: 'Move the branch and reset the index - working directory is kept',
+  hard: 'Move the branch, index and working directory - local changes are lost'
+};
+
 /**
  * BranchManager Component - Manage Git branches
  */
 export default function BranchManager({ 
   branches, 
   currentBranch, 
+  detachedHead,
   onCheckout, 
-  onCreateBranch 
+  onCreateBranch,
+  onMerge,
+  onDeleteBranch,
+  onRenameBranch,
+  onForceBranch,
+  onReset,
+  onPreviewUnreachable
 }) {
   const [newBranchName, setNewBranchName] = useState('');
   const [showCreateForm, setShowCreateForm] = useState(false);
   const [error, setError] = useState('');
+  const [mergeResult, setMergeResult] = useState(null);
+  // Operation awaiting confirmation: { type, branchName, value, mode }
+  const [pending, setPending] = useState(null);
 
   const handleCreateBranch = (e) => {
     e.preventDefault();
@@ -47,9 +63,106 @@ export default function BranchManager({
       return; // Already on this branch
     }
     
-    const success = onCheckout(branchName);
-    if (!success) {
-      setError(`Failed to checkout branch: ${branchName}`);
+    const result = onCheckout(branchName);
+    setError(result.success ? '' : result.error);
+  };
+
+  const handleMerge = (e, branchName) => {
+    e.stopPropagation(); // Don't trigger checkout
+    setError('');
+
+    const result = onMerge(branchName);
+    if (!result) return;
+    if (result.status === 'error') {
+      setError(result.error);
+      setMergeResult(null);
+      return;
+    }
+    setMergeResult({ branchName, ...result });
+  };
+
+  const startAction = (e, type, branchName = null) => {
+    e.stopPropagation(); // Don't trigger checkout
+    setError('');
+    setPending({
+      type,
+      branchName,
+      value: type === 'rename' ? branchName : type === 'reset' ? 'HEAD' : '',
+      mode: 'mixed'
+    });
+  };
+
+  // Ref changes the pending operation would make, for the preview
+  const pendingChanges = () => {
+    if (!pending || (pending.type !== 'delete' && !pending.value.trim())) return null;
+    const target = pending.value.trim();
+    switch (pending.type) {
+      case 'delete':
+        return { refs: { [`refs/heads/${pending.branchName}`]: null } };
+      case 'force':
+        return { refs: { [`refs/heads/${pending.branchName}`]: target } };
+      case 'reset':
+        return currentBranch
+          ? { head: target, refs: { [`refs/heads/${currentBranch}`]: target } }
+          : { head: target };
+      default:
+        return { refs: {} };
+    }
+  };
+
+  const changes = pendingChanges();
+  const unreachable = changes && onPreviewUnreachable ? onPreviewUnreachable(changes) : [];
+
+  const pendingCommand = () => {
+    const value = pending.value.trim() || '<target>';
+    switch (pending.type) {
+      case 'delete':
+        return `git branch ${unreachable.length > 0 ? '-D' : '-d'} ${pending.branchName}`;
+      case 'rename':
+        return `git branch -m ${pending.branchName} ${value}`;
+      case 'force':
+        return `git branch -f ${pending.branchName} ${value}`;
+      default:
+        return `git reset --${pending.mode} ${value}`;
+    }
+  };
+
+  const handleConfirm = () => {
+    const value = pending.value.trim();
+    let result;
+    switch (pending.type) {
+      case 'delete':
+        // The preview already warned about unmerged commits
+        result = onDeleteBranch(pending.branchName, { force: unreachable.length > 0 });
+        break;
+      case 'rename':
+        result = onRenameBranch(pending.branchName, value);
+        break;
+      case 'force':
+        result = onForceBranch(pending.branchName, value);
+        break;
+      default:
+        result = onReset(value, pending.mode);
+    }
+
+    if (result.success) {
+      setPending(null);
+      setError('');
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const mergeSummary = (result) => {
+    switch (result.status) {
+      case 'up-to-date':
+        return 'Already up to date.';
+      case 'fast-forward':
+        return `Fast-forward to ${result.commit.hash.slice(0, 7)}`;
+      case 'merge':
+        return `Merge made by the 'ort' strategy: ${result.commit.hash.slice(0, 7)}`;
+      default:
+        return `Automatic merge failed with ${result.conflicts.length} conflict(s)`;
     }
   };
 
@@ -82,6 +195,17 @@ export default function BranchManager({
 
       {/* Branch List */}
       <div className="branch-list">
+        {detachedHead && (
+          <div className="branch-item active detached">
+            <div className="branch-info">
+              <div className="branch-name">
+                <span className="current-indicator">→ </span>
+                <strong>(HEAD detached at {detachedHead.slice(0, 7)})</strong>
+              </div>
+            </div>
+            <span className="badge badge-primary">HEAD</span>
+          </div>
+        )}
         {Object.keys(branches).length === 0 ? (
           <p className="empty-message">No branches yet</p>
         ) : (
@@ -98,14 +222,131 @@ export default function BranchManager({
                 </div>
                 <code className="branch-commit">{commitHash.slice(0, 7)}</code>
               </div>
-              {branchName === currentBranch && (
-                <span className="badge badge-primary">HEAD</span>
-              )}
+              <div className="branch-actions">
+                {branchName === currentBranch ? (
+                  <span className="badge badge-primary">HEAD</span>
+                ) : onMerge && (
+                  <button
+                    className="btn-secondary btn-small"
+                    onClick={(e) => handleMerge(e, branchName)}
+                    title={`Merge ${branchName} into ${currentBranch}`}
+                  >
+                    Merge
+                  </button>
+                )}
+                {onRenameBranch && (
+                  <button
+                    className="btn-secondary btn-small"
+                    onClick={(e) => startAction(e, 'rename', branchName)}
+                    title={`Rename ${branchName}`}
+                  >
+                    ✎
+                  </button>
+                )}
+                {onForceBranch && branchName !== currentBranch && (
+                  <button
+                    className="btn-secondary btn-small"
+                    onClick={(e) => startAction(e, 'force', branchName)}
+                    title={`Move ${branchName} to another commit (git branch -f)`}
+                  >
+                    ↦
+                  </button>
+                )}
+                {onDeleteBranch && branchName !== currentBranch && (
+                  <button
+                    className="btn-danger btn-small"
+                    onClick={(e) => startAction(e, 'delete', branchName)}
+                    title={`Delete ${branchName}`}
+                  >
+                    ×
+                  </button>
+                )}
+              </div>
             </div>
           ))
         )}
       </div>
 
+      {onReset && !pending && (
+        <button className="btn-secondary btn-small" onClick={(e) => startAction(e, 'reset')}>
+          Reset HEAD…
+        </button>
+      )}
+
+      {/* Confirmation step with a preview of commits that become unreachable */}
+      {pending && (
+        <div className="branch-confirm">
+          <code className="branch-confirm-command">{pendingCommand()}</code>
+
+          {pending.type !== 'delete' && (
+            <input
+              type="text"
+              value={pending.value}
+              onChange={(e) => setPending({ ...pending, value: e.target.value })}
+              placeholder={pending.type === 'rename' ? 'New branch name' : 'Commit, branch or tag'}
+              autoFocus
+            />
+          )}
+
+          {pending.type === 'reset' && (
+            <>
+              <select
+                value={pending.mode}
+                onChange={(e) => setPending({ ...pending, mode: e.target.value })}
+              >
+                {Object.keys(RESET_MODES).map(mode => (
+                  <option key={mode} value={mode}>--{mode}</option>
+                ))}
+              </select>
+              <p className="branch-confirm-hint">{RESET_MODES[pending.mode]}</p>
+            </>
+          )}
+
+          {unreachable.length > 0 ? (
+            <div className="merge-result warning">
+              {pending.type === 'delete' && <p>The branch '{pending.branchName}' is not fully merged.</p>}
+              <p>
+                {unreachable.length} commit{unreachable.length > 1 ? 's' : ''} would become unreachable
+                (only the reflog would remember them):
+              </p>
+              <ul className="conflict-list">
+                {unreachable.map(hash => <li key={hash}><code>{hash.slice(0, 7)}</code></li>)}
+              </ul>
+            </div>
+          ) : (
+            <p className="branch-confirm-hint">No commits become unreachable.</p>
+          )}
+
+          <div className="algorithm-actions">
+            <button
+              className={`${unreachable.length > 0 || pending.mode === 'hard' ? 'btn-danger' : 'btn-success'} btn-small`}
+              onClick={handleConfirm}
+            >
+              {unreachable.length > 0 && pending.type === 'delete' ? 'Force delete' : 'Confirm'}
+            </button>
+            <button className="btn-secondary btn-small" onClick={() => setPending(null)}>Cancel</button>
+          </div>
+          {error && <div className="error-message">{error}</div>}
+        </div>
+      )}
+
+      {/* Merge Result */}
+      {mergeResult && (
+        <div className={`merge-result ${mergeResult.status === 'conflict' ? 'warning' : 'success'}`}>
+          <strong>git merge {mergeResult.branchName}</strong>
+          <p>{mergeSummary(mergeResult)}</p>
+          {mergeResult.conflicts.length > 0 && (
+            <ul className="conflict-list">
+              {mergeResult.conflicts.map(conflict => (
+                <li key={conflict.path}>
+                  CONFLICT ({conflict.kind}): <code>{conflict.path}</code>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* Branch Operations Info */}
       <div className="branch-info-box">
         <h4>💡 Branch Operations</h4>
@@ -113,6 +354,10 @@ export default function BranchManager({
           <li>Click on a branch to <strong>checkout</strong></li>
           <li>Create new branches from current HEAD</li>
           <li>Branches are pointers to commits</li>
+          <li>Checking out a commit that is not a branch tip <strong>detaches HEAD</strong></li>
+          <li><strong>Merge</strong> another branch into HEAD (fast-forward when possible)</li>
+          <li><strong>Delete</strong>, <strong>rename</strong> (✎) or <strong>move</strong> (↦) a branch - only the ref changes</li>
+          <li><strong>Reset</strong> moves HEAD's branch; --soft, --mixed and --hard also differ in what they do to the index and working tree</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { DEFAULT_AUTHOR } from '../utils/gitCommands';
+
+const STATUS_LABELS = {
+  added: 'A',
+  modified: 'M',
+  deleted: 'D',
+  untracked: '??'
+};
+
+/**
+ * CommitCreator Component - Edit the working directory, stage changes and commit the index
+ * Demonstrates: Git's three areas (working directory -> index -> repository)
+ */
+export default function CommitCreator({
+  workingState,
+  currentBranch,
+  onWriteFile,
+  onDeleteFile,
+  onStageFile,
+  onStageAll,
+  onUnstageFile,
+  onCommit
+}) {
+  const [editingPath, setEditingPath] = useState('');
+  const [editingContent, setEditingContent] = useState('');
+  const [isNewFile, setIsNewFile] = useState(false);
+  const [message, setMessage] = useState('');
+  const [author, setAuthor] = useState(DEFAULT_AUTHOR);
+  const [error, setError] = useState('');
+
+  const { files, status } = workingState;
+  const hasStagedChanges = status.staged.length > 0;
+
+  // Report the result of a working directory operation
+  const run = (result) => {
+    setError(result && !result.success ? result.error : '');
+    return result && result.success;
+  };
+
+  const openFile = (file) => {
+    setEditingPath(file.path);
+    setEditingContent(typeof file.content === 'string' ? file.content : '');
+    setIsNewFile(false);
+    setError('');
+  };
+
+  const startNewFile = () => {
+    setEditingPath('');
+    setEditingContent('');
+    setIsNewFile(true);
+    setError('');
+  };
+
+  const closeEditor = () => {
+    setEditingPath('');
+    setEditingContent('');
+    setIsNewFile(false);
+  };
+
+  const handleSave = () => {
+    if (!editingPath.trim()) {
+      setError('File name cannot be empty');
+      return;
+    }
+    if (run(onWriteFile(editingPath.trim(), editingContent))) {
+      closeEditor();
+    }
+  };
+
+  const handleDelete = () => {
+    if (run(onDeleteFile(editingPath))) {
+      closeEditor();
+    }
+  };
+
+  const handleCommit = (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!message.trim()) {
+      setError('Commit message cannot be empty');
+      return;
+    }
+    if (!hasStagedChanges) {
+      setError('Nothing staged - add changes to the index first');
+      return;
+    }
+
+    if (run(onCommit(message.trim(), author.trim()))) {
+      setMessage('');
+    }
+  };
+
+  const renderChange = (change, staged) => (
+    <li key={`${staged ? 'staged' : 'unstaged'}-${change.path}`} className={`change-item ${change.status}`}>
+      <span className="change-status">{STATUS_LABELS[change.status]}</span>
+      <span className="change-path">{change.path}</span>
+      <button
+        className="btn-secondary btn-small"
+        onClick={() => run(staged ? onUnstageFile(change.path) : onStageFile(change.path))}
+      >
+        {staged ? 'Unstage' : 'Stage'}
+      </button>
+    </li>
+  );
+
+  return (
+    <div className="commit-creator">
+      <div className="commit-creator-header">
+        <h3>Create Commit</h3>
+        <span className="badge badge-primary">{currentBranch}</span>
+      </div>
+
+      {/* Working Directory */}
+      <div className="working-directory">
+        <div className="files-header">
+          <h4>Working Directory</h4>
+          <button className="btn-primary btn-small" onClick={startNewFile}>+ New File</button>
+        </div>
+
+        {files.length === 0 ? (
+          <p className="empty-message">No files yet</p>
+        ) : (
+          <ul className="working-file-list">
+            {files.map(file => (
+              <li
+                key={file.path}
+                className={`working-file ${file.path === editingPath ? 'active' : ''}`}
+                onClick={() => openFile(file)}
+              >
+                📄 {file.path}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {(editingPath || isNewFile) && (
+          <div className="file-input-group">
+            <div className="file-inputs">
+              <input
+                type="text"
+                className="file-name-input"
+                value={editingPath}
+                onChange={(e) => setEditingPath(e.target.value)}
+                placeholder="path/to/file.js"
+                disabled={!isNewFile}
+              />
+              <textarea
+                className="file-content-input"
+                rows={6}
+                value={editingContent}
+                onChange={(e) => setEditingContent(e.target.value)}
+              />
+            </div>
+            <div className="algorithm-actions">
+              <button className="btn-success btn-small" onClick={handleSave}>Save</button>
+              {!isNewFile && (
+                <button className="btn-danger btn-small" onClick={handleDelete}>Delete</button>
+              )}
+              <button className="btn-secondary btn-small" onClick={closeEditor}>Close</button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* git status */}
+      <div className="git-status">
+        <div className="files-header">
+          <h4>Changes</h4>
+          <button
+            className="btn-secondary btn-small"
+            onClick={() => run(onStageAll())}
+            disabled={status.unstaged.length === 0 && status.untracked.length === 0}
+          >
+            Stage All
+          </button>
+        </div>
+
+        <label>Changes to be committed:</label>
+        {hasStagedChanges ? (
+          <ul className="change-list">{status.staged.map(change => renderChange(change, true))}</ul>
+        ) : (
+          <p className="empty-message">Nothing staged</p>
+        )}
+
+        <label>Changes not staged for commit:</label>
+        {status.unstaged.length > 0 ? (
+          <ul className="change-list">{status.unstaged.map(change => renderChange(change, false))}</ul>
+        ) : (
+          <p className="empty-message">Working tree matches the index</p>
+        )}
+
+        {status.untracked.length > 0 && (
+          <>
+            <label>Untracked files:</label>
+            <ul className="change-list">
+              {status.untracked.map(path => renderChange({ path, status: 'untracked' }, false))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      {/* Commit Form */}
+      <form className="commit-form" onSubmit={handleCommit}>
+        <div className="form-info">
+          Commits the <strong>index</strong> - unstaged changes stay in the working directory.
+        </div>
+
+        <div className="form-group">
+          <label>Message:</label>
+          <textarea
+            rows={3}
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Describe your changes..."
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Author:</label>
+          <input
+            type="text"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            placeholder="Name <email@example.com>"
+          />
+        </div>
+
+        <button type="submit" className="btn-success btn-large" disabled={!hasStagedChanges}>
+          Commit {status.staged.length > 0 && `(${status.staged.length} file${status.staged.length > 1 ? 's' : ''})`}
+        </button>
+        {error && <div className="error-message">{error}</div>}
+      </form>
+
+      <div className="help-text">
+        <strong>💡 How Git records changes</strong>
+        <ul>
+          <li>Edit files in the <strong>working directory</strong></li>
+          <li><strong>Stage</strong> them to copy the content into the index</li>
+          <li><strong>Commit</strong> turns the index into a tree snapshot</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
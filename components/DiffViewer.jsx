@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { formatUnifiedDiff, toSideBySide } from '../utils/diffAlgorithms';
+
+const STATUS_LABELS = {
+  added: 'A',
+  deleted: 'D',
+  modified: 'M',
+  renamed: 'R'
+};
+
+/**
+ * Strip the trailing newline kept on each diff line for display
+ */
+const lineText = (op) => (op.text.endsWith('\n') ? op.text.slice(0, -1) : op.text);
+
+/**
+ * DiffViewer Component - Shows the changes of a commit against one parent
+ * Demonstrates: Myers line diff, recursive tree diff, unified vs side-by-side views
+ */
+export default function DiffViewer({ diffs }) {
+  const [mode, setMode] = useState('unified');
+  const [parentIndex, setParentIndex] = useState(0);
+
+  if (!diffs || diffs.length === 0) return null;
+
+  const current = diffs[Math.min(parentIndex, diffs.length - 1)];
+  const additions = current.files.reduce((sum, f) => sum + f.additions, 0);
+  const deletions = current.files.reduce((sum, f) => sum + f.deletions, 0);
+
+  const renderSideBySide = (file) => (
+    <table className="diff-side-by-side">
+      <tbody>
+        {file.hunks.map(hunk => (
+          <React.Fragment key={hunk.header}>
+            <tr className="diff-hunk-header">
+              <td colSpan={4}>{hunk.header}</td>
+            </tr>
+            {toSideBySide(hunk).map((row, index) => (
+              <tr key={index}>
+                <td className="diff-line-number">{row.left?.oldLine ?? ''}</td>
+                <td className={`diff-cell ${row.left ? row.left.type : 'empty'}`}>
+                  {row.left ? lineText(row.left) : ''}
+                </td>
+                <td className="diff-line-number">{row.right?.newLine ?? ''}</td>
+                <td className={`diff-cell ${row.right ? row.right.type : 'empty'}`}>
+                  {row.right ? lineText(row.right) : ''}
+                </td>
+              </tr>
+            ))}
+          </React.Fragment>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderUnified = (file) => (
+    <pre className="diff-unified">
+      {formatUnifiedDiff(file).split('\n').map((line, index) => {
+        let className = 'diff-meta';
+        if (line.startsWith('@@')) className = 'diff-hunk-header';
+        else if (line.startsWith('+') && !line.startsWith('+++')) className = 'insert';
+        else if (line.startsWith('-') && !line.startsWith('---')) className = 'delete';
+        else if (line.startsWith(' ')) className = 'equal';
+        return <div key={index} className={className}>{line}</div>;
+      })}
+    </pre>
+  );
+
+  return (
+    <div className="diff-viewer">
+      <div className="diff-toolbar">
+        {diffs.length > 1 && (
+          <select value={parentIndex} onChange={(e) => setParentIndex(Number(e.target.value))}>
+            {diffs.map((diff, index) => (
+              <option key={diff.parent} value={index}>
+                vs parent {index + 1} ({diff.parent.slice(0, 7)})
+              </option>
+            ))}
+          </select>
+        )}
+        <span className="diff-stat">
+          {current.files.length} file{current.files.length !== 1 && 's'} changed,{' '}
+          <span className="insert">+{additions}</span> <span className="delete">-{deletions}</span>
+        </span>
+        <div className="diff-mode-toggle">
+          <button
+            className={`btn-algorithm ${mode === 'unified' ? 'active' : ''}`}
+            onClick={() => setMode('unified')}
+          >
+            Unified
+          </button>
+          <button
+            className={`btn-algorithm ${mode === 'split' ? 'active' : ''}`}
+            onClick={() => setMode('split')}
+          >
+            Side-by-side
+          </button>
+        </div>
+      </div>
+
+      {current.files.length === 0 && (
+        <p className="empty-message">No changes against this parent</p>
+      )}
+
+      {current.files.map(file => (
+        <div key={`${file.oldPath}->${file.newPath}`} className="diff-file">
+          <div className="diff-file-header">
+            <span className={`change-status ${file.status}`}>{STATUS_LABELS[file.status]}</span>
+            <code>
+              {file.status === 'renamed' ? `${file.oldPath} → ${file.newPath}` : file.path}
+            </code>
+            <span className="diff-stat">
+              <span className="insert">+{file.additions}</span> <span className="delete">-{file.deletions}</span>
+            </span>
+          </div>
+          {mode === 'unified' || file.binary ? renderUnified(file) : renderSideBySide(file)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+const WELCOME = "Type Git commands, e.g. git log --oneline --graph --all. Try 'git help'.";
+
+/**
+ * GitConsole Component - A terminal for typing Git commands
+ * Demonstrates: how CLI commands map to changes in the commit graph
+ */
+export default function GitConsole({ onRun, onComplete, prompt = '' }) {
+  const [entries, setEntries] = useState([{ id: 0, kind: 'hint', text: WELCOME }]);
+  const [input, setInput] = useState('');
+  const [history, setHistory] = useState([]);
+  // Position while browsing history with the arrow keys (null = editing a new line)
+  const [historyIndex, setHistoryIndex] = useState(null);
+  const nextId = useRef(1);
+  const outputRef = useRef(null);
+
+  // Keep the newest output in view
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [entries]);
+
+  const append = (...added) => {
+    setEntries(previous => [
+      ...previous,
+      ...added.map(entry => ({ ...entry, id: nextId.current++ }))
+    ]);
+  };
+
+  const runLine = () => {
+    const line = input.trim();
+    setInput('');
+    setHistoryIndex(null);
+    if (!line) return;
+
+    setHistory(previous => (previous[previous.length - 1] === line ? previous : [...previous, line]));
+    if (line === 'clear') {
+      setEntries([]);
+      return;
+    }
+
+    const result = onRun(line);
+    append(
+      { kind: 'command', text: `${prompt}$ ${line}` },
+      ...(result.output ? [{ kind: result.error ? 'error' : 'output', text: result.output }] : [])
+    );
+  };
+
+  const browseHistory = (step) => {
+    if (history.length === 0) return;
+    const start = historyIndex === null ? history.length : historyIndex;
+    const index = Math.min(Math.max(start + step, 0), history.length);
+    setHistoryIndex(index === history.length ? null : index);
+    setInput(index === history.length ? '' : history[index]);
+  };
+
+  const complete = () => {
+    const { line, candidates } = onComplete(input);
+    setInput(line);
+    if (candidates.length > 1 && line === input) {
+      append({ kind: 'hint', text: candidates.join('   ') });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      runLine();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      browseHistory(-1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      browseHistory(1);
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      complete();
+    }
+  };
+
+  return (
+    <div className="git-console">
+      <div className="git-console-header">
+        <h3>Git Console</h3>
+        <button className="btn-secondary btn-small" onClick={() => setEntries([])}>Clear</button>
+      </div>
+
+      <div className="git-console-output" ref={outputRef}>
+        {entries.map(entry => (
+          <pre key={entry.id} className={`git-console-entry ${entry.kind}`}>{entry.text}</pre>
+        ))}
+      </div>
+
+      <div className="git-console-input">
+        <span className="git-console-prompt">{prompt}$</span>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => {
+            setInput(e.target.value);
+            setHistoryIndex(null);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="git status"
+          spellCheck={false}
+          autoComplete="off"
+        />
+      </div>
+
+      <p className="git-console-keys">
+        <kbd>↑</kbd>/<kbd>↓</kbd> history · <kbd>Tab</kbd> completes commands and branch names · <code>clear</code> empties the screen
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import React, { useEffect, useRef } from 'react';
+import { viewTransform } from '../utils/graphViewport';
+
+const shortMessage = (message) => (message.length > 15 ? message.slice(0, 15) + '...' : message);
+const DIMMED_OPACITY = 0.2;
+const NO_HIGHLIGHT = { nodes: new Map(), edges: new Map(), active: false };
+
+/**
+ * GraphCanvas Component - Draws the commit graph on a <canvas>
+ * Demonstrates: immediate-mode rendering (one bitmap instead of thousands
+ * of DOM elements), device pixel ratio scaling, hit testing by hand
+ * Receives the same (already culled) nodes, edges and labels as the SVG.
+ */
+export default function GraphCanvas({
+  nodes,
+  edges,
+  labels,
+  viewBox,
+  dimensions,
+  detailed,
+  getNodeColor,
+  selectedId,
+  hoveredId,
+  highlightedId,
+  highlight = NO_HIGHLIGHT,
+  onNodeClick,
+  onNodeHover
+}) {
+  const canvasRef = useRef(null);
+  const hovered = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = dimensions.width * ratio;
+    canvas.height = dimensions.height * ratio;
+
+    ctx.fillStyle = '#fafafa';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Graph units -> device pixels, the same mapping as the SVG viewBox
+    const { scale, offsetX, offsetY } = viewTransform(viewBox, dimensions);
+    ctx.setTransform(
+      ratio * scale, 0, 0, ratio * scale,
+      ratio * (offsetX - viewBox.x * scale),
+      ratio * (offsetY - viewBox.y * scale)
+    );
+
+    // Edges, with an arrowhead at the parent when there is room for one;
+    // those in a highlight layer in its colour, the others dimmed
+    ctx.lineJoin = 'round';
+    edges.forEach(edge => {
+      const highlightColor = highlight.edges.get(`${edge.from}->${edge.to}`);
+      const emphasis = highlightColor ? 1.5 : highlight.active ? DIMMED_OPACITY : 1;
+      ctx.strokeStyle = highlightColor || '#666';
+      ctx.fillStyle = highlightColor || '#666';
+      ctx.lineWidth = highlightColor ? 4 : 2;
+      ctx.globalAlpha = Math.min(1, 0.6 * emphasis) * (edge.opacity ?? 1);
+      ctx.stroke(new Path2D(edge.path));
+      if (detailed) {
+        ctx.beginPath();
+        ctx.moveTo(edge.x2 - 5, edge.y2 - 9);
+        ctx.lineTo(edge.x2 + 5, edge.y2 - 9);
+        ctx.lineTo(edge.x2, edge.y2);
+        ctx.fill();
+      }
+    });
+
+    nodes.forEach(node => {
+      const color = getNodeColor(node);
+      const isSelected = node.id === selectedId;
+      const isHovered = node.id === hoveredId;
+      const nodeScale = node.scale ?? 1;
+      const marks = highlight.nodes.get(node.id) || [];
+      ctx.save();
+      ctx.translate(node.x, node.y);
+      ctx.scale(nodeScale, nodeScale);
+      ctx.globalAlpha = (node.reachable === false ? 0.6 : 1) * (node.opacity ?? 1) *
+        (highlight.active && marks.length === 0 ? DIMMED_OPACITY : 1);
+
+      if (node.id === highlightedId) {
+        ctx.strokeStyle = '#FFC107';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        if (detailed) {
+          ctx.roundRect(-68, -38, 136, 76, 12);
+        } else {
+          ctx.arc(0, 0, 22, 0, Math.PI * 2);
+        }
+        ctx.stroke();
+      }
+
+      ctx.beginPath();
+      if (detailed) {
+        ctx.roundRect(-60, -30, 120, 60, 8);
+      } else {
+        ctx.arc(0, 0, 14, 0, Math.PI * 2);
+      }
+      ctx.fillStyle = isSelected || !detailed ? color : isHovered ? '#f5f5f5' : 'white';
+      ctx.fill();
+      ctx.setLineDash(node.reachable === false ? [6, 4] : []);
+      ctx.strokeStyle = isSelected && !detailed ? '#333' : color;
+      ctx.lineWidth = isSelected ? 3 : isHovered ? 2 : 1.5;
+      ctx.stroke();
+
+      if (detailed) {
+        ctx.textAlign = 'center';
+        ctx.fillStyle = isSelected ? 'white' : color;
+        ctx.font = 'bold 12px monospace';
+        ctx.fillText(node.hash, 0, -10);
+        ctx.fillStyle = isSelected ? 'white' : '#333';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(shortMessage(node.message), 0, 10);
+        ctx.fillStyle = isSelected ? 'white' : '#666';
+        ctx.font = '8px sans-serif';
+        ctx.fillText(node.author.split('<')[0].trim(), 0, 25);
+      }
+
+      // A ring per highlight layer, then the commit's place in the numbered ones
+      ctx.setLineDash([]);
+      ctx.lineWidth = 3;
+      marks.forEach((mark, index) => {
+        ctx.strokeStyle = mark.color;
+        ctx.beginPath();
+        if (detailed) {
+          ctx.roundRect(-64 - 4 * index, -34 - 4 * index, 128 + 8 * index, 68 + 8 * index, 10 + 2 * index);
+        } else {
+          ctx.arc(0, 0, 18 + 4 * index, 0, Math.PI * 2);
+        }
+        ctx.stroke();
+      });
+      ctx.textAlign = 'center';
+      marks.filter(mark => mark.order !== null).forEach((mark, index) => {
+        const x = detailed ? -60 + 24 * index : -14 + 20 * index;
+        const y = detailed ? -30 : -14;
+        ctx.fillStyle = mark.color;
+        ctx.beginPath();
+        ctx.arc(x, y, 10, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.font = `bold ${mark.order > 99 ? 8 : 10}px sans-serif`;
+        ctx.fillText(String(mark.order), x, y + 4);
+      });
+      ctx.restore();
+    });
+
+    ctx.textAlign = 'left';
+    ctx.font = 'bold 11px sans-serif';
+    labels.forEach(label => {
+      ctx.globalAlpha = 0.9 * (label.opacity ?? 1);
+      ctx.fillStyle = label.color;
+      ctx.beginPath();
+      ctx.roundRect(label.x, label.y, label.text.length * 7 + 20, 20, label.key.startsWith('tag-') ? 3 : 10);
+      ctx.fill();
+      ctx.globalAlpha = label.opacity ?? 1;
+      ctx.fillStyle = 'white';
+      ctx.fillText(label.text, label.x + 10, label.y + 14);
+    });
+  }, [nodes, edges, labels, viewBox, dimensions, detailed, getNodeColor, selectedId, hoveredId, highlightedId, highlight]);
+
+  // The node under a pointer position, searched topmost first
+  const nodeAt = (e) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const { scale, offsetX, offsetY } = viewTransform(viewBox, dimensions);
+    const x = viewBox.x + (e.clientX - bounds.left - offsetX) / scale;
+    const y = viewBox.y + (e.clientY - bounds.top - offsetY) / scale;
+    const [halfWidth, halfHeight] = detailed ? [60, 30] : [16, 16];
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      if (!node.exiting && Math.abs(node.x - x) <= halfWidth && Math.abs(node.y - y) <= halfHeight) return node;
+    }
+    return null;
+  };
+
+  const handleMouseMove = (e) => {
+    const node = nodeAt(e);
+    const id = node ? node.id : null;
+    canvasRef.current.style.cursor = node ? 'pointer' : 'default';
+    if (id !== hovered.current) {
+      hovered.current = id;
+      if (onNodeHover) onNodeHover(id);
+    }
+  };
+
+  const handleMouseLeave = () => {
+    hovered.current = null;
+    if (onNodeHover) onNodeHover(null);
+  };
+
+  const handleClick = (e) => {
+    const node = nodeAt(e);
+    if (node && onNodeClick) onNodeClick(node.id);
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="graph-canvas"
+      style={{ width: dimensions.width, height: dimensions.height, border: '1px solid #ddd' }}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={handleMouseLeave}
+      onClick={handleClick}
+    />
+  );
+}
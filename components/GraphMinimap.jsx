@@ -0,0 +1,145 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+
+const PADDING = 6;
+// The viewport stays at least this big, so it can be found and grabbed
+const MIN_RECT_SIZE = 6;
+
+/**
+ * GraphMinimap Component - An overview of the whole commit graph
+ * Demonstrates: mapping between two coordinate systems (graph units and
+ * minimap pixels, scaled separately per axis so a history thousands of
+ * commits long still fills the box), pointer capture for dragging
+ *
+ * `nodes` and `edges` are the computed layout; `viewRect` is the part of
+ * the graph the main view shows; `tips` are [{ commit, color }] for the
+ * branch tips; `onCenter(x, y)` is asked to center the main view there.
+ */
+export default function GraphMinimap({
+  nodes,
+  edges,
+  bounds,
+  viewRect,
+  tips = [],
+  onCenter,
+  width = 180,
+  height = 140
+}) {
+  const canvasRef = useRef(null);
+  // Where the pointer grabbed, relative to the viewport center
+  const grab = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // Graph units -> minimap pixels, per axis
+  const scale = useMemo(() => ({
+    x: (width - 2 * PADDING) / Math.max(1, bounds.maxX - bounds.minX),
+    y: (height - 2 * PADDING) / Math.max(1, bounds.maxY - bounds.minY)
+  }), [bounds, width, height]);
+  const toMapX = (x) => PADDING + (x - bounds.minX) * scale.x;
+  const toMapY = (y) => PADDING + (y - bounds.minY) * scale.y;
+
+  // The layout changes far less often than the view, so it is drawn
+  // once per layout and the viewport is a separate element on top
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const mapX = (x) => PADDING + (x - bounds.minX) * scale.x;
+    const mapY = (y) => PADDING + (y - bounds.minY) * scale.y;
+    const positions = new Map(nodes.map(node => [node.id, node]));
+
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    edges.forEach(edge => {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      if (!from || !to) return;
+      ctx.moveTo(mapX(from.x), mapY(from.y));
+      ctx.lineTo(mapX(to.x), mapY(to.y));
+    });
+    ctx.stroke();
+
+    // Small graphs get dots, large ones a pixel per commit
+    const dot = nodes.length > 500 ? 1 : 2;
+    nodes.forEach(node => {
+      ctx.fillStyle = node.reachable === false ? '#bbb' : '#777';
+      ctx.fillRect(mapX(node.x) - dot / 2, mapY(node.y) - dot / 2, dot, dot);
+    });
+
+    tips.forEach(({ commit, color }) => {
+      const node = positions.get(commit);
+      if (!node) return;
+      ctx.fillStyle = color;
+      ctx.strokeStyle = 'white';
+      ctx.beginPath();
+      ctx.arc(mapX(node.x), mapY(node.y), 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    });
+  }, [nodes, edges, bounds, tips, scale, width, height]);
+
+  // The main view's rectangle, kept inside the minimap
+  const left = Math.max(0, toMapX(viewRect.minX));
+  const top = Math.max(0, toMapY(viewRect.minY));
+  const rect = {
+    left: Math.min(left, width - MIN_RECT_SIZE),
+    top: Math.min(top, height - MIN_RECT_SIZE),
+    width: Math.max(MIN_RECT_SIZE, Math.min(width, toMapX(viewRect.maxX)) - left),
+    height: Math.max(MIN_RECT_SIZE, Math.min(height, toMapY(viewRect.maxY)) - top)
+  };
+
+  const toGraph = (e) => {
+    const box = canvasRef.current.getBoundingClientRect();
+    return {
+      x: bounds.minX + (e.clientX - box.left - PADDING) / scale.x,
+      y: bounds.minY + (e.clientY - box.top - PADDING) / scale.y
+    };
+  };
+
+  // Pressing on the viewport drags it; pressing elsewhere centers the
+  // view there first, then drags
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const point = toGraph(e);
+    const centerX = (viewRect.minX + viewRect.maxX) / 2;
+    const centerY = (viewRect.minY + viewRect.maxY) / 2;
+    const inside = point.x >= viewRect.minX && point.x <= viewRect.maxX &&
+      point.y >= viewRect.minY && point.y <= viewRect.maxY;
+    grab.current = inside ? { x: centerX - point.x, y: centerY - point.y } : { x: 0, y: 0 };
+    if (!inside) onCenter(point.x, point.y);
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setIsDragging(true);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!grab.current) return;
+    const point = toGraph(e);
+    onCenter(point.x + grab.current.x, point.y + grab.current.y);
+  };
+
+  const handlePointerUp = () => {
+    grab.current = null;
+    setIsDragging(false);
+  };
+
+  return (
+    <div
+      className={`graph-minimap ${isDragging ? 'dragging' : ''}`}
+      style={{ width, height }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      title="Overview - click to jump, drag the rectangle to move"
+    >
+      <canvas ref={canvasRef} style={{ width, height }} />
+      <div className="graph-minimap-viewport" style={rect} />
+    </div>
+  );
+}
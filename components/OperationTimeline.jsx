@@ -0,0 +1,72 @@
+import React, { useEffect } from 'react';
+
+/**
+ * OperationTimeline Component - Undo, redo and scrub through every operation
+ * Demonstrates: snapshots that share immutable objects, and why Git can
+ * "time travel" cheaply - old states are just old pointers into the same
+ * object database
+ */
+export default function OperationTimeline({ steps, position, canUndo, canRedo, onUndo, onRedo, onGoTo }) {
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (text fields keep their own undo)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey && canUndo) {
+        e.preventDefault();
+        onUndo();
+      } else if (((key === 'z' && e.shiftKey) || key === 'y') && canRedo) {
+        e.preventDefault();
+        onRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [canUndo, canRedo, onUndo, onRedo]);
+
+  return (
+    <div className="operation-timeline">
+      <div className="timeline-header">
+        <h3>History</h3>
+        <div className="branch-actions">
+          <button className="btn-secondary btn-small" onClick={onUndo} disabled={!canUndo} title="Undo (Ctrl+Z)">
+            ↶ Undo
+          </button>
+          <button className="btn-secondary btn-small" onClick={onRedo} disabled={!canRedo} title="Redo (Ctrl+Shift+Z)">
+            Redo ↷
+          </button>
+        </div>
+      </div>
+
+      {steps.length > 1 && (
+        <input
+          className="timeline-scrubber"
+          type="range"
+          min={0}
+          max={steps.length - 1}
+          value={position}
+          onChange={(e) => onGoTo(Number(e.target.value))}
+          aria-label="Step through repository history"
+        />
+      )}
+
+      <ol className="timeline-steps">
+        {steps.map((step, index) => (
+          <li
+            key={`${index}-${step.timestamp}`}
+            className={`timeline-step ${index === position ? 'current' : ''} ${index > position ? 'undone' : ''}`}
+            onClick={() => onGoTo(index)}
+          >
+            <code>{step.label}</code>
+            <span className="timeline-time">{new Date(step.timestamp).toLocaleTimeString()}</span>
+          </li>
+        ))}
+      </ol>
+
+      <p className="timeline-hint">
+        Undone steps stay available until you make a new change. Objects are never deleted on
+        undo, so every step can be shown again.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+
+/**
+ * Short display name for a ref ("refs/heads/main" -> "main")
+ */
+const shortRef = (ref) => ref.replace(/^refs\/heads\//, '');
+
+/**
+ * ReflogPanel Component - Browse the reflog of HEAD and each branch
+ * Demonstrates: Append-only logs, recovering "lost" commits
+ */
+export default function ReflogPanel({ reflog, highlightedCommit, onHighlight, onRestore }) {
+  const [selectedRef, setSelectedRef] = useState('HEAD');
+  const [result, setResult] = useState(null);
+
+  const refs = Object.keys(reflog);
+  const entries = reflog[selectedRef] || [];
+
+  const handleRestore = (entry) => {
+    const outcome = onRestore(selectedRef, entry.newHash);
+    setResult(outcome.success
+      ? { success: true, text: `${shortRef(selectedRef)} now points at ${entry.newHash.slice(0, 7)}` }
+      : { success: false, text: outcome.error });
+  };
+
+  return (
+    <div className="reflog-panel">
+      <h3>Reflog</h3>
+
+      <select
+        className="reflog-ref-select"
+        value={selectedRef}
+        onChange={(e) => {
+          setSelectedRef(e.target.value);
+          setResult(null);
+        }}
+      >
+        {refs.map(ref => (
+          <option key={ref} value={ref}>{shortRef(ref)}</option>
+        ))}
+      </select>
+
+      {result && (
+        <div className={`merge-result ${result.success ? 'success' : 'warning'}`}>
+          {result.text}
+        </div>
+      )}
+
+      {entries.length === 0 ? (
+        <p className="empty-message">No reflog entries for {shortRef(selectedRef)}</p>
+      ) : (
+        <ul className="reflog-list">
+          {entries.map(entry => (
+            <li
+              key={entry.selector}
+              className={`reflog-entry ${highlightedCommit === entry.newHash ? 'active' : ''}`}
+              onClick={() => onHighlight(highlightedCommit === entry.newHash ? null : entry.newHash)}
+              title={entry.timestamp}
+            >
+              <code className="reflog-hash">{entry.newHash.slice(0, 7)}</code>
+              <span className="reflog-text">
+                {entry.selector}: {entry.operation}: {entry.message}
+              </span>
+              {highlightedCommit === entry.newHash && (
+                <button
+                  className="btn-secondary btn-small"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRestore(entry);
+                  }}
+                >
+                  Restore {shortRef(selectedRef)} here
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="branch-info-box">
+        <h4>💡 Reflog</h4>
+        <ul>
+          <li>Every move of HEAD or a branch is appended to its <strong>reflog</strong></li>
+          <li>Commits no ref points at stay visible here (greyed out in the graph)</li>
+          <li>
+            Restoring HEAD or the current branch is like <code>git reset --keep HEAD@{'{n}'}</code>:
+            local changes are kept, and it is refused if they would be overwritten
+          </li>
+          <li>Restoring any other branch is like <code>git branch -f</code></li>
+        </ul>
+      </div>
+    </div>
+  );
+}
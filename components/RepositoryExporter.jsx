@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+
+/**
+ * RepositoryExporter Component - Download the repository as a real Git repository
+ * Demonstrates: loose objects vs packfiles, the on-disk layout of .git
+ */
+export default function RepositoryExporter({ onExport }) {
+  const [packfile, setPackfile] = useState(false);
+  const [workingTree, setWorkingTree] = useState(true);
+  const [name, setName] = useState('visualizer-repo');
+  const [error, setError] = useState('');
+
+  const handleExport = () => {
+    setError('');
+    const result = onExport({ packfile, workingTree });
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([result.data], { type: 'application/zip' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name.trim() || 'repository'}.zip`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="repository-exporter">
+      <h3>Export Repository</h3>
+
+      <div className="create-branch-form">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Archive name"
+        />
+        <label className="checkbox-label">
+          <input type="checkbox" checked={packfile} onChange={(e) => setPackfile(e.target.checked)} />
+          Store objects in a packfile
+        </label>
+        <label className="checkbox-label">
+          <input type="checkbox" checked={workingTree} onChange={(e) => setWorkingTree(e.target.checked)} />
+          Include working directory files
+        </label>
+        <button className="btn-success" onClick={handleExport}>Download .zip</button>
+        {error && <div className="error-message">{error}</div>}
+      </div>
+
+      <div className="help-text">
+        <strong>💡 Continue on the command line</strong>
+        <ul>
+          <li>Unzip, then run <code>git log --graph --all</code>, <code>git status</code> or <code>git fsck</code></li>
+          <li>Loose objects are one zlib file each; a packfile stores them all in one file with an .idx</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
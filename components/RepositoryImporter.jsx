@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { importFromFileList, importFromZip, importFromDataTransfer } from '../utils/gitImport';
+
+/**
+ * RepositoryImporter Component - Load a real repository from its .git directory
+ * Demonstrates: zlib-compressed loose objects, packfiles with deltas, refs
+ * Can also generate a large synthetic history to try the graph at scale.
+ */
+export default function RepositoryImporter({ onImport, onReset, onGenerate }) {
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [result, setResult] = useState(null);
+  const [commitCount, setCommitCount] = useState(10000);
+  const [generated, setGenerated] = useState(null);
+
+  const handleGenerate = () => {
+    setResult(null);
+    setGenerated(onGenerate({ commits: commitCount }));
+  };
+
+  const runImport = async (pending) => {
+    setIsImporting(true);
+    setResult(null);
+    setResult(await onImport(pending));
+    setIsImporting(false);
+  };
+
+  const handleFolder = (e) => {
+    if (e.target.files.length > 0) runImport(importFromFileList(e.target.files));
+    e.target.value = '';
+  };
+
+  const handleZip = (e) => {
+    if (e.target.files.length > 0) runImport(importFromZip(e.target.files[0]));
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    runImport(importFromDataTransfer(e.dataTransfer));
+  };
+
+  return (
+    <div className="repository-importer">
+      <h3>Import Repository</h3>
+
+      <div
+        className={`drop-zone ${isDragOver ? 'drag-over' : ''}`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={handleDrop}
+      >
+        {isImporting ? (
+          <p>Reading objects…</p>
+        ) : (
+          <p>Drop a <code>.git</code> folder or a zip of it here</p>
+        )}
+      </div>
+
+      <div className="algorithm-actions">
+        <label className="btn-primary btn-small file-button">
+          Choose .git folder
+          <input type="file" webkitdirectory="" multiple onChange={handleFolder} disabled={isImporting} hidden />
+        </label>
+        <label className="btn-secondary btn-small file-button">
+          Choose .zip
+          <input type="file" accept=".zip" onChange={handleZip} disabled={isImporting} hidden />
+        </label>
+        {onReset && (
+          <button className="btn-secondary btn-small" onClick={onReset} disabled={isImporting}>
+            Sample repository
+          </button>
+        )}
+      </div>
+
+      {result && (
+        <div className={`merge-result ${result.success ? 'success' : 'warning'}`}>
+          {result.success ? (
+            <>
+              <strong>Imported {result.summary.objects} objects</strong>
+              <p>
+                {result.summary.looseObjects} loose, {result.summary.packedObjects} from{' '}
+                {result.summary.packs} pack{result.summary.packs !== 1 && 's'}; {result.summary.refs} refs
+              </p>
+              {result.summary.warnings.length > 0 && (
+                <ul className="conflict-list">
+                  {result.summary.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p>{result.error}</p>
+          )}
+        </div>
+      )}
+
+      {onGenerate && (
+        <>
+          <h4>Generate a large history</h4>
+          <div className="algorithm-actions">
+            <input
+              type="number"
+              min="10"
+              max="50000"
+              step="1000"
+              value={commitCount}
+              onChange={(e) => setCommitCount(Math.max(10, Number(e.target.value) || 10))}
+              aria-label="Number of commits"
+            />
+            <button className="btn-secondary btn-small" onClick={handleGenerate} disabled={isImporting}>
+              Generate
+            </button>
+          </div>
+          {generated && (
+            <div className={`merge-result ${generated.success ? 'success' : 'warning'}`}>
+              {generated.success ? (
+                <p>
+                  {generated.summary.commits} commits ({generated.summary.merges} merges),{' '}
+                  {generated.summary.branches} topic branches ({generated.summary.openBranches} branches left),{' '}
+                  {generated.summary.tags} tags in {generated.summary.milliseconds} ms
+                </p>
+              ) : (
+                <p>{generated.error}</p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="branch-info-box">
+        <h4>💡 Inside .git</h4>
+        <ul>
+          <li><strong>objects/ab/cdef…</strong> - one zlib-compressed loose object per file</li>
+          <li><strong>objects/pack</strong> - many objects in one packfile, often stored as deltas against similar objects, plus an .idx to find them</li>
+          <li><strong>refs/</strong> and <strong>packed-refs</strong> - branch and tag names; <strong>HEAD</strong> - the current branch</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
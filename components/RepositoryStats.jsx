@@ -1,10 +1,34 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { calculateGraphMetrics } from '../utils/graphAlgorithms';
 
+const TYPE_ICONS = {
+  commit: '📝',
+  tree: '🌳',
+  blob: '📄',
+  tag: '🏷'
+};
+
 /**
  * RepositoryStats Component - Displays repository statistics and metrics
  */
-export default function RepositoryStats({ stats, graphData }) {
+export default function RepositoryStats({ stats, graphData, onFsck, onGc }) {
+  const [showObjects, setShowObjects] = useState(false);
+  const [expireReflog, setExpireReflog] = useState(false);
+  const [gcResult, setGcResult] = useState(null);
+
+  // Re-check the object database whenever the repository changes
+  const report = useMemo(
+    () => (showObjects && onFsck && stats ? onFsck() : null),
+    [showObjects, onFsck, stats]
+  );
+
+  const handleGc = () => {
+    const result = onGc({ expireReflog });
+    setGcResult(result.success
+      ? { success: true, text: `Pruned ${result.pruned.length} unreachable object${result.pruned.length !== 1 ? 's' : ''}, ${result.kept} kept` }
+      : { success: false, text: result.error });
+  };
+
   if (!stats) {
     return <div className="repo-stats">Loading statistics...</div>;
   }
@@ -60,11 +84,37 @@ export default function RepositoryStats({ stats, graphData }) {
           </div>
         </div>
 
+        <div className="stat-card">
+          <div className="stat-icon">🏷</div>
+          <div className="stat-content">
+            <div className="stat-value">{stats.tags}</div>
+            <div className="stat-label">Tags ({stats.annotatedTags} annotated)</div>
+          </div>
+        </div>
+
+        {stats.remoteBranches > 0 && (
+          <div className="stat-card">
+            <div className="stat-icon">🌐</div>
+            <div className="stat-content">
+              <div className="stat-value">{stats.remoteBranches}</div>
+              <div className="stat-label">Remote Branches</div>
+            </div>
+          </div>
+        )}
+
+        <div className={`stat-card ${stats.unreachableObjects > 0 ? 'unreachable' : ''}`}>
+          <div className="stat-icon">👻</div>
+          <div className="stat-content">
+            <div className="stat-value">{stats.unreachableObjects}</div>
+            <div className="stat-label">Unreachable Objects</div>
+          </div>
+        </div>
+
         <div className="stat-card highlight">
           <div className="stat-icon">→</div>
           <div className="stat-content">
             <div className="stat-value">{stats.currentBranch}</div>
-            <div className="stat-label">Current Branch</div>
+            <div className="stat-label">{stats.detached ? 'Detached HEAD' : 'Current Branch'}</div>
           </div>
         </div>
       </div>
@@ -125,16 +175,86 @@ export default function RepositoryStats({ stats, graphData }) {
         </>
       )}
 
+      {/* Object Database (fsck / gc) */}
+      {onFsck && (
+        <div className="object-database">
+          <div className="files-header">
+            <h4>Object Database</h4>
+            <button className="btn-secondary btn-small" onClick={() => setShowObjects(!showObjects)}>
+              {showObjects ? 'Hide' : 'git fsck'}
+            </button>
+          </div>
+
+          {report && (
+            <>
+              <div className={`merge-result ${report.ok ? 'success' : 'warning'}`}>
+                {report.ok ? (
+                  <p>No problems found - {report.objects.length} objects, {report.unreachable.length} unreachable</p>
+                ) : (
+                  <ul className="conflict-list">
+                    {report.issues.map((issue, index) => (
+                      <li key={index}><code>{issue.message}</code></li>
+                    ))}
+                  </ul>
+                )}
+                {report.dangling.map(obj => (
+                  <div key={obj.hash} className="fsck-dangling">
+                    <code>dangling {obj.type} {obj.hash}</code>
+                  </div>
+                ))}
+              </div>
+
+              <ul className="object-list">
+                {report.objects.map(obj => (
+                  <li
+                    key={obj.hash}
+                    className={`object-item ${obj.reachable ? '' : 'unreachable'}`}
+                    title={obj.reachable ? 'Reachable' : 'Unreachable - will be pruned by gc'}
+                  >
+                    {TYPE_ICONS[obj.type]} <code>{obj.hash.slice(0, 7)}</code> {obj.type}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {onGc && (
+            <div className="algorithm-actions">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={expireReflog}
+                  onChange={(e) => setExpireReflog(e.target.checked)}
+                />
+                Expire reflog first
+              </label>
+              <button
+                className="btn-danger btn-small"
+                onClick={handleGc}
+                disabled={stats.unreachableObjects === 0 && !expireReflog}
+              >
+                git gc --prune=now
+              </button>
+            </div>
+          )}
+          {gcResult && (
+            <div className={`merge-result ${gcResult.success ? 'success' : 'warning'}`}>{gcResult.text}</div>
+          )}
+        </div>
+      )}
+
       {/* CS Concepts Explanation */}
       <div className="concepts-explanation">
         <h4>📚 Computer Science Concepts Used</h4>
         <ul>
           <li><strong>Hash Tables:</strong> Git objects are stored using SHA-1 hashes as keys</li>
           <li><strong>Directed Acyclic Graph (DAG):</strong> Commit history forms a DAG structure</li>
+          <li><strong>References:</strong> Branches, tags and remote-tracking branches are names in the refs/heads, refs/tags and refs/remotes namespaces</li>
           <li><strong>Trees:</strong> Directory structures are represented as tree data structures</li>
           <li><strong>Topological Sort:</strong> Used to order commits chronologically</li>
           <li><strong>BFS/DFS:</strong> Graph traversal algorithms for finding paths and history</li>
           <li><strong>Content-Addressable Storage:</strong> Objects identified by their content hash</li>
+          <li><strong>Mark and Sweep:</strong> gc marks everything reachable from refs, the index and the reflog, then prunes the rest</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { BUILTIN_SCENARIOS } from '../utils/scenarios';
+
+/**
+ * ScenarioPlayer Component - Guided lessons that build a repository step by step
+ * Demonstrates: a repository as the result of replaying operations, with a
+ * snapshot after each step so the lesson can be played forward and back
+ */
+export default function ScenarioPlayer({ lesson, onLoad, onLoadFile, onGoTo, onExit }) {
+  const [selectedId, setSelectedId] = useState(BUILTIN_SCENARIOS[0].id);
+  const [error, setError] = useState(null);
+
+  const report = (result) => {
+    setError(result.success ? null : result.error);
+  };
+
+  const handleStart = () => {
+    report(onLoad(selectedId));
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) report(onLoadFile(await file.text()));
+  };
+
+  if (!lesson) {
+    const selected = BUILTIN_SCENARIOS.find(scenario => scenario.id === selectedId);
+    return (
+      <div className="scenario-player">
+        <h3>Lessons</h3>
+
+        <div className="create-branch-form">
+          <select value={selectedId} onChange={(e) => setSelectedId(e.target.value)}>
+            {BUILTIN_SCENARIOS.map(scenario => (
+              <option key={scenario.id} value={scenario.id}>{scenario.title}</option>
+            ))}
+          </select>
+          <button className="btn-success" onClick={handleStart}>Start</button>
+        </div>
+        {selected && <p className="scenario-description">{selected.description}</p>}
+
+        <div className="algorithm-actions">
+          <label className="btn-secondary btn-small file-button">
+            Open lesson .json
+            <input type="file" accept=".json,application/json" onChange={handleUpload} hidden />
+          </label>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        <div className="help-text">
+          <strong>💡 Writing a lesson</strong>
+          <ul>
+            <li>A lesson is JSON: a <code>title</code> and a list of <code>steps</code></li>
+            <li>Each step has <code>narration</code>, optional <code>files</code> to write and <code>commands</code> to run, e.g. <code>git commit -m "..."</code></li>
+            <li>Starting a lesson replaces the current repository</li>
+          </ul>
+        </div>
+      </div>
+    );
+  }
+
+  const { scenario, position, stepCount } = lesson;
+  const step = position > 0 ? scenario.steps[position - 1] : null;
+
+  return (
+    <div className="scenario-player">
+      <div className="timeline-header">
+        <h3>{scenario.title}</h3>
+        <button className="btn-secondary btn-small" onClick={onExit}>Exit lesson</button>
+      </div>
+
+      <div className="scenario-progress">
+        <progress value={position} max={stepCount} />
+        <span>Step {position} of {stepCount}</span>
+      </div>
+
+      <div className="scenario-narration">
+        {step ? (
+          <>
+            {step.title && <h4>{step.title}</h4>}
+            <p>{step.narration}</p>
+            {step.commands && step.commands.length > 0 && (
+              <pre className="scenario-commands">
+                {step.commands.map(command => `$ ${command}`).join('\n')}
+              </pre>
+            )}
+          </>
+        ) : (
+          <p>{scenario.description || 'An empty repository. Step forward to begin.'}</p>
+        )}
+      </div>
+
+      <div className="scenario-controls">
+        <button className="btn-secondary btn-small" onClick={() => onGoTo(0)} disabled={position === 0} title="Back to the start">⏮</button>
+        <button className="btn-secondary btn-small" onClick={() => onGoTo(position - 1)} disabled={position === 0}>◀ Back</button>
+        <button className="btn-primary btn-small" onClick={() => onGoTo(position + 1)} disabled={position === stepCount}>Next ▶</button>
+        <button className="btn-secondary btn-small" onClick={() => onGoTo(stepCount)} disabled={position === stepCount} title="Skip to the end">⏭</button>
+      </div>
+
+      <p className="timeline-hint">
+        Try your own commands in between; moving to another step puts the scripted state back.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AUTOSAVE_SLOT } from '../utils/repositoryStore';
+
+/**
+ * SessionManager Component - Save, load and share repository sessions
+ * Demonstrates: serialization with a versioned schema, browser storage,
+ * compressing state into a URL
+ */
+export default function SessionManager({
+  lastAutosave,
+  restoreError,
+  onDismissRestoreError,
+  onSave,
+  onLoad,
+  onList,
+  onDelete,
+  onExportFile,
+  onImportFile,
+  onCreateShareLink
+}) {
+  const [slots, setSlots] = useState([]);
+  const [slotName, setSlotName] = useState('');
+  const [message, setMessage] = useState(null);
+  const [shareLink, setShareLink] = useState('');
+  const namedSlots = slots.filter(slot => slot.name !== AUTOSAVE_SLOT);
+
+  const refreshSlots = useCallback(() => {
+    onList().then(setSlots);
+  }, [onList]);
+
+  useEffect(() => {
+    refreshSlots();
+  }, [refreshSlots]);
+
+  // Show a hook result as a success or error message
+  const report = (result, successText) => {
+    setMessage(result.success ? { success: true, text: successText } : { success: false, text: result.error });
+    return result.success;
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = slotName.trim();
+    if (!name) return;
+    if (report(await onSave(name), `Saved '${name}'`)) {
+      setSlotName('');
+      refreshSlots();
+    }
+  };
+
+  const handleLoad = async (name) => {
+    report(await onLoad(name), `Loaded '${name}'`);
+  };
+
+  const handleDelete = async (name) => {
+    if (report(await onDelete(name), `Deleted '${name}'`)) refreshSlots();
+  };
+
+  const handleDownload = () => {
+    const result = onExportFile();
+    if (!report(result, 'Downloaded session file')) return;
+
+    const url = URL.createObjectURL(new Blob([result.data], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'repository.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) report(onImportFile(await file.text()), `Loaded ${file.name}`);
+  };
+
+  const handleShare = async () => {
+    const result = onCreateShareLink();
+    if (!report(result, 'Share link created')) return;
+
+    setShareLink(result.url);
+    try {
+      await navigator.clipboard.writeText(result.url);
+      setMessage({ success: true, text: `Link copied (${result.url.length} characters)` });
+    } catch {
+      setMessage({ success: true, text: `Link created (${result.url.length} characters) - copy it below` });
+    }
+  };
+
+  return (
+    <div className="session-manager">
+      <h3>Sessions</h3>
+
+      <p className="session-autosave">
+        {lastAutosave
+          ? `Autosaved at ${new Date(lastAutosave).toLocaleTimeString()}`
+          : 'Changes are autosaved in this browser'}
+      </p>
+
+      {restoreError && (
+        <div className="error-message session-restore-error">
+          {restoreError}
+          {onDismissRestoreError && (
+            <button className="close-btn" onClick={onDismissRestoreError}>×</button>
+          )}
+        </div>
+      )}
+
+      <form className="create-branch-form" onSubmit={handleSave}>
+        <input
+          type="text"
+          value={slotName}
+          onChange={(e) => setSlotName(e.target.value)}
+          placeholder="Session name"
+        />
+        <button type="submit" className="btn-success" disabled={!slotName.trim()}>Save</button>
+      </form>
+
+      <div className="branch-list">
+        {namedSlots.length === 0 ? (
+          <p className="empty-message">No saved sessions</p>
+        ) : (
+          namedSlots.map(slot => (
+            <div key={slot.name} className="branch-item">
+              <div className="branch-info">
+                <div className="branch-name">{slot.name}</div>
+                <span className="branch-commit">{new Date(slot.savedAt).toLocaleString()}</span>
+              </div>
+              <div className="branch-actions">
+                <button className="btn-primary btn-small" onClick={() => handleLoad(slot.name)}>Load</button>
+                <button className="btn-danger btn-small" onClick={() => handleDelete(slot.name)}>×</button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="algorithm-actions">
+        <button className="btn-secondary btn-small" onClick={handleDownload}>Download .json</button>
+        <label className="btn-secondary btn-small file-button">
+          Open .json
+          <input type="file" accept=".json,application/json" onChange={handleUpload} hidden />
+        </label>
+        <button className="btn-primary btn-small" onClick={handleShare}>Copy share link</button>
+      </div>
+
+      {shareLink && (
+        <input
+          className="session-share-link"
+          type="text"
+          value={shareLink}
+          readOnly
+          onFocus={(e) => e.target.select()}
+        />
+      )}
+
+      {message && (
+        <div className={message.success ? 'merge-result success' : 'error-message'}>{message.text}</div>
+      )}
+
+      <div className="help-text">
+        <strong>💡 How sessions are stored</strong>
+        <ul>
+          <li>Objects are saved by content; commit and tag text is kept byte for byte, so every hash survives</li>
+          <li>The file starts with a format name and version, so older files can be recognized and rejected</li>
+          <li>A share link carries the whole repository, deflate-compressed and Base64url encoded after the <code>#</code> - large repositories are exported as a file instead</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
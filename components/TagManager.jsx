@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+/**
+ * TagManager Component - Create and delete lightweight and annotated tags
+ */
+export default function TagManager({ tags, onCreateTag, onDeleteTag }) {
+  const [tagName, setTagName] = useState('');
+  const [message, setMessage] = useState('');
+  const [annotated, setAnnotated] = useState(true);
+  const [error, setError] = useState('');
+
+  const handleCreateTag = (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!tagName.trim()) {
+      setError('Tag name cannot be empty');
+      return;
+    }
+    if (tags[tagName]) {
+      setError('Tag already exists');
+      return;
+    }
+    if (annotated && !message.trim()) {
+      setError('Annotated tags need a message');
+      return;
+    }
+
+    const success = onCreateTag(tagName.trim(), 'HEAD', annotated ? { message: message.trim() } : {});
+    if (success) {
+      setTagName('');
+      setMessage('');
+    } else {
+      setError('Failed to create tag');
+    }
+  };
+
+  return (
+    <div className="tag-manager">
+      <h3>Tags</h3>
+
+      {/* Create Tag Form */}
+      <form className="create-branch-form" onSubmit={handleCreateTag}>
+        <input
+          type="text"
+          value={tagName}
+          onChange={(e) => setTagName(e.target.value)}
+          placeholder="Tag name, e.g. v1.1"
+        />
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={annotated}
+            onChange={(e) => setAnnotated(e.target.checked)}
+          />
+          Annotated (git tag -a)
+        </label>
+        {annotated && (
+          <input
+            type="text"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Tag message"
+          />
+        )}
+        <button type="submit" className="btn-success">Tag HEAD</button>
+        {error && <div className="error-message">{error}</div>}
+      </form>
+
+      {/* Tag List */}
+      <div className="branch-list">
+        {Object.keys(tags).length === 0 ? (
+          <p className="empty-message">No tags yet</p>
+        ) : (
+          Object.entries(tags).map(([name, tag]) => (
+            <div key={name} className="branch-item">
+              <div className="branch-info">
+                <div className="branch-name">
+                  🏷 <strong>{name}</strong>
+                  {tag.message && <span className="tag-message"> - {tag.message}</span>}
+                </div>
+                <code className="branch-commit">{tag.target.slice(0, 7)}</code>
+              </div>
+              <span className={`badge ${tag.annotated ? 'badge-primary' : ''}`}>
+                {tag.annotated ? 'annotated' : 'lightweight'}
+              </span>
+              <button
+                className="btn-danger btn-small"
+                onClick={() => onDeleteTag(name)}
+                title={`Delete tag ${name}`}
+              >
+                ×
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="branch-info-box">
+        <h4>💡 Tags</h4>
+        <ul>
+          <li><strong>Lightweight</strong> tags are refs under refs/tags that point at a commit</li>
+          <li><strong>Annotated</strong> tags point at a tag object with a tagger, date and message</li>
+          <li>Unlike branches, tags never move when you commit</li>
+        </ul>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,62 @@
-import React from 'react';
+import React, { useState } from 'react';
+import DiffViewer from './DiffViewer';
 
 /**
  * CommitDetails Component - Shows detailed information about a selected commit
  */
-export default function CommitDetails({ commit, onClose }) {
+/**
+ * One tree entry plus, when expanded, the rows of its children
+ */
+function TreeEntryRows({ entry, depth, expanded, onToggle }) {
+  const isDirectory = entry.type === 'tree';
+  const isOpen = expanded.has(entry.path);
+
+  return (
+    <>
+      <tr className={entry.reused ? 'reused' : ''}>
+        <td><code>{entry.mode}</code></td>
+        <td><span className="entry-type">{entry.type}</span></td>
+        <td style={{ paddingLeft: 10 + depth * 18 }}>
+          {isDirectory ? (
+            <button className="tree-toggle" onClick={() => onToggle(entry.path)}>
+              {isOpen ? '▾' : '▸'} <strong>{entry.name}/</strong>
+            </button>
+          ) : (
+            <strong>{entry.name}</strong>
+          )}
+          {entry.reused && <span className="reused-badge">reused</span>}
+        </td>
+        <td><code className="hash-code-small">{entry.hash.slice(0, 7)}</code></td>
+      </tr>
+      {isDirectory && isOpen && entry.children.map(child => (
+        <TreeEntryRows
+          key={child.path}
+          entry={child}
+          depth={depth + 1}
+          expanded={expanded}
+          onToggle={onToggle}
+        />
+      ))}
+    </>
+  );
+}
+
+export default function CommitDetails({ commit, onClose, onCheckout, onCherryPick, onRevert }) {
+  const [actionResult, setActionResult] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+
+  const toggleDirectory = (path) => {
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
   if (!commit) {
     return (
       <div className="commit-details empty">
@@ -12,6 +65,13 @@ export default function CommitDetails({ commit, onClose }) {
     );
   }
 
+  // Fall back to the flat root entries when no nested structure is provided
+  const fileTree = commit.fileTree || (commit.treeEntries || []).map(entry => ({
+    ...entry,
+    path: entry.name,
+    children: []
+  }));
+
   return (
     <div className="commit-details">
       <div className="commit-details-header">
@@ -21,6 +81,58 @@ export default function CommitDetails({ commit, onClose }) {
         )}
       </div>
 
+      {/* Commit Operations */}
+      {(onCheckout || onCherryPick || onRevert) && (
+        <div className="commit-actions">
+          {onCheckout && (
+            <button
+              className="btn-secondary btn-small"
+              onClick={() => onCheckout(commit.hash)}
+              title="git checkout --detach"
+            >
+              Checkout (detach HEAD)
+            </button>
+          )}
+          {onCherryPick && (
+            <button
+              className="btn-secondary btn-small"
+              onClick={() => setActionResult({ command: 'cherry-pick', target: commit.hash.slice(0, 7), ...onCherryPick(commit.hash) })}
+            >
+              Cherry-pick onto HEAD
+            </button>
+          )}
+          {onRevert && (
+            <button
+              className="btn-secondary btn-small"
+              onClick={() => setActionResult({ command: 'revert', target: commit.hash.slice(0, 7), ...onRevert(commit.hash) })}
+            >
+              Revert
+            </button>
+          )}
+        </div>
+      )}
+
+      {actionResult && (
+        <div className={`merge-result ${actionResult.commit ? 'success' : 'warning'}`}>
+          <strong>git {actionResult.command} {actionResult.target}</strong>
+          <p>
+            {actionResult.status === 'error' && actionResult.error}
+            {actionResult.status === 'empty' && 'The change is already present; nothing to commit.'}
+            {actionResult.status === 'conflict' && `Could not apply ${actionResult.target}: ${actionResult.conflicts.length} conflict(s)`}
+            {actionResult.commit && `Created ${actionResult.commit.hash.slice(0, 7)}`}
+          </p>
+          {actionResult.conflicts?.length > 0 && (
+            <ul className="conflict-list">
+              {actionResult.conflicts.map(conflict => (
+                <li key={conflict.path}>
+                  CONFLICT ({conflict.kind}): <code>{conflict.path}</code>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="commit-details-content">
         {/* Hash */}
         <div className="detail-section">
@@ -58,14 +170,24 @@ export default function CommitDetails({ commit, onClose }) {
             <label>Parent{commit.parents.length > 1 ? 's' : ''}:</label>
             <div className="parents-list">
               {commit.parents.map((parent, index) => (
-                <code key={index} className="hash-code">{parent}</code>
+                <code key={index} className="hash-code">
+                  {typeof parent === 'string' ? parent : parent?.hash}
+                </code>
               ))}
             </div>
           </div>
         )}
 
+        {/* Changes introduced by this commit */}
+        {commit.diffs && (
+          <div className="detail-section">
+            <label>Changes (git show):</label>
+            <DiffViewer key={commit.hash} diffs={commit.diffs} />
+          </div>
+        )}
+
         {/* Tree Entries */}
-        {commit.treeEntries && commit.treeEntries.length > 0 && (
+        {fileTree.length > 0 && (
           <div className="detail-section">
             <label>Files in this commit:</label>
             <div className="tree-entries">
@@ -79,24 +201,30 @@ export default function CommitDetails({ commit, onClose }) {
                   </tr>
                 </thead>
                 <tbody>
-                  {commit.treeEntries.map((entry, index) => (
-                    <tr key={index}>
-                      <td><code>{entry.mode}</code></td>
-                      <td><span className="entry-type">{entry.type}</span></td>
-                      <td><strong>{entry.name}</strong></td>
-                      <td><code className="hash-code-small">{entry.hash.slice(0, 7)}</code></td>
-                    </tr>
+                  {fileTree.map(entry => (
+                    <TreeEntryRows
+                      key={entry.path}
+                      entry={entry}
+                      depth={0}
+                      expanded={expanded}
+                      onToggle={toggleDirectory}
+                    />
                   ))}
                 </tbody>
               </table>
+              {commit.parents && commit.parents.length > 0 && (
+                <p className="tree-legend">
+                  <span className="reused-badge">reused</span> objects are shared with the first parent - Git stores them only once
+                </p>
+              )}
             </div>
           </div>
         )}
 
         {/* Raw Object Data */}
         <div className="detail-section">
-          <label>Raw Git Object:</label>
-          <pre className="raw-object">{commit.toString()}</pre>
+          <label>Raw Git Object (git cat-file -p):</label>
+          <pre className="raw-object">{commit.raw || commit.toString()}</pre>
         </div>
       </div>
     </div>
@@ -1,9 +1,176 @@
-import React, { useEffect, useRef, useState } from 'react';
-import { calculateLayout } from '../utils/graphAlgorithms';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { calculateLayout, calculateLaneLayout } from '../utils/graphAlgorithms';
+import {
+  layoutBounds,
+  fitView,
+  viewBoxOf,
+  panView,
+  zoomView,
+  centerView,
+  viewTransform,
+  visibleRect,
+  cullFrame
+} from '../utils/graphViewport';
+import { resolveHighlights } from '../utils/graphHighlights';
+import { useAnimatedLayout, usePrefersReducedMotion } from '../hooks/useAnimatedLayout';
+import GraphCanvas from './GraphCanvas';
+import GraphMinimap from './GraphMinimap';
+
+const NODE_HEIGHT = 60;
+
+// Layout modes the graph can switch between
+const LAYOUT_MODES = {
+  layered: 'Layered (Sugiyama)',
+  lanes: 'Lanes (git log --graph)'
+};
+const RENDERERS = {
+  svg: 'SVG',
+  canvas: 'Canvas'
+};
+
+// Past these sizes the graph switches (unless chosen otherwise) to the
+// faster lane layout and to canvas drawing, and stops animating
+const LAYERED_NODE_LIMIT = 2000;
+const CANVAS_NODE_LIMIT = 3000;
+const ANIMATION_NODE_LIMIT = 1000;
+// Below this many pixels per graph unit nodes are drawn as plain dots
+const DETAIL_SCALE = 0.45;
+// Nodes within this many graph units outside the view are still drawn
+// (half a node plus the widest labels)
+const CULL_MARGIN = 250;
+// Commits and edges outside the highlight layers fade to this
+const DIMMED_OPACITY = 0.2;
+const NO_HIGHLIGHTS = [];
+// A press that moves less than this many pixels is a click, not a drag
+const DRAG_THRESHOLD = 4;
+
+// Get branch color
+function getBranchColor(graphData, nodeId) {
+  const colors = {
+    main: '#4CAF50',
+    'feature-branch': '#2196F3',
+    default: '#9C27B0'
+  };
+
+  for (const [branch, hash] of Object.entries(graphData.branches)) {
+    if (hash === nodeId) {
+      return colors[branch] || colors.default;
+    }
+  }
+  return '#757575';
+}
+
+// Collect every ref label per commit: a detached HEAD first, then
+// branches, remotes and tags
+function getRefLabels(graphData) {
+  const labels = new Map();
+  const add = (commitHash, label) => {
+    if (!labels.has(commitHash)) labels.set(commitHash, []);
+    labels.get(commitHash).push(label);
+  };
+
+  if (graphData.detached && graphData.headCommit) {
+    add(graphData.headCommit, {
+      key: 'detached-head',
+      text: 'HEAD (detached)',
+      color: '#E53935'
+    });
+  }
+
+  Object.entries(graphData.branches).forEach(([branchName, commitHash]) => {
+    add(commitHash, {
+      key: `branch-${branchName}`,
+      text: `${graphData.HEAD === branchName ? '→ ' : ''}${branchName}`,
+      color: getBranchColor(graphData, commitHash)
+    });
+  });
+  Object.entries(graphData.remotes || {}).forEach(([remoteName, commitHash]) => {
+    add(commitHash, { key: `remote-${remoteName}`, text: remoteName, color: '#607D8B' });
+  });
+  Object.entries(graphData.tags || {}).forEach(([tagName, tag]) => {
+    add(tag.target, {
+      key: `tag-${tagName}`,
+      text: `🏷 ${tagName}`,
+      color: tag.annotated ? '#FF9800' : '#FFB74D',
+      title: tag.message
+    });
+  });
+
+  return labels;
+}
+
+// Rings in the colour of each highlight layer a commit is in, and its
+// place in the numbered ones
+function renderHighlightMarks(marks, detailed) {
+  const numbered = marks.filter(mark => mark.order !== null);
+  return (
+    <>
+      {marks.map((mark, index) => (detailed ? (
+        <rect
+          key={`ring-${index}`}
+          x={-64 - 4 * index}
+          y={-34 - 4 * index}
+          width={128 + 8 * index}
+          height={68 + 8 * index}
+          rx={10 + 2 * index}
+          fill="none"
+          stroke={mark.color}
+          strokeWidth={3}
+        />
+      ) : (
+        <circle key={`ring-${index}`} r={18 + 4 * index} fill="none" stroke={mark.color} strokeWidth={3} />
+      )))}
+      {numbered.map((mark, index) => (
+        <g
+          key={`order-${index}`}
+          transform={detailed ? `translate(${-60 + 24 * index}, -30)` : `translate(${-14 + 20 * index}, -14)`}
+        >
+          <circle r={10} fill={mark.color} />
+          <text y={4} textAnchor="middle" fontSize={mark.order > 99 ? 8 : 10} fontWeight="bold" fill="white">
+            {mark.order}
+          </text>
+        </g>
+      ))}
+    </>
+  );
+}
+
+// Pointer position as an offset from the centre of `element`
+function offsetFromCenter(element, e) {
+  const rect = element.getBoundingClientRect();
+  return { x: e.clientX - rect.left - rect.width / 2, y: e.clientY - rect.top - rect.height / 2 };
+}
+
+/**
+ * Position a copy of the graph's nodes (the layouts write onto them) and
+ * time it, so the graph can show what the layout costs
+ */
+function computeLayout(graphData, layoutMode) {
+  const started = performance.now();
+  const nodes = graphData.nodes.map(node => ({ ...node }));
+  const result = layoutMode === 'lanes'
+    ? calculateLaneLayout(nodes, [...graphData.edges], {
+      nodeHeight: NODE_HEIGHT,
+      columnWidth: 170,
+      rowHeight: 100
+    })
+    : calculateLayout(nodes, [...graphData.edges], {
+      nodeWidth: 120,
+      nodeHeight: NODE_HEIGHT,
+      horizontalGap: 150,
+      verticalGap: 100
+    });
+  return { ...result, milliseconds: performance.now() - started };
+}
 
 /**
  * CommitGraph Component - Visualizes Git commit graph
- * Demonstrates: SVG rendering, graph visualization, event handling
+ * Demonstrates: SVG rendering, graph visualization, event handling,
+ * animated transitions between layouts (nodes tracked by commit id),
+ * viewport culling and level of detail for large histories, pan and
+ * zoom by drag, wheel and pinch
+ * The view is controlled with `view`/`onViewChange` (onViewChange gets an
+ * updater function, like a state setter), or kept inside when not given.
  */
 export default function CommitGraph({ 
   graphData, 
@@ -11,38 +178,79 @@ export default function CommitGraph({
   onCommitClick,
   hoveredNode,
   onNodeHover,
-  zoomLevel = 1,
-  panOffset = { x: 0, y: 0 }
+  view: controlledView,
+  onViewChange,
+  onDraggingChange,
+  leftBehindCommits = [],
+  onDismissWarning,
+  highlightedCommit = null,
+  highlights = NO_HIGHLIGHTS,
+  onClearHighlights,
+  reducedMotion,
+  initialLayoutMode = 'layered',
+  renderer: initialRenderer
 }) {
-  const svgRef = useRef(null);
-  const [layout, setLayout] = useState({ nodes: [], edges: [] });
+  const containerRef = useRef(null);
   const [dimensions, setDimensions] = useState({ width: 800, height: 600 });
+  const [ownView, setOwnView] = useState(null);
+  const view = onViewChange ? controlledView : ownView;
+  const updateView = onViewChange || setOwnView;
+  const [isDragging, setIsDragging] = useState(false);
+  // Pointers pressed on the graph (id -> offset from centre), and the current drag
+  const pointers = useRef(new Map());
+  const drag = useRef(null);
+  const hasNodes = graphData.nodes.length > 0;
+  const isLarge = (limit) => graphData.nodes.length > limit;
+  // null follows the reducedMotion prop, or else the system setting
+  const [motionChoice, setMotionChoice] = useState(null);
+  const [showMinimap, setShowMinimap] = useState(true);
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const reduceMotion = motionChoice ?? reducedMotion ?? prefersReducedMotion;
+  // null picks by graph size
+  const [layoutChoice, setLayoutChoice] = useState(null);
+  const layoutMode = layoutChoice ?? (isLarge(LAYERED_NODE_LIMIT) ? 'lanes' : initialLayoutMode);
+  const [rendererChoice, setRendererChoice] = useState(null);
+  const renderer = rendererChoice ?? initialRenderer ?? (isLarge(CANVAS_NODE_LIMIT) ? 'canvas' : 'svg');
 
-  // Calculate layout when graph data changes
-  useEffect(() => {
-    if (graphData.nodes.length > 0) {
-      const layoutData = calculateLayout(
-        [...graphData.nodes],
-        [...graphData.edges],
-        {
-          nodeWidth: 120,
-          nodeHeight: 60,
-          horizontalGap: 150,
-          verticalGap: 100
-        }
-      );
-      setLayout(layoutData);
-    }
-  }, [graphData]);
+  // Calculate layout when graph data or the layout mode changes
+  const layout = useMemo(() => computeLayout(graphData, layoutMode), [graphData, layoutMode]);
+
+  // Branch and tag labels at their place in the layout, stacked beside their commit
+  const refLabels = useMemo(() => {
+    const positions = new Map(layout.nodes.map(node => [node.id, node]));
+    return Array.from(getRefLabels(graphData).entries()).flatMap(([commitHash, commitLabels]) => {
+      const node = positions.get(commitHash);
+      if (!node) return [];
+      return commitLabels.map((label, index) => ({
+        ...label,
+        commit: commitHash,
+        x: node.x + 70,
+        y: node.y - 30 + index * 24
+      }));
+    });
+  }, [graphData, layout]);
+
+  // Algorithm results drawn over the graph, see graphHighlights
+  const highlight = useMemo(() => resolveHighlights(highlights, graphData.edges), [highlights, graphData.edges]);
+
+  // Branch tips in their colours, for the minimap
+  const branchTips = useMemo(() => (
+    Object.values(graphData.branches).map(commit => ({ commit, color: getBranchColor(graphData, commit) }))
+  ), [graphData]);
+
+  // What is drawn: the layout, or a frame of the transition towards it
+  const frame = useAnimatedLayout(layout, refLabels, {
+    reducedMotion: reduceMotion || isLarge(ANIMATION_NODE_LIMIT),
+    nodeHeight: NODE_HEIGHT
+  });
 
   // Update dimensions on window resize
   useEffect(() => {
     const updateDimensions = () => {
-      if (svgRef.current) {
-        const parent = svgRef.current.parentElement;
+      if (containerRef.current) {
         setDimensions({
-          width: parent.clientWidth,
-          height: parent.clientHeight
+          width: containerRef.current.clientWidth,
+          height: containerRef.current.clientHeight
         });
       }
     };
@@ -50,56 +258,134 @@ export default function CommitGraph({
     updateDimensions();
     window.addEventListener('resize', updateDimensions);
     return () => window.removeEventListener('resize', updateDimensions);
-  }, []);
-
-  // Calculate viewBox to center the graph
-  const viewBox = () => {
-    if (layout.nodes.length === 0) return '0 0 800 600';
-    
-    const padding = 100;
-    const minX = Math.min(...layout.nodes.map(n => n.x)) - padding;
-    const maxX = Math.max(...layout.nodes.map(n => n.x)) + padding;
-    const minY = Math.min(...layout.nodes.map(n => n.y)) - padding;
-    const maxY = Math.max(...layout.nodes.map(n => n.y)) + padding;
-    
-    const width = maxX - minX;
-    const height = maxY - minY;
-    
-    return `${minX - panOffset.x / zoomLevel} ${minY - panOffset.y / zoomLevel} ${width / zoomLevel} ${height / zoomLevel}`;
-  };
+  }, [hasNodes]);
 
-  // Get branch color
-  const getBranchColor = (nodeId) => {
-    const colors = {
-      main: '#4CAF50',
-      'feature-branch': '#2196F3',
-      default: '#9C27B0'
+  // Graph region on screen, and only what lies inside it is drawn.
+  // Until there is a view, the graph is shown fitted.
+  const bounds = useMemo(() => layoutBounds(layout.nodes), [layout]);
+  const shownView = useMemo(() => view ?? fitView(bounds, dimensions), [view, bounds, dimensions]);
+  const viewBox = useMemo(() => viewBoxOf(shownView, dimensions), [shownView, dimensions]);
+  const visible = useMemo(
+    () => cullFrame(frame, visibleRect(viewBox, dimensions, CULL_MARGIN)),
+    [frame, viewBox, dimensions]
+  );
+  const detailed = viewTransform(viewBox, dimensions).scale >= DETAIL_SCALE;
+
+  // Fit the graph once it can be measured; after that the view stays put
+  // when the graph changes, until it is fitted again
+  useEffect(() => {
+    if (view || !hasNodes || !containerRef.current) return;
+    const { clientWidth: width, clientHeight: height } = containerRef.current;
+    updateView(fitView(bounds, { width, height }));
+  }, [view, hasNodes, bounds, updateView]);
+
+  // Wheel zoom around the cursor. Added by hand, since React's wheel
+  // listener is passive and could not stop the page from scrolling.
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+    const handleWheel = (e) => {
+      if (e.target.closest('.graph-options, .graph-corner')) return;
+      e.preventDefault();
+      const pixels = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? container.clientHeight : 1);
+      // Touchpad pinches arrive as wheel events with ctrlKey set, in smaller steps
+      const factor = Math.exp(-pixels * (e.ctrlKey ? 0.01 : 0.0015));
+      const anchor = offsetFromCenter(container, e);
+      updateView(current => zoomView(current ?? shownView, factor, anchor));
     };
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [hasNodes, shownView, updateView]);
+
+  const setDragging = (dragging) => {
+    setIsDragging(dragging);
+    if (onDraggingChange) onDraggingChange(dragging);
+  };
+
+  // Drag with one pointer to pan, pinch with two to zoom (touch screens)
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || e.target.closest('.graph-options, .graph-warnings, .graph-corner')) return;
+    const point = offsetFromCenter(containerRef.current, e);
+    pointers.current.set(e.pointerId, point);
+    if (pointers.current.size === 1) {
+      drag.current = { start: point, moved: false };
+    } else {
+      drag.current.moved = true;
+      pointers.current.forEach((_, id) => containerRef.current.setPointerCapture(id));
+      setDragging(true);
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const previous = pointers.current.get(e.pointerId);
+    if (!previous) return;
+    const point = offsetFromCenter(containerRef.current, e);
 
-    for (const [branch, hash] of Object.entries(graphData.branches)) {
-      if (hash === nodeId) {
-        return colors[branch] || colors.default;
+    if (pointers.current.size === 1) {
+      if (!drag.current.moved) {
+        if (Math.hypot(point.x - drag.current.start.x, point.y - drag.current.start.y) < DRAG_THRESHOLD) return;
+        drag.current.moved = true;
+        containerRef.current.setPointerCapture(e.pointerId);
+        setDragging(true);
       }
+      pointers.current.set(e.pointerId, point);
+      updateView(current => panView(current ?? shownView, point.x - previous.x, point.y - previous.y));
+      return;
+    }
+
+    // Pinch: the midpoint pans, the change in distance zooms around it
+    const [other] = [...pointers.current].filter(([id]) => id !== e.pointerId).map(([, p]) => p);
+    pointers.current.set(e.pointerId, point);
+    const before = Math.hypot(previous.x - other.x, previous.y - other.y);
+    const after = Math.hypot(point.x - other.x, point.y - other.y);
+    const middle = { x: (point.x + other.x) / 2, y: (point.y + other.y) / 2 };
+    const dx = (point.x - previous.x) / 2;
+    const dy = (point.y - previous.y) / 2;
+    updateView(current => zoomView(panView(current ?? shownView, dx, dy), before > 0 ? after / before : 1, middle));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!pointers.current.delete(e.pointerId)) return;
+    if (pointers.current.size === 0 && isDragging) setDragging(false);
+  };
+
+  // The click that ends a drag does not select a commit
+  const handleClickCapture = (e) => {
+    if (drag.current?.moved) {
+      e.stopPropagation();
+      drag.current = null;
     }
-    return '#757575';
   };
 
-  // Render edge (connection between commits)
-  const renderEdge = (edge, index) => {
-    if (!edge.x1 || !edge.y1 || !edge.x2 || !edge.y2) return null;
+  const zoomBy = (factor) => updateView(current => zoomView(current ?? shownView, factor));
+  const fitGraph = () => updateView(() => fitView(bounds, dimensions));
+  const centerAt = (x, y) => updateView(current => centerView(current ?? shownView, x, y));
+  const centerOn = (commitId) => {
+    const node = layout.nodes.find(candidate => candidate.id === commitId);
+    if (node) centerAt(node.x, node.y);
+  };
 
-    // Use cubic Bezier curve for smooth connections
-    const path = `M ${edge.x1},${edge.y1} C ${edge.controlX1},${edge.controlY1} ${edge.controlX2},${edge.controlY2} ${edge.x2},${edge.y2}`;
+  const getNodeColor = useCallback((node) => (
+    node.reachable === false ? '#9E9E9E' : getBranchColor(graphData, node.id)
+  ), [graphData]);
+
+  // Render edge (connection between commits)
+  const renderEdge = (edge) => {
+    // Cubic Bezier curves (layered) or lane connectors, see routeEdge
+    if (!edge.path) return null;
+    const highlightColor = highlight.edges.get(`${edge.from}->${edge.to}`);
+    const emphasis = highlightColor ? 1.5 : highlight.active ? DIMMED_OPACITY : 1;
 
     return (
       <path
-        key={`edge-${index}`}
-        d={path}
-        stroke="#666"
-        strokeWidth="2"
+        key={`edge-${edge.from}-${edge.to}`}
+        d={edge.path}
+        stroke={highlightColor || '#666'}
+        strokeLinejoin="round"
+        strokeWidth={highlightColor ? 4 : 2}
         fill="none"
-        markerEnd="url(#arrowhead)"
-        opacity="0.6"
+        markerEnd={detailed ? 'url(#arrowhead)' : undefined}
+        opacity={Math.min(1, 0.6 * emphasis) * (edge.opacity ?? 1)}
       />
     );
   };
@@ -108,17 +394,59 @@ export default function CommitGraph({
   const renderNode = (node) => {
     const isSelected = selectedCommit?.hash === node.id;
     const isHovered = hoveredNode === node.id;
-    const color = getBranchColor(node.id);
+    const isHighlighted = highlightedCommit === node.id;
+    // Commits only the reflog still points at are drawn greyed out
+    const isUnreachable = node.reachable === false;
+    const color = getNodeColor(node);
+    const scale = node.scale ?? 1;
+    const marks = highlight.nodes.get(node.id) || [];
+    const opacity = (isUnreachable ? 0.6 : 1) * (node.opacity ?? 1) *
+      (highlight.active && marks.length === 0 ? DIMMED_OPACITY : 1);
+
+    // Zoomed far out: a dot per commit, no text
+    if (!detailed) {
+      return (
+        <g
+          key={node.id}
+          transform={`translate(${node.x}, ${node.y})${scale === 1 ? '' : ` scale(${scale})`}`}
+          onClick={() => onCommitClick && onCommitClick(node.id)}
+          onMouseEnter={() => onNodeHover && onNodeHover(node.id)}
+          onMouseLeave={() => onNodeHover && onNodeHover(null)}
+          style={{ cursor: 'pointer', pointerEvents: node.exiting ? 'none' : undefined }}
+          opacity={opacity}
+        >
+          <title>{`${node.hash} ${node.message}`}</title>
+          {isHighlighted && <circle r={22} fill="none" stroke="#FFC107" strokeWidth={4} />}
+          <circle r={14} fill={color} stroke={isSelected ? '#333' : color} strokeWidth={isSelected ? 3 : 1.5} />
+          {renderHighlightMarks(marks, false)}
+        </g>
+      );
+    }
 
     return (
       <g
         key={node.id}
-        transform={`translate(${node.x}, ${node.y})`}
+        transform={`translate(${node.x}, ${node.y})${scale === 1 ? '' : ` scale(${scale})`}`}
         onClick={() => onCommitClick && onCommitClick(node.id)}
         onMouseEnter={() => onNodeHover && onNodeHover(node.id)}
         onMouseLeave={() => onNodeHover && onNodeHover(null)}
-        style={{ cursor: 'pointer' }}
+        style={{ cursor: 'pointer', pointerEvents: node.exiting ? 'none' : undefined }}
+        opacity={opacity}
       >
+        {/* Highlight ring (e.g. a reflog entry) */}
+        {isHighlighted && (
+          <rect
+            x={-68}
+            y={-38}
+            width={136}
+            height={76}
+            rx={12}
+            fill="none"
+            stroke="#FFC107"
+            strokeWidth={4}
+          />
+        )}
+
         {/* Node background */}
         <rect
           x={-60}
@@ -129,6 +457,7 @@ export default function CommitGraph({
           fill={isSelected ? color : isHovered ? '#f5f5f5' : 'white'}
           stroke={color}
           strokeWidth={isSelected ? 3 : isHovered ? 2 : 1.5}
+          strokeDasharray={isUnreachable ? '6 4' : undefined}
           filter={isHovered ? 'url(#shadow)' : ''}
         />
         
@@ -166,43 +495,37 @@ export default function CommitGraph({
         >
           {node.author.split('<')[0].trim()}
         </text>
+
+        {/* Highlight layers the commit is in */}
+        {renderHighlightMarks(marks, true)}
       </g>
     );
   };
 
-  // Render branch labels
-  const renderBranchLabels = () => {
-    return Object.entries(graphData.branches).map(([branchName, commitHash]) => {
-      const node = layout.nodes.find(n => n.id === commitHash);
-      if (!node) return null;
-
-      const isCurrent = graphData.HEAD === branchName;
-      const color = getBranchColor(commitHash);
-
-      return (
-        <g key={`branch-${branchName}`} transform={`translate(${node.x + 70}, ${node.y - 30})`}>
-          <rect
-            x={0}
-            y={0}
-            width={branchName.length * 7 + 20}
-            height={20}
-            rx={10}
-            fill={color}
-            opacity={0.9}
-          />
-          <text
-            x={10}
-            y={14}
-            fontSize={11}
-            fontWeight="bold"
-            fill="white"
-          >
-            {isCurrent && '→ '}{branchName}
-          </text>
-        </g>
-      );
-    });
-  };
+  // Render branch and tag labels
+  const renderRefLabel = (label) => (
+    <g key={label.key} transform={`translate(${label.x}, ${label.y})`} opacity={label.opacity ?? 1}>
+      {label.title && <title>{label.title}</title>}
+      <rect
+        x={0}
+        y={0}
+        width={label.text.length * 7 + 20}
+        height={20}
+        rx={label.key.startsWith('tag-') ? 3 : 10}
+        fill={label.color}
+        opacity={0.9}
+      />
+      <text
+        x={10}
+        y={14}
+        fontSize={11}
+        fontWeight="bold"
+        fill="white"
+      >
+        {label.text}
+      </text>
+    </g>
+  );
 
   if (layout.nodes.length === 0) {
     return (
@@ -213,55 +536,184 @@ export default function CommitGraph({
   }
 
   return (
-    <svg
-      ref={svgRef}
-      width={dimensions.width}
-      height={dimensions.height}
-      viewBox={viewBox()}
-      style={{ background: '#fafafa', border: '1px solid #ddd' }}
+    <div
+      className={`commit-graph ${isDragging ? 'dragging' : ''}`}
+      ref={containerRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onPointerLeave={handlePointerUp}
+      onClickCapture={handleClickCapture}
     >
-      {/* Definitions for reusable elements */}
-      <defs>
-        {/* Arrow marker for edges */}
-        <marker
-          id="arrowhead"
-          markerWidth="10"
-          markerHeight="10"
-          refX="9"
-          refY="3"
-          orient="auto"
-        >
-          <polygon points="0 0, 10 3, 0 6" fill="#666" />
-        </marker>
-        
-        {/* Shadow filter */}
-        <filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">
-          <feGaussianBlur in="SourceAlpha" stdDeviation="3" />
-          <feOffset dx="2" dy="2" result="offsetblur" />
-          <feComponentTransfer>
-            <feFuncA type="linear" slope="0.3" />
-          </feComponentTransfer>
-          <feMerge>
-            <feMergeNode />
-            <feMergeNode in="SourceGraphic" />
-          </feMerge>
-        </filter>
-      </defs>
-
-      {/* Render edges first (so they appear below nodes) */}
-      <g id="edges">
-        {layout.edges.map((edge, index) => renderEdge(edge, index))}
-      </g>
+      {/* Detached HEAD warnings */}
+      {(graphData.detached || leftBehindCommits.length > 0) && (
+        <div className="graph-warnings">
+          {graphData.detached && (
+            <div className="graph-warning">
+              ⚠️ You are in <strong>detached HEAD</strong> state at{' '}
+              <code>{graphData.headCommit?.slice(0, 7)}</code>. New commits will not belong to any branch.
+            </div>
+          )}
+          {leftBehindCommits.length > 0 && (
+            <div className="graph-warning danger">
+              ⚠️ You left {leftBehindCommits.length} commit{leftBehindCommits.length > 1 ? 's' : ''} behind,
+              not connected to any branch:{' '}
+              {leftBehindCommits.map(hash => <code key={hash}>{hash.slice(0, 7)}</code>)}
+              <div className="graph-warning-hint">
+                Keep them with <code>git branch &lt;new-branch-name&gt; {leftBehindCommits[0].slice(0, 7)}</code>
+              </div>
+              {onDismissWarning && (
+                <button className="close-btn" onClick={onDismissWarning}>×</button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      {renderer === 'canvas' ? (
+        <GraphCanvas
+          nodes={visible.nodes}
+          edges={visible.edges}
+          labels={visible.labels}
+          viewBox={viewBox}
+          dimensions={dimensions}
+          detailed={detailed}
+          getNodeColor={getNodeColor}
+          selectedId={selectedCommit?.hash}
+          hoveredId={hoveredNode}
+          highlightedId={highlightedCommit}
+          highlight={highlight}
+          onNodeClick={onCommitClick}
+          onNodeHover={onNodeHover}
+        />
+      ) : (
+      <svg
+        width={dimensions.width}
+        height={dimensions.height}
+        viewBox={`${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`}
+        style={{ background: '#fafafa', border: '1px solid #ddd' }}
+      >
+        {/* Definitions for reusable elements */}
+        <defs>
+          {/* Arrow marker for edges */}
+          <marker
+            id="arrowhead"
+            markerWidth="10"
+            markerHeight="10"
+            refX="9"
+            refY="3"
+            orient="auto"
+          >
+            <polygon points="0 0, 10 3, 0 6" fill="#666" />
+          </marker>
+          
+          {/* Shadow filter */}
+          <filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">
+            <feGaussianBlur in="SourceAlpha" stdDeviation="3" />
+            <feOffset dx="2" dy="2" result="offsetblur" />
+            <feComponentTransfer>
+              <feFuncA type="linear" slope="0.3" />
+            </feComponentTransfer>
+            <feMerge>
+              <feMergeNode />
+              <feMergeNode in="SourceGraphic" />
+            </feMerge>
+          </filter>
+        </defs>
 
-      {/* Render nodes */}
-      <g id="nodes">
-        {layout.nodes.map(node => renderNode(node))}
-      </g>
+        {/* Render edges first (so they appear below nodes) */}
+        <g id="edges">
+          {visible.edges.map(edge => renderEdge(edge))}
+        </g>
 
-      {/* Render branch labels */}
-      <g id="branches">
-        {renderBranchLabels()}
-      </g>
-    </svg>
+        {/* Render nodes */}
+        <g id="nodes">
+          {visible.nodes.map(node => renderNode(node))}
+        </g>
+
+        {/* Render branch and tag labels */}
+        <g id="branches">
+          {visible.labels.map(label => renderRefLabel(label))}
+        </g>
+      </svg>
+      )}
+      <div className="graph-corner">
+        {highlight.active && (
+          <div className="graph-highlight-legend">
+            {highlight.layers.map((layer, index) => (
+              <div key={index} className="graph-highlight-layer">
+                <span className="graph-highlight-swatch" style={{ background: layer.color }} />
+                {layer.label || 'Highlight'} ({layer.nodes.length})
+              </div>
+            ))}
+            {onClearHighlights && (
+              <button onClick={onClearHighlights}>Clear highlights</button>
+            )}
+          </div>
+        )}
+        {showMinimap && (
+          <GraphMinimap
+            nodes={layout.nodes}
+            edges={layout.edges}
+            bounds={bounds}
+            viewRect={visibleRect(viewBox, dimensions)}
+            tips={branchTips}
+            onCenter={centerAt}
+          />
+        )}
+      </div>
+      <div className="graph-options">
+        <div className="graph-view-controls">
+          <button onClick={() => zoomBy(0.8)} title="Zoom out" aria-label="Zoom out">−</button>
+          <span className="graph-zoom">{Math.round(shownView.scale * 100)}%</span>
+          <button onClick={() => zoomBy(1.25)} title="Zoom in" aria-label="Zoom in">+</button>
+          <button onClick={fitGraph} title="Show the whole graph">Fit</button>
+          <button
+            onClick={() => centerOn(graphData.headCommit)}
+            disabled={!graphData.headCommit}
+            title="Center on the commit HEAD points at"
+          >
+            HEAD
+          </button>
+          <button
+            onClick={() => centerOn(selectedCommit?.hash)}
+            disabled={!selectedCommit}
+            title="Center on the selected commit"
+          >
+            Selected
+          </button>
+        </div>
+        <select value={layoutMode} onChange={(e) => setLayoutChoice(e.target.value)} aria-label="Graph layout">
+          {Object.entries(LAYOUT_MODES).map(([mode, name]) => (
+            <option key={mode} value={mode}>{name}</option>
+          ))}
+        </select>
+        <select value={renderer} onChange={(e) => setRendererChoice(e.target.value)} aria-label="Renderer">
+          {Object.entries(RENDERERS).map(([mode, name]) => (
+            <option key={mode} value={mode}>{name}</option>
+          ))}
+        </select>
+        <span className="graph-crossings" title="Commits in the graph, drawn now (in view), and layout time">
+          {layout.nodes.length} commits · {visible.nodes.length} drawn · {Math.round(layout.milliseconds)} ms
+        </span>
+        {layout.crossings !== undefined && (
+          <span className="graph-crossings" title="Edge crossings after ordering the layers (before ordering)">
+            {layout.crossings} crossing{layout.crossings === 1 ? '' : 's'} ({layout.initialCrossings} before)
+          </span>
+        )}
+        <label>
+          <input
+            type="checkbox"
+            checked={reduceMotion}
+            onChange={(e) => setMotionChoice(e.target.checked)}
+          />
+          Reduce motion
+        </label>
+        <label>
+          <input type="checkbox" checked={showMinimap} onChange={(e) => setShowMinimap(e.target.checked)} />
+          Minimap
+        </label>
+      </div>
+    </div>
   );
 }
\ No newline at end of file
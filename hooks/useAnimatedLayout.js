@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef, useMemo, useSyncExternalStore } from 'react';
+import { easeInOutCubic, interpolateFrame, planTransition } from '../utils/graphAnimation';
+
+const EMPTY_FRAME = { nodes: [], edges: [], labels: [] };
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// The operating system's "reduce motion" setting, kept up to date
+function subscribeReducedMotion(onChange) {
+  const query = window.matchMedia(REDUCED_MOTION_QUERY);
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+}
+
+export function usePrefersReducedMotion() {
+  return useSyncExternalStore(
+    subscribeReducedMotion,
+    () => window.matchMedia(REDUCED_MOTION_QUERY).matches,
+    () => false
+  );
+}
+
+/**
+ * Animate from the graph on screen to each new layout
+ * Nodes are matched by commit id and ref labels by ref name, so a commit
+ * that moves slides and a branch that moves glides to its new commit.
+ * `labels` are [{ key, commit, x, y, ... }] and must be memoized, like
+ * `layout` - a new array starts a new transition.
+ * With `reducedMotion` the layout is shown as is.
+ */
+export function useAnimatedLayout(layout, labels, { duration = 450, reducedMotion = false, nodeHeight = 60 } = {}) {
+  const [frame, setFrame] = useState(EMPTY_FRAME);
+  // Whatever is on screen right now, so a transition can start mid-way through another
+  const shownFrame = useRef(EMPTY_FRAME);
+  const staticFrame = useMemo(() => ({ ...layout, labels }), [layout, labels]);
+
+  useEffect(() => {
+    if (reducedMotion) {
+      shownFrame.current = staticFrame;
+      return undefined;
+    }
+
+    const transition = planTransition(shownFrame.current, layout, labels);
+    let start = null;
+    let handle = null;
+    const step = (now) => {
+      if (start === null) start = now;
+      const progress = Math.min(1, (now - start) / duration);
+      const next = interpolateFrame(transition, easeInOutCubic(progress), { done: progress === 1, nodeHeight });
+      shownFrame.current = next;
+      setFrame(next);
+      if (progress < 1) handle = requestAnimationFrame(step);
+    };
+    handle = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(handle);
+  }, [layout, labels, staticFrame, duration, reducedMotion, nodeHeight]);
+
+  return reducedMotion ? staticFrame : frame;
+}
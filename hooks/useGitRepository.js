@@ -1,5 +1,64 @@
-import { useState, useEffect, useCallback } from 'react';
-import { GitRepository, createSampleRepository } from '../utils/gitStructures';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { createSampleRepository, playScenario, parseScenario, BUILTIN_SCENARIOS } from '../utils/scenarios';
+import { diffCommits } from '../utils/diffAlgorithms';
+import { exportRepositoryZip } from '../utils/gitExport';
+import { generateSyntheticRepository } from '../utils/syntheticRepository';
+import { panView, zoomView } from '../utils/graphViewport';
+import { createHighlightLayer } from '../utils/graphHighlights';
+import {
+  serializeRepository, deserializeRepository, repositoryToJSON, repositoryFromJSON, encodeSnapshot, decodeSnapshot
+} from '../utils/repositorySerializer';
+import { AUTOSAVE_SLOT, saveSlot, loadSlot, listSlots, deleteSlot } from '../utils/repositoryStore';
+import { executeCommand, completeCommand } from '../utils/gitCommands';
+
+// Wait for changes to settle before writing the autosave
+const AUTOSAVE_DELAY = 500;
+
+// Oldest undo steps are dropped beyond this many
+const HISTORY_LIMIT = 100;
+
+/**
+ * Whether two repository snapshots hold the same state. The object store
+ * is shared, so only a gc (which replaces it) changes it; index entries
+ * are compared by hash and mode, every other value as is.
+ */
+function sameSnapshot(a, b) {
+  const sameMap = (x, y, same = (v, w) => v === w) => (
+    x.size === y.size && [...x].every(([key, value]) => y.has(key) && same(value, y.get(key)))
+  );
+  return a.objects === b.objects &&
+    sameMap(a.refs, b.refs) &&
+    a.HEAD.type === b.HEAD.type && a.HEAD.ref === b.HEAD.ref && a.HEAD.hash === b.HEAD.hash &&
+    sameMap(a.reflogs, b.reflogs, (x, y) => x.length === y.length) &&
+    sameMap(a.index, b.index, (x, y) => x.hash === y.hash && x.mode === y.mode) &&
+    sameMap(a.workingDirectory, b.workingDirectory);
+}
+
+/**
+ * The repository to start from: a snapshot shared in the URL fragment,
+ * else the last autosave, else null (keep the sample repository).
+ * Returns { repository, fromLink, linkError }. The URL is left alone:
+ * the caller drops the fragment once it has applied the result, so a
+ * cancelled first run (StrictMode) still finds it.
+ */
+async function restoreInitialRepository() {
+  let linkError = null;
+  try {
+    const shared = decodeSnapshot(window.location.hash);
+    if (shared) return { repository: shared, fromLink: true, linkError };
+  } catch (error) {
+    console.error('Error reading share link:', error);
+    linkError = 'The share link could not be read';
+  }
+  const saved = await loadSlot(AUTOSAVE_SLOT);
+  return { repository: saved ? deserializeRepository(saved) : null, fromLink: linkError !== null, linkError };
+}
+
+// Drop the fragment so a reload picks up later changes from the autosave
+// (and a broken link does not fail again)
+function clearLocationFragment() {
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
 
 /**
  * Custom React Hook for Git Repository State Management
@@ -7,19 +66,29 @@ import { GitRepository, createSampleRepository } from '../utils/gitStructures';
  */
 export function useGitRepository() {
   const [repository, setRepository] = useState(null);
-  const [graphData, setGraphData] = useState({ nodes: [], edges: [], branches: {}, HEAD: '' });
+  const [graphData, setGraphData] = useState({
+    nodes: [], edges: [], branches: {}, tags: {}, remotes: {}, HEAD: '', headCommit: null, detached: false
+  });
   const [stats, setStats] = useState(null);
   const [selectedCommit, setSelectedCommit] = useState(null);
   const [commitHistory, setCommitHistory] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-
-  // Initialize repository on mount
-  useEffect(() => {
-    const repo = createSampleRepository();
-    setRepository(repo);
-    updateGraphData(repo);
-    setIsLoading(false);
-  }, []);
+  const [leftBehindCommits, setLeftBehindCommits] = useState([]);
+  const [reflog, setReflog] = useState({});
+  const [highlightedCommit, setHighlightedCommit] = useState(null);
+  const [lastAutosave, setLastAutosave] = useState(null);
+  const [restoreError, setRestoreError] = useState(null);
+  // Autosave only once the stored session has been restored (or found
+  // missing), so the sample repository never overwrites it
+  const autosaveEnabled = useRef(false);
+  // Undo/redo: a snapshot after every operation and the step being shown
+  const [operationHistory, setOperationHistory] = useState({ steps: [], position: -1 });
+  // Guided lesson: the scenario being played, a snapshot per step and the step shown
+  const [lesson, setLesson] = useState(null);
+  const [workingState, setWorkingState] = useState({
+    files: [],
+    status: { staged: [], unstaged: [], untracked: [] }
+  });
 
   // Update graph data from repository
   const updateGraphData = useCallback((repo) => {
@@ -31,67 +100,364 @@ export function useGitRepository() {
     
     const history = repo.getCommitHistory();
     setCommitHistory(history);
+
+    // Reflogs of HEAD and every branch, newest entry first
+    setReflog(Object.fromEntries(
+      [...repo.reflogs.keys()].map(ref => [ref, repo.getReflog(ref)])
+    ));
+
+    setWorkingState({
+      files: [...repo.workingDirectory.keys()].sort().map(path => ({
+        path,
+        content: repo.readWorkingFile(path)
+      })),
+      status: repo.status()
+    });
+  }, []);
+
+  // Start a fresh undo history at the repository's current state
+  const startHistory = useCallback((repo, label) => {
+    setOperationHistory({
+      steps: [{ label, timestamp: new Date().toISOString(), snapshot: repo.snapshot() }],
+      position: 0
+    });
   }, []);
 
-  // Create a new commit
-  const createCommit = useCallback((message, author, files) => {
+  // Record the state after an operation as a new undo step (unless
+  // nothing changed). Steps after the current position - operations
+  // that were undone - are discarded.
+  const recordStep = useCallback((label) => {
     if (!repository) return;
 
-    try {
-      // Import necessary classes
-      const { GitBlob, GitTree } = require('../utils/gitStructures');
-      
-      // Create blobs for files
-      const blobs = files.map(file => {
-        const blob = new GitBlob(file.content);
-        repository.storeObject(blob);
-        return { name: file.name, hash: blob.hash };
+    const step = { label, timestamp: new Date().toISOString(), snapshot: repository.snapshot() };
+    setOperationHistory(previous => {
+      const current = previous.steps[previous.position];
+      if (current && sameSnapshot(current.snapshot, step.snapshot)) return previous;
+      const steps = [...previous.steps.slice(0, previous.position + 1), step].slice(-HISTORY_LIMIT);
+      return { steps, position: steps.length - 1 };
+    });
+  }, [repository]);
+
+  // Initialize repository on mount, then restore a shared or autosaved session
+  useEffect(() => {
+    const repo = createSampleRepository();
+    setRepository(repo);
+    updateGraphData(repo);
+    startHistory(repo, 'Sample repository');
+    setIsLoading(false);
+
+    let cancelled = false;
+    restoreInitialRepository()
+      .then(({ repository: restored, fromLink, linkError }) => {
+        if (cancelled) return;
+        autosaveEnabled.current = true;
+        if (restored) {
+          setRepository(restored);
+          updateGraphData(restored);
+          startHistory(restored, 'Restored session');
+        }
+        if (fromLink) clearLocationFragment();
+        if (linkError) setRestoreError(linkError);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error restoring session:', error);
+        autosaveEnabled.current = true;
       });
+    return () => { cancelled = true; };
+  }, [updateGraphData, startHistory]);
+
+  // Autosave after every change (stats change whenever the graph is refreshed)
+  useEffect(() => {
+    if (!repository || !autosaveEnabled.current) return;
 
-      // Create tree
-      const tree = new GitTree();
-      blobs.forEach(blob => {
-        tree.addEntry('100644', blob.name, blob.hash, 'blob');
+    const timer = setTimeout(() => {
+      saveSlot(AUTOSAVE_SLOT, serializeRepository(repository))
+        .then(() => setLastAutosave(new Date().toISOString()))
+        .catch(error => console.error('Error autosaving session:', error));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [repository, stats]);
+
+  // Run an index / working directory operation and refresh state
+  const runWorkingOperation = useCallback((operation, label) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      operation(repository);
+      updateGraphData(repository);
+      recordStep(label);
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating working directory:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository, updateGraphData, recordStep]);
+
+  // Add or modify a working directory file
+  const writeFile = useCallback((path, content) => (
+    runWorkingOperation(repo => repo.writeFile(path, content), `edit ${path}`)
+  ), [runWorkingOperation]);
+
+  // Delete a working directory file
+  const deleteFile = useCallback((path) => (
+    runWorkingOperation(repo => repo.deleteFile(path), `delete ${path}`)
+  ), [runWorkingOperation]);
+
+  // Stage a path (git add)
+  const stageFile = useCallback((path) => (
+    runWorkingOperation(repo => repo.stage(path), `git add ${path}`)
+  ), [runWorkingOperation]);
+
+  // Stage every change (git add -A)
+  const stageAll = useCallback(() => (
+    runWorkingOperation(repo => repo.stageAll(), 'git add -A')
+  ), [runWorkingOperation]);
+
+  // Unstage a path (git restore --staged)
+  const unstageFile = useCallback((path) => (
+    runWorkingOperation(repo => repo.unstage(path), `git restore --staged ${path}`)
+  ), [runWorkingOperation]);
+
+  // Remove a path from the index and working directory (git rm)
+  const removeFile = useCallback((path, options = {}) => (
+    runWorkingOperation(
+      repo => repo.removeFile(path, options),
+      `git rm ${options.cached ? '--cached ' : ''}${path}`
+    )
+  ), [runWorkingOperation]);
+
+  // Create a new commit from the index.
+  // Any `files` passed in are written and staged first, on top of HEAD's tree.
+  const createCommit = useCallback((message, author, files = []) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      files.forEach(file => {
+        repository.writeFile(file.name, file.content);
+        repository.stage(file.name);
       });
-      repository.storeObject(tree);
 
-      // Create commit
-      const commit = repository.commit(tree.hash, message, author);
+      const commit = repository.commitIndex(message, author);
       
       updateGraphData(repository);
+      recordStep(`git commit -m "${message.split('\n')[0]}"`);
       setSelectedCommit(commit);
       
-      return commit;
+      return { success: true, commit };
     } catch (error) {
       console.error('Error creating commit:', error);
-      return null;
+      updateGraphData(repository);
+      return { success: false, error: error.message };
     }
-  }, [repository, updateGraphData]);
+  }, [repository, updateGraphData, recordStep]);
 
   // Create a new branch
-  const createBranch = useCallback((branchName, commitHash = null) => {
+  const createBranch = useCallback((branchName, commitHash = null, options = {}) => {
     if (!repository) return false;
 
     try {
-      repository.createBranch(branchName, commitHash);
+      repository.createBranch(branchName, commitHash, options);
       updateGraphData(repository);
+      recordStep(`git branch ${options.force ? '-f ' : ''}${branchName}${commitHash ? ` ${commitHash.slice(0, 7)}` : ''}`);
       return true;
     } catch (error) {
       console.error('Error creating branch:', error);
       return false;
     }
-  }, [repository, updateGraphData]);
+  }, [repository, updateGraphData, recordStep]);
+
+  // Run a branch / reset operation and refresh state
+  const runRefOperation = useCallback((operation, label) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      operation(repository);
+      updateGraphData(repository);
+      recordStep(label);
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating refs:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository, updateGraphData, recordStep]);
+
+  // Delete a branch (options.force skips the "fully merged" check)
+  const deleteBranch = useCallback((branchName, options = {}) => (
+    runRefOperation(
+      repo => repo.deleteBranch(branchName, options),
+      `git branch ${options.force ? '-D' : '-d'} ${branchName}`
+    )
+  ), [runRefOperation]);
+
+  // Rename a branch
+  const renameBranch = useCallback((oldName, newName, options = {}) => (
+    runRefOperation(
+      repo => repo.renameBranch(oldName, newName, options),
+      `git branch ${options.force ? '-M' : '-m'} ${oldName} ${newName}`
+    )
+  ), [runRefOperation]);
+
+  // Point an existing branch at another commit (git branch -f)
+  const forceBranch = useCallback((branchName, target) => (
+    runRefOperation(
+      repo => repo.createBranch(branchName, target, { force: true }),
+      `git branch -f ${branchName} ${target}`
+    )
+  ), [runRefOperation]);
+
+  // Move HEAD with git reset --soft / --mixed / --hard
+  const resetHead = useCallback((target, mode = 'mixed') => (
+    runRefOperation(repo => repo.reset(target, mode), `git reset --${mode} ${target}`)
+  ), [runRefOperation]);
+
+  // Commits that a set of ref moves would leave unreachable
+  // (empty while the target does not resolve yet)
+  const previewUnreachable = useCallback((changes) => {
+    if (!repository) return [];
+
+    try {
+      return repository.findCommitsMadeUnreachable(changes);
+    } catch {
+      return [];
+    }
+  }, [repository]);
+
+  // Check the object database (git fsck)
+  const runFsck = useCallback(() => {
+    if (!repository) return null;
+    return repository.fsck();
+  }, [repository]);
+
+  // Prune unreachable objects (git gc)
+  const runGc = useCallback((options = {}) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      const result = repository.gc(options);
+      updateGraphData(repository);
+      recordStep(options.expireReflog ? 'git reflog expire --all && git gc' : 'git gc');
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error running gc:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository, updateGraphData, recordStep]);
+
+  // Checkout a branch, or detach HEAD at any other commit-ish
+  const checkoutBranch = useCallback((target, options = {}) => {
+    const name = repository && repository.hasBranch(target) ? target : target.slice(0, 7);
+    return runRefOperation(repo => {
+      // Remember a detached HEAD so we can warn about commits left behind
+      const previousDetached = repo.isDetached() ? repo.getHeadCommit() : null;
+
+      if (!repo.checkout(target, options)) {
+        throw new Error(`pathspec '${target}' did not match any file(s) known to git`);
+      }
+      setLeftBehindCommits(repo.findCommitsLeftBehind(previousDetached));
+    }, `git checkout ${options.detach ? '--detach ' : ''}${name}`);
+  }, [repository, runRefOperation]);
+
+  // Checkout a specific commit, detaching HEAD
+  const checkoutCommit = useCallback((commitHash) => (
+    checkoutBranch(commitHash, { detach: true })
+  ), [checkoutBranch]);
+
+  // Hide the "commits left behind" warning
+  const dismissLeftBehindWarning = useCallback(() => {
+    setLeftBehindCommits([]);
+  }, []);
+
+  // Create a tag (annotated when options.message is given)
+  const createTag = useCallback((tagName, target = 'HEAD', options = {}) => {
+    if (!repository) return false;
+
+    try {
+      repository.createTag(tagName, target, options);
+      updateGraphData(repository);
+      recordStep(`git tag ${options.message ? '-a ' : ''}${tagName}`);
+      return true;
+    } catch (error) {
+      console.error('Error creating tag:', error);
+      return false;
+    }
+  }, [repository, updateGraphData, recordStep]);
 
-  // Checkout a branch
-  const checkoutBranch = useCallback((branchName) => {
+  // Delete a tag
+  const deleteTag = useCallback((tagName) => {
     if (!repository) return false;
 
-    const success = repository.checkout(branchName);
-    if (success) {
+    try {
+      repository.deleteTag(tagName);
+      updateGraphData(repository);
+      recordStep(`git tag -d ${tagName}`);
+      return true;
+    } catch (error) {
+      console.error('Error deleting tag:', error);
+      return false;
+    }
+  }, [repository, updateGraphData, recordStep]);
+
+  // Point HEAD or a branch back at a commit from its reflog
+  const restoreRef = useCallback((ref, commitHash) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      repository.restoreRef(ref, commitHash);
       updateGraphData(repository);
+      recordStep(`restore ${ref} to ${commitHash.slice(0, 7)}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error restoring ref:', error);
+      return { success: false, error: error.message };
     }
-    return success;
-  }, [repository, updateGraphData]);
+  }, [repository, updateGraphData, recordStep]);
+
+  // Merge a branch into the current branch
+  const mergeBranch = useCallback((branchName, options = {}) => {
+    if (!repository) return null;
+
+    try {
+      const result = repository.merge(branchName, options);
+      if (result.status !== 'conflict') {
+        updateGraphData(repository);
+        if (result.status !== 'up-to-date') recordStep(`git merge ${branchName}`);
+        setSelectedCommit(result.commit);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error merging branch:', error);
+      return { status: 'error', error: error.message, conflicts: [] };
+    }
+  }, [repository, updateGraphData, recordStep]);
+
+  // Apply a commit's change onto HEAD (cherry-pick) or undo it (revert)
+  const applyCommitChange = useCallback((operation, commitHash, options) => {
+    if (!repository) return null;
+
+    try {
+      const result = repository[operation](commitHash, options);
+      if (result.commit) {
+        updateGraphData(repository);
+        recordStep(`git ${operation === 'revert' ? 'revert' : 'cherry-pick'} ${result.source.hash.slice(0, 7)}`);
+        setSelectedCommit(result.commit);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error running ${operation}:`, error);
+      return { status: 'error', error: error.message, conflicts: [] };
+    }
+  }, [repository, updateGraphData, recordStep]);
+
+  // Cherry-pick a commit onto the current branch
+  const cherryPick = useCallback((commitHash, options = {}) => (
+    applyCommitChange('cherryPick', commitHash, options)
+  ), [applyCommitChange]);
+
+  // Revert a commit on the current branch
+  const revertCommit = useCallback((commitHash, options = {}) => (
+    applyCommitChange('revert', commitHash, options)
+  ), [applyCommitChange]);
 
   // Get commit details by hash
   const getCommitDetails = useCallback((commitHash) => {
@@ -107,10 +473,22 @@ export function useGitRepository() {
     // Get parent commits
     const parents = commit.parents.map(hash => repository.getObject(hash));
 
+    // Nested file tree, marking subtrees and blobs shared with the first parent
+    const parentTree = parents[0] ? parents[0].tree : null;
+    const fileTree = repository.getTreeStructure(commit.tree, parentTree);
+
+    // Changes against each parent (a root commit is compared to the empty tree)
+    const diffs = commit.parents.length > 0
+      ? commit.parents.map(parent => ({ parent, files: diffCommits(repository, parent, commit.hash) }))
+      : [{ parent: null, files: diffCommits(repository, null, commit.hash) }];
+
     return {
       ...commit,
       treeEntries,
-      parents
+      fileTree,
+      diffs,
+      parents,
+      raw: commit.toString()
     };
   }, [repository]);
 
@@ -125,13 +503,238 @@ export function useGitRepository() {
     return null;
   }, [repository]);
 
-  // Reset repository to initial state
-  const resetRepository = useCallback(() => {
-    const repo = createSampleRepository();
+  // Swap in another repository and clear state tied to the old one
+  // (undo history starts over at `label`)
+  const replaceRepository = useCallback((repo, label) => {
     setRepository(repo);
     updateGraphData(repo);
+    startHistory(repo, label);
+    setSelectedCommit(null);
+    setHighlightedCommit(null);
+    setLeftBehindCommits([]);
+    setLesson(null);
+  }, [updateGraphData, startHistory]);
+
+  // Reset repository to initial state
+  const resetRepository = useCallback(() => {
+    replaceRepository(createSampleRepository(), 'Sample repository');
+  }, [replaceRepository]);
+
+  // Replace the repository with one imported from a real .git directory.
+  // `pending` is the promise returned by one of the gitImport importers.
+  const importRepository = useCallback(async (pending) => {
+    try {
+      const { repository: repo, summary } = await pending;
+      replaceRepository(repo, 'Imported repository');
+      return { success: true, summary };
+    } catch (error) {
+      console.error('Error importing repository:', error);
+      return { success: false, error: error.message };
+    }
+  }, [replaceRepository]);
+
+  // Replace the repository with a generated history of `options.commits`
+  // commits, to see how the graph copes with size
+  const generateRepository = useCallback((options) => {
+    try {
+      const { repository: repo, summary } = generateSyntheticRepository(options);
+      replaceRepository(repo, `Synthetic repository (${summary.commits} commits)`);
+      return { success: true, summary };
+    } catch (error) {
+      console.error('Error generating repository:', error);
+      return { success: false, error: error.message };
+    }
+  }, [replaceRepository]);
+
+  // Show the repository as it was after step `index` of the history.
+  // Later steps are kept, so they can be redone until the next operation.
+  const goToStep = useCallback((index) => {
+    const step = operationHistory.steps[index];
+    if (!repository || !step) return false;
+
+    repository.restoreSnapshot(step.snapshot);
+    updateGraphData(repository);
+    setOperationHistory(previous => ({ ...previous, position: index }));
     setSelectedCommit(null);
-  }, [updateGraphData]);
+    setHighlightedCommit(null);
+    setLeftBehindCommits([]);
+    return true;
+  }, [repository, operationHistory, updateGraphData]);
+
+  // Step back before the last operation
+  const undo = useCallback(() => (
+    goToStep(operationHistory.position - 1)
+  ), [goToStep, operationHistory.position]);
+
+  // Step forward to an undone operation
+  const redo = useCallback(() => (
+    goToStep(operationHistory.position + 1)
+  ), [goToStep, operationHistory.position]);
+
+  // Play a scenario and show it from its empty first state, one step at a time
+  const startScenario = useCallback((scenario) => {
+    try {
+      const { repository: repo, snapshots } = playScenario(scenario);
+      repo.restoreSnapshot(snapshots[0]);
+      replaceRepository(repo, `${scenario.title}: start`);
+      setLesson({ scenario, snapshots, position: 0 });
+      return { success: true };
+    } catch (error) {
+      console.error('Error playing scenario:', error);
+      return { success: false, error: error.message };
+    }
+  }, [replaceRepository]);
+
+  // Start one of the built-in scenarios by id
+  const loadScenario = useCallback((id) => {
+    const scenario = BUILTIN_SCENARIOS.find(candidate => candidate.id === id);
+    if (!scenario) return { success: false, error: `No scenario named '${id}'` };
+    return startScenario(scenario);
+  }, [startScenario]);
+
+  // Start a scenario from JSON text (a lesson file)
+  const loadScenarioFile = useCallback((text) => {
+    try {
+      return startScenario(parseScenario(text));
+    } catch (error) {
+      console.error('Error loading scenario:', error);
+      return { success: false, error: error.message };
+    }
+  }, [startScenario]);
+
+  // Show the lesson after step `index` (0 is before the first step).
+  // Anything tried in between is discarded; undo history restarts here.
+  const goToScenarioStep = useCallback((index) => {
+    if (!repository || !lesson || !lesson.snapshots[index]) return false;
+
+    repository.restoreSnapshot(lesson.snapshots[index]);
+    updateGraphData(repository);
+    startHistory(repository, index === 0
+      ? `${lesson.scenario.title}: start`
+      : `${lesson.scenario.title}: step ${index}`);
+    setLesson(previous => ({ ...previous, position: index }));
+    setSelectedCommit(null);
+    setHighlightedCommit(null);
+    setLeftBehindCommits([]);
+    return true;
+  }, [repository, lesson, updateGraphData, startHistory]);
+
+  // Leave lesson mode, keeping the repository as it is
+  const exitScenario = useCallback(() => {
+    setLesson(null);
+  }, []);
+
+  // Zip the repository as a real .git directory (plus working tree)
+  const exportRepository = useCallback((options = {}) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      return { success: true, data: exportRepositoryZip(repository, options) };
+    } catch (error) {
+      console.error('Error exporting repository:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository]);
+
+  // Run a typed `git ...` command line; returns { output, error }
+  const runCommand = useCallback((line, context = {}) => {
+    if (!repository) return { output: 'Repository not loaded', error: true };
+
+    const result = executeCommand(repository, line, context);
+    updateGraphData(repository);
+    recordStep(line.trim());
+    if (result.commit) setSelectedCommit(result.commit);
+    if (result.leftBehind) setLeftBehindCommits(result.leftBehind);
+    return result;
+  }, [repository, updateGraphData, recordStep]);
+
+  // Tab completion for the console
+  const completeCommandLine = useCallback((line) => (
+    repository ? completeCommand(repository, line) : { line, candidates: [] }
+  ), [repository]);
+
+  // Save the repository in a named slot
+  const saveSession = useCallback(async (name) => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      await saveSlot(name, serializeRepository(repository));
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving session:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository]);
+
+  // Replace the repository with the one saved in a slot
+  const loadSession = useCallback(async (name) => {
+    try {
+      const data = await loadSlot(name);
+      if (!data) throw new Error(`No saved session named '${name}'`);
+      replaceRepository(deserializeRepository(data), `Loaded session '${name}'`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error loading session:', error);
+      return { success: false, error: error.message };
+    }
+  }, [replaceRepository]);
+
+  // Saved slots as [{ name, savedAt }], newest first
+  const listSessions = useCallback(async () => {
+    try {
+      return await listSlots();
+    } catch (error) {
+      console.error('Error listing sessions:', error);
+      return [];
+    }
+  }, []);
+
+  // Delete a saved slot
+  const deleteSession = useCallback(async (name) => {
+    try {
+      await deleteSlot(name);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  // The repository as versioned JSON text (for a file download)
+  const exportSessionFile = useCallback(() => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      return { success: true, data: repositoryToJSON(repository) };
+    } catch (error) {
+      console.error('Error exporting session:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository]);
+
+  // Replace the repository with one from exported JSON text
+  const importSessionFile = useCallback((text) => {
+    try {
+      replaceRepository(repositoryFromJSON(text), 'Opened session file');
+      return { success: true };
+    } catch (error) {
+      console.error('Error importing session:', error);
+      return { success: false, error: error.message };
+    }
+  }, [replaceRepository]);
+
+  // A link that opens this exact repository (compressed into the URL fragment)
+  const createShareLink = useCallback(() => {
+    if (!repository) return { success: false, error: 'Repository not loaded' };
+
+    try {
+      const { origin, pathname, search } = window.location;
+      return { success: true, url: `${origin}${pathname}${search}#${encodeSnapshot(repository)}` };
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      return { success: false, error: error.message };
+    }
+  }, [repository]);
 
   return {
     repository,
@@ -140,59 +743,132 @@ export function useGitRepository() {
     selectedCommit,
     commitHistory,
     isLoading,
+    workingState,
+    leftBehindCommits,
+    reflog,
+    highlightedCommit,
     setSelectedCommit,
+    setHighlightedCommit,
     createCommit,
+    writeFile,
+    deleteFile,
+    stageFile,
+    stageAll,
+    unstageFile,
+    removeFile,
     createBranch,
+    deleteBranch,
+    renameBranch,
+    forceBranch,
+    resetHead,
+    previewUnreachable,
+    runFsck,
+    runGc,
     checkoutBranch,
+    checkoutCommit,
+    dismissLeftBehindWarning,
+    createTag,
+    deleteTag,
+    restoreRef,
+    mergeBranch,
+    cherryPick,
+    revertCommit,
     getCommitDetails,
     findMergeBase,
     resetRepository,
+    importRepository,
+    generateRepository,
+    exportRepository,
+    runCommand,
+    completeCommandLine,
+    timeline: operationHistory.steps.map(({ label, timestamp }) => ({ label, timestamp })),
+    timelinePosition: operationHistory.position,
+    canUndo: operationHistory.position > 0,
+    canRedo: operationHistory.position < operationHistory.steps.length - 1,
+    undo,
+    redo,
+    goToStep,
+    lesson: lesson && {
+      scenario: lesson.scenario,
+      position: lesson.position,
+      stepCount: lesson.scenario.steps.length
+    },
+    loadScenario,
+    loadScenarioFile,
+    goToScenarioStep,
+    exitScenario,
+    lastAutosave,
+    restoreError,
+    dismissRestoreError: () => setRestoreError(null),
+    saveSession,
+    loadSession,
+    listSessions,
+    deleteSession,
+    exportSessionFile,
+    importSessionFile,
+    createShareLink,
     updateGraphData: () => updateGraphData(repository)
   };
 }
 
 /**
  * Custom hook for graph interaction state
+ * The view ({ x, y, scale }, see graphViewport) starts as null, which
+ * CommitGraph replaces with a view fitted to the graph; from then on it
+ * only changes when the user moves it, not when the graph changes.
+ * `highlights` are the layers CommitGraph draws over the graph.
  */
 export function useGraphInteraction() {
   const [hoveredNode, setHoveredNode] = useState(null);
   const [selectedPath, setSelectedPath] = useState([]);
-  const [zoomLevel, setZoomLevel] = useState(1);
-  const [panOffset, setPanOffset] = useState({ x: 0, y: 0 });
+  const [highlights, setHighlights] = useState([]);
+  const [view, setView] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
 
-  const zoomIn = useCallback(() => {
-    setZoomLevel(prev => Math.min(prev + 0.1, 3));
+  // All of these leave a view that is not fitted yet alone
+  const zoomAt = useCallback((factor, anchor) => {
+    setView(prev => prev && zoomView(prev, factor, anchor));
   }, []);
 
-  const zoomOut = useCallback(() => {
-    setZoomLevel(prev => Math.max(prev - 0.1, 0.5));
-  }, []);
+  const zoomIn = useCallback(() => zoomAt(1.25), [zoomAt]);
+
+  const zoomOut = useCallback(() => zoomAt(0.8), [zoomAt]);
 
+  // Back to the view fitted to the graph
   const resetView = useCallback(() => {
-    setZoomLevel(1);
-    setPanOffset({ x: 0, y: 0 });
+    setView(null);
   }, []);
 
   const handlePan = useCallback((deltaX, deltaY) => {
-    setPanOffset(prev => ({
-      x: prev.x + deltaX,
-      y: prev.y + deltaY
-    }));
+    setView(prev => prev && panView(prev, deltaX, deltaY));
+  }, []);
+
+  // One algorithm result (a path, or a set with `kind: 'set'`) in place of
+  // whatever was highlighted; an empty path clears the highlights
+  const highlightPath = useCallback((path, options) => {
+    setSelectedPath(path);
+    setHighlights(path.length > 0 ? [createHighlightLayer(path, options)] : []);
   }, []);
 
+  const clearHighlights = useCallback(() => highlightPath([]), [highlightPath]);
+
   return {
     hoveredNode,
     setHoveredNode,
     selectedPath,
     setSelectedPath,
-    zoomLevel,
-    panOffset,
+    highlights,
+    setHighlights,
+    highlightPath,
+    clearHighlights,
+    view,
+    setView,
     isDragging,
     setIsDragging,
+    zoomAt,
     zoomIn,
     zoomOut,
     resetView,
     handlePan
   };
-}
\ No newline at end of file
+}
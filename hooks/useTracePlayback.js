@@ -0,0 +1,53 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Steps per second
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/**
+ * Play an algorithm trace (see algorithmTraces) one step at a time
+ * A new trace starts again at its first step, playing when `autoPlay`.
+ * Returns the position and step shown, and the controls.
+ */
+export function useTracePlayback(trace, { autoPlay = true } = {}) {
+  // Kept with the trace it belongs to, so a new trace needs no reset
+  const [playback, setPlayback] = useState({ trace: null, position: 0, playing: false });
+  const [speed, setSpeed] = useState(1);
+
+  const current = playback.trace === trace ? playback : { trace, position: 0, playing: autoPlay };
+  const lastPosition = trace ? trace.steps.length - 1 : 0;
+  const playing = current.playing && current.position < lastPosition;
+
+  useEffect(() => {
+    if (!trace || !playing) return undefined;
+    const timer = setInterval(() => {
+      setPlayback(prev => {
+        const position = Math.min(lastPosition, (prev.trace === trace ? prev.position : 0) + 1);
+        return { trace, position, playing: position < lastPosition };
+      });
+    }, 1000 / speed);
+    return () => clearInterval(timer);
+  }, [trace, playing, speed, lastPosition]);
+
+  const goTo = useCallback((position) => {
+    setPlayback({ trace, position: Math.max(0, Math.min(lastPosition, position)), playing: false });
+  }, [trace, lastPosition]);
+
+  const togglePlaying = () => {
+    // Playing again from the end starts over
+    const position = current.position >= lastPosition ? 0 : current.position;
+    setPlayback({ trace, position, playing: !playing });
+  };
+
+  return {
+    position: current.position,
+    step: trace ? trace.steps[current.position] : null,
+    stepCount: trace ? trace.steps.length : 0,
+    playing,
+    speed,
+    setSpeed,
+    togglePlaying,
+    goTo,
+    stepForward: () => goTo(current.position + 1),
+    stepBack: () => goTo(current.position - 1)
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Step-by-step traces of the graph algorithms, for teaching
+ * CS Concepts: BFS with a queue, DFS with a stack, three-colour cycle
+ * detection, Kahn's algorithm - watched one operation at a time
+ *
+ * Each trace runs its algorithm from graphAlgorithms with an `onStep`
+ * callback and puts every event into words, so a trace always does what
+ * the algorithm does. It returns { result, steps, truncated }. A step is:
+ * - action: 'start' | 'dequeue' | 'enqueue' | 'push' | 'visit' | 'skip' |
+ *   'enter' | 'leave' | 'decrement' | 'found' | 'cycle' | 'done'
+ * - message: what happens, in words
+ * - node / neighbor: the commit being worked on and the one looked at
+ * - structures: [{ name, kind: 'queue' | 'stack' | 'set' | 'list', items }]
+ *   - the data structures as they are after the step
+ * - visited / frontier: commits done and waiting, for drawing on the graph
+ * - result: the answer once known (a path or an order of commits)
+ * Only the first `maxSteps` steps are kept (the result is always complete,
+ * and `truncated` tells whether any were dropped); snapshots copy the
+ * structures, so a trace is for small graphs.
+ */
+import { findShortestPath, depthFirstSearch, detectCycle, topologicalSort } from './graphAlgorithms';
+import { createHighlightLayer } from './graphHighlights';
+
+const shortId = (id) => id.slice(0, 7);
+
+/**
+ * Run `algorithm(onStep)`, turning each event into a step with
+ * `describe(event)`. Once `maxSteps` are kept, events are only counted
+ * as dropped, so no more snapshots are made.
+ */
+function traceAlgorithm(algorithm, describe, maxSteps) {
+  const steps = [];
+  let truncated = false;
+  const result = algorithm(event => {
+    if (steps.length < maxSteps) {
+      steps.push({ action: event.action, node: event.node, neighbor: event.neighbor, result: null, ...describe(event) });
+    } else {
+      truncated = true;
+    }
+  });
+  return { result, steps, truncated };
+}
+
+/**
+ * Traced findShortestPath: BFS over edges taken both ways, queuing paths
+ */
+export function traceShortestPath(startId, endId, edges, { name = shortId, maxSteps = 2000 } = {}) {
+  const messages = {
+    start: ({ node }) => `Enqueue the start commit ${name(node)} and mark it visited`,
+    dequeue: ({ node, path }) => `Dequeue ${name(node)} (reached in ${path.length - 1} step${path.length === 2 ? '' : 's'})`,
+    found: ({ node, path }) => (path.length === 1
+      ? `${name(node)} is both start and end`
+      : `${name(node)} is the end commit: the shortest path has ${path.length - 1} edge(s)`),
+    skip: ({ neighbor }) => `Neighbor ${name(neighbor)} is already visited - skip it`,
+    enqueue: ({ neighbor }) => `Visit neighbor ${name(neighbor)}: mark it visited and enqueue it`,
+    done: () => `The queue is empty: ${name(endId)} cannot be reached from ${name(startId)}`
+  };
+
+  return traceAlgorithm(onStep => findShortestPath(startId, endId, edges, onStep), event => {
+    const frontier = event.queue.map(path => path[path.length - 1]);
+    return {
+      message: messages[event.action](event),
+      result: event.action === 'dequeue' || event.action === 'found' ? event.path : null,
+      structures: [
+        { name: 'Queue', kind: 'queue', items: frontier },
+        { name: 'Visited', kind: 'set', items: [...event.visited] }
+      ],
+      visited: [...event.visited],
+      frontier
+    };
+  }, maxSteps);
+}
+
+/**
+ * Traced depthFirstSearch from a commit along child -> parent edges:
+ * pop, skip if seen, visit, push the parents
+ */
+export function traceDepthFirst(startId, edges, { name = shortId, maxSteps = 2000 } = {}) {
+  const messages = {
+    start: ({ node }) => `Push the start commit ${name(node)}`,
+    skip: ({ node }) => `Pop ${name(node)} - already visited, skip it`,
+    visit: ({ node, order }) => `Pop ${name(node)} and visit it (#${order.length})`,
+    push: ({ neighbor }) => `Push parent ${name(neighbor)} to visit later`,
+    done: ({ order }) => `The stack is empty: visited ${order.length} commit(s)`
+  };
+
+  return traceAlgorithm(onStep => depthFirstSearch(startId, edges, onStep), event => ({
+    message: messages[event.action](event),
+    result: event.action === 'visit' || event.action === 'done' ? [...event.order] : null,
+    structures: [
+      { name: 'Stack', kind: 'stack', items: [...event.stack] },
+      { name: 'Visited', kind: 'set', items: [...event.order] }
+    ],
+    visited: [...event.order],
+    frontier: [...event.stack]
+  }), maxSteps);
+}
+
+/**
+ * Traced detectCycle: DFS that keeps the commits on the current path
+ * ("in progress") apart from finished ones - reaching an in-progress
+ * commit again means a cycle
+ */
+export function traceCycleDetection(nodes, edges, { name = shortId, maxSteps = 2000 } = {}) {
+  const messages = {
+    enter: ({ node }) => `Start a DFS at ${name(node)}: it is now in progress`,
+    leave: ({ node }) => `All parents of ${name(node)} are explored: it is finished`,
+    cycle: ({ node, neighbor }) => `${name(neighbor)} is still in progress: the edge from ${name(node)} closes a cycle`,
+    skip: ({ neighbor }) => `Parent ${name(neighbor)} is already finished - nothing new there`,
+    push: ({ neighbor }) => `Follow the edge to ${name(neighbor)}: push it, it is now in progress`,
+    done: () => 'Every commit is finished and no edge led back into the current path: no cycle'
+  };
+
+  return traceAlgorithm(onStep => detectCycle(nodes, edges, onStep), event => {
+    const path = event.stack.map(frame => frame[0]);
+    return {
+      message: messages[event.action](event),
+      result: event.action === 'cycle' ? [...path.slice(path.indexOf(event.neighbor)), event.neighbor] : null,
+      structures: [
+        { name: 'Stack (current path)', kind: 'stack', items: path },
+        { name: 'Finished', kind: 'set', items: [...event.visited] }
+      ],
+      visited: [...event.visited],
+      frontier: path
+    };
+  }, maxSteps);
+}
+
+/**
+ * Traced topologicalSort: Kahn's algorithm - take commits nothing points
+ * to, remove their edges, repeat; then reverse
+ */
+export function traceTopologicalSort(nodes, edges, { name = shortId, maxSteps = 2000 } = {}) {
+  const messages = {
+    start: ({ queue }) => `Count incoming edges (children) of every commit; enqueue the ${queue.length} with none`,
+    dequeue: ({ node, sorted }) => `Dequeue ${name(node)} and append it to the output (#${sorted.length})`,
+    enqueue: ({ neighbor }) => `Remove the edge to ${name(neighbor)}: none left, enqueue it`,
+    decrement: ({ neighbor, left }) => `Remove the edge to ${name(neighbor)}: ${left} incoming edge(s) left`,
+    done: () => 'The queue is empty: reverse the output so the newest commits come first'
+  };
+
+  return traceAlgorithm(onStep => topologicalSort(nodes, edges, onStep), event => {
+    const waiting = event.queue.slice(event.head);
+    return {
+      message: messages[event.action](event),
+      result: event.action === 'done' ? [...event.sorted] : null,
+      structures: [
+        { name: 'Queue (no incoming edges left)', kind: 'queue', items: waiting },
+        { name: 'Output', kind: 'list', items: [...event.sorted] }
+      ],
+      visited: [...event.sorted],
+      frontier: waiting
+    };
+  }, maxSteps);
+}
+
+/**
+ * A step drawn on the commit graph: the answer so far, the edge or commit
+ * being worked on, what waits in the queue or stack, and what is done
+ * (numbered in the order it was done)
+ */
+export function traceStepLayers(step, { resultKind = 'path', resultLabel = 'Result', frontierLabel = 'Waiting' } = {}) {
+  const layers = [];
+  if (step.result && step.result.length > 0) {
+    layers.push(createHighlightLayer(step.result, { kind: resultKind, label: resultLabel, color: '#E91E63', numbered: false }));
+  }
+  if (step.node && step.neighbor) {
+    layers.push(createHighlightLayer([step.node, step.neighbor], { label: 'Looking at', color: '#FF5722', numbered: false }));
+  } else if (step.node) {
+    layers.push(createHighlightLayer([step.node], { kind: 'set', label: 'Current', color: '#FF5722', numbered: false }));
+  }
+  if (step.frontier.length > 0) {
+    layers.push(createHighlightLayer(step.frontier, { kind: 'set', label: frontierLabel, color: '#00BCD4', numbered: false }));
+  }
+  if (step.visited.length > 0) {
+    layers.push(createHighlightLayer(step.visited, { kind: 'set', label: 'Visited', color: '#8BC34A' }));
+  }
+  return layers;
+}
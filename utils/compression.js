@@ -0,0 +1,425 @@
+/**
+ * DEFLATE / zlib compression and decompression
+ * CS Concepts: Huffman coding, LZ77 back-references, bit streams
+ *
+ * Written by hand (like GitHash) so objects can be inflated synchronously
+ * and so we know exactly how many input bytes each stream used - packfiles
+ * store their zlib streams back to back without recording their lengths.
+ */
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+  257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+  7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+// Order in which code length code lengths are stored (RFC 1951, 3.2.7)
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Canonical Huffman table from a list of code lengths:
+ * how many codes have each length, and the symbols in code order
+ */
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(16);
+  lengths.forEach(length => counts[length]++);
+  counts[0] = 0;
+
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) {
+    offsets[i] = offsets[i - 1] + counts[i - 1];
+  }
+  const symbols = new Uint16Array(lengths.length);
+  lengths.forEach((length, symbol) => {
+    if (length) symbols[offsets[length]++] = symbol;
+  });
+  return { counts, symbols };
+}
+
+const FIXED_LITERALS = buildHuffman(
+  Array.from({ length: 288 }, (_, i) => (i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8))
+);
+const FIXED_DISTANCES = buildHuffman(new Array(30).fill(5));
+
+/**
+ * LSB-first bit reader over a byte array
+ */
+class BitReader {
+  constructor(data, offset) {
+    this.data = data;
+    this.pos = offset;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  bits(n) {
+    while (this.bitCount < n) {
+      if (this.pos >= this.data.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      this.bitBuffer |= this.data[this.pos++] << this.bitCount;
+      this.bitCount += 8;
+    }
+    const value = this.bitBuffer & ((1 << n) - 1);
+    this.bitBuffer >>>= n;
+    this.bitCount -= n;
+    return value;
+  }
+
+  // Drop the bits left in the current byte
+  alignToByte() {
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  // Decode one symbol, reading the code a bit at a time
+  decode(table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= this.bits(1);
+      const count = table.counts[length];
+      if (code - count < first) {
+        return table.symbols[index + (code - first)];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid Huffman code');
+  }
+}
+
+/**
+ * Growable output buffer
+ */
+class ByteWriter {
+  constructor(sizeHint) {
+    this.buffer = new Uint8Array(Math.max(sizeHint, 64));
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const grown = new Uint8Array(size);
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  push(byte) {
+    this.ensure(1);
+    this.buffer[this.length++] = byte;
+  }
+
+  // LZ77 back-reference; the ranges may overlap, so copy byte by byte
+  copyBack(distance, length) {
+    if (distance > this.length) {
+      throw new Error('Invalid distance in compressed data');
+    }
+    this.ensure(length);
+    for (let i = 0; i < length; i++) {
+      this.buffer[this.length] = this.buffer[this.length - distance];
+      this.length++;
+    }
+  }
+
+  result() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * Read the dynamic Huffman tables at the start of a block
+ */
+function readDynamicTables(reader) {
+  const literalCount = reader.bits(5) + 257;
+  const distanceCount = reader.bits(5) + 1;
+  const codeLengthCount = reader.bits(4) + 4;
+
+  const codeLengthLengths = new Array(19).fill(0);
+  for (let i = 0; i < codeLengthCount; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.bits(3);
+  }
+  const codeLengthTable = buildHuffman(codeLengthLengths);
+
+  const lengths = [];
+  while (lengths.length < literalCount + distanceCount) {
+    const symbol = reader.decode(codeLengthTable);
+    if (symbol < 16) {
+      lengths.push(symbol);
+    } else if (symbol === 16) {
+      if (lengths.length === 0) throw new Error('Invalid code length repeat');
+      const previous = lengths[lengths.length - 1];
+      for (let n = 3 + reader.bits(2); n > 0; n--) lengths.push(previous);
+    } else {
+      const zeros = symbol === 17 ? 3 + reader.bits(3) : 11 + reader.bits(7);
+      for (let n = zeros; n > 0; n--) lengths.push(0);
+    }
+  }
+
+  return {
+    literals: buildHuffman(lengths.slice(0, literalCount)),
+    distances: buildHuffman(lengths.slice(literalCount))
+  };
+}
+
+/**
+ * Decompress a raw DEFLATE stream (RFC 1951) starting at `offset`.
+ * Returns the output and the number of input bytes consumed.
+ */
+export function inflateRaw(data, offset = 0, sizeHint = 0) {
+  const reader = new BitReader(data, offset);
+  const out = new ByteWriter(sizeHint || (data.length - offset) * 4);
+
+  let last = 0;
+  while (!last) {
+    last = reader.bits(1);
+    const blockType = reader.bits(2);
+
+    if (blockType === 0) {
+      // Stored block: LEN, NLEN, then LEN literal bytes
+      reader.alignToByte();
+      const pos = reader.pos;
+      if (pos + 4 > data.length) throw new Error('Unexpected end of compressed data');
+      const length = data[pos] | (data[pos + 1] << 8);
+      const check = data[pos + 2] | (data[pos + 3] << 8);
+      if ((length ^ 0xffff) !== check) throw new Error('Invalid stored block length');
+      if (pos + 4 + length > data.length) throw new Error('Unexpected end of compressed data');
+      out.ensure(length);
+      out.buffer.set(data.subarray(pos + 4, pos + 4 + length), out.length);
+      out.length += length;
+      reader.pos = pos + 4 + length;
+      continue;
+    }
+
+    if (blockType === 3) throw new Error('Invalid block type');
+    const { literals, distances } = blockType === 1
+      ? { literals: FIXED_LITERALS, distances: FIXED_DISTANCES }
+      : readDynamicTables(reader);
+
+    for (;;) {
+      const symbol = reader.decode(literals);
+      if (symbol < 256) {
+        out.push(symbol);
+      } else if (symbol === 256) {
+        break;
+      } else {
+        const index = symbol - 257;
+        if (index >= LENGTH_BASE.length) throw new Error('Invalid length code');
+        const length = LENGTH_BASE[index] + reader.bits(LENGTH_EXTRA[index]);
+        const distanceCode = reader.decode(distances);
+        if (distanceCode >= DIST_BASE.length) throw new Error('Invalid distance code');
+        const distance = DIST_BASE[distanceCode] + reader.bits(DIST_EXTRA[distanceCode]);
+        out.copyBack(distance, length);
+      }
+    }
+  }
+
+  return { data: out.result(), bytesRead: reader.pos - offset };
+}
+
+/**
+ * Adler-32 checksum used by the zlib trailer
+ */
+export function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Decompress a zlib stream (RFC 1950: 2-byte header, DEFLATE data,
+ * Adler-32 trailer) - the format of loose objects and packfile entries
+ */
+export function inflate(data, offset = 0, sizeHint = 0) {
+  const cmf = data[offset];
+  const flags = data[offset + 1];
+  if ((cmf & 0x0f) !== 8 || ((cmf << 8) | flags) % 31 !== 0) {
+    throw new Error('Not a zlib stream');
+  }
+  if (flags & 0x20) {
+    throw new Error('zlib preset dictionaries are not supported');
+  }
+
+  const result = inflateRaw(data, offset + 2, sizeHint);
+  const trailer = offset + 2 + result.bytesRead;
+  if (trailer + 4 > data.length) throw new Error('Unexpected end of compressed data');
+  const expected = ((data[trailer] << 24) | (data[trailer + 1] << 16) | (data[trailer + 2] << 8) | data[trailer + 3]) >>> 0;
+  if (adler32(result.data) !== expected) {
+    throw new Error('zlib checksum mismatch');
+  }
+
+  return { data: result.data, bytesRead: result.bytesRead + 6 };
+}
+
+/**
+ * LSB-first bit writer; Huffman codes are written most significant bit first
+ */
+class BitWriter {
+  constructor(sizeHint) {
+    this.out = new ByteWriter(sizeHint);
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  bits(value, n) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += n;
+    while (this.bitCount >= 8) {
+      this.out.push(this.bitBuffer & 0xff);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  code(code, length) {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    this.bits(reversed, length);
+  }
+
+  finish() {
+    if (this.bitCount > 0) this.out.push(this.bitBuffer & 0xff);
+    return this.out.result();
+  }
+}
+
+/**
+ * Write a literal/length symbol with the fixed Huffman code (RFC 1951, 3.2.6)
+ */
+function writeFixedLiteral(writer, symbol) {
+  if (symbol < 144) writer.code(0x30 + symbol, 8);
+  else if (symbol < 256) writer.code(0x190 + symbol - 144, 9);
+  else if (symbol < 280) writer.code(symbol - 256, 7);
+  else writer.code(0xc0 + symbol - 280, 8);
+}
+
+// Index of the largest base <= value
+const findBase = (bases, value) => {
+  let index = bases.length - 1;
+  while (bases[index] > value) index--;
+  return index;
+};
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+
+/**
+ * Compress into a raw DEFLATE stream: LZ77 matching through hash chains,
+ * encoded as a single block with the fixed Huffman codes
+ */
+export function deflateRaw(data) {
+  const writer = new BitWriter(data.length / 2 + 16);
+  writer.bits(1, 1); // final block
+  writer.bits(1, 2); // fixed Huffman codes
+
+  const head = new Int32Array(1 << 15).fill(-1); // 3-byte hash -> latest position
+  const previous = new Int32Array(data.length); // position -> earlier one with the same hash
+  const hashAt = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & 0x7fff;
+  const insert = (i) => {
+    if (i + MIN_MATCH > data.length) return;
+    const hash = hashAt(i);
+    previous[i] = head[hash];
+    head[hash] = i;
+  };
+
+  let pos = 0;
+  while (pos < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (pos + MIN_MATCH <= data.length) {
+      const limit = Math.min(MAX_MATCH, data.length - pos);
+      let candidate = head[hashAt(pos)];
+      for (let chain = 0; candidate >= 0 && pos - candidate <= WINDOW_SIZE && chain < MAX_CHAIN; chain++) {
+        let length = 0;
+        while (length < limit && data[candidate + length] === data[pos + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = pos - candidate;
+          if (length === limit) break;
+        }
+        candidate = previous[candidate];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      const lengthIndex = findBase(LENGTH_BASE, bestLength);
+      writeFixedLiteral(writer, 257 + lengthIndex);
+      writer.bits(bestLength - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+      const distanceIndex = findBase(DIST_BASE, bestDistance);
+      writer.code(distanceIndex, 5);
+      writer.bits(bestDistance - DIST_BASE[distanceIndex], DIST_EXTRA[distanceIndex]);
+      for (let i = 0; i < bestLength; i++) insert(pos + i);
+      pos += bestLength;
+    } else {
+      writeFixedLiteral(writer, data[pos]);
+      insert(pos);
+      pos++;
+    }
+  }
+
+  writeFixedLiteral(writer, 256); // end of block
+  return writer.finish();
+}
+
+/**
+ * Compress into a zlib stream (header, DEFLATE data, Adler-32 trailer)
+ */
+export function deflate(data) {
+  const compressed = deflateRaw(data);
+  const out = new Uint8Array(compressed.length + 6);
+  out[0] = 0x78; // 32K window, DEFLATE
+  out[1] = 0x01; // no dictionary, header checksum
+  out.set(compressed, 2);
+  const checksum = adler32(data);
+  out[out.length - 4] = checksum >>> 24;
+  out[out.length - 3] = (checksum >>> 16) & 0xff;
+  out[out.length - 2] = (checksum >>> 8) & 0xff;
+  out[out.length - 1] = checksum & 0xff;
+  return out;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 checksum (zip entries, pack index v2)
+ */
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,411 @@
+/**
+ * Diff Algorithms for Git Visualization
+ * CS Concepts: Shortest edit script, dynamic programming on edit graphs, tree diffing
+ */
+
+/**
+ * Split text into lines, keeping each line's "\n" terminator so that a
+ * missing newline at end of file counts as a change (like Git)
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split('\n').map(line => `${line}\n`);
+  if (text.endsWith('\n')) {
+    lines.pop();
+  } else {
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, -1);
+  }
+  return lines;
+}
+
+/**
+ * Myers Diff Algorithm
+ * CS Concept: Greedy shortest path through the edit graph - O((N + M) * D)
+ * where D is the size of the shortest edit script
+ *
+ * Returns an edit script: [{ type: 'equal' | 'delete' | 'insert', text,
+ * oldLine, newLine }] with 1-based line numbers (null on the side a line
+ * does not exist).
+ */
+export function myersDiff(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  // Forward pass: furthest-reaching x on each diagonal k = x - y
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1] // Move down (insertion)
+        : v[offset + k - 1] + 1; // Move right (deletion)
+      let y = x - k;
+
+      // Follow the "snake" of equal lines
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Backtrack through the saved states to recover the path
+  const script = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const previous = trace[d];
+    const get = (k) => previous[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+    const prevX = get(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      script.push({ type: 'equal', text: oldLines[x - 1], oldLine: x, newLine: y });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        script.push({ type: 'insert', text: newLines[y - 1], oldLine: null, newLine: y });
+        y--;
+      } else {
+        script.push({ type: 'delete', text: oldLines[x - 1], oldLine: x, newLine: null });
+        x--;
+      }
+    }
+  }
+
+  return script.reverse();
+}
+
+/**
+ * Format one side of a hunk range the way Git does:
+ * "start,count", omitting ",1" and using the preceding line for empty ranges
+ */
+function formatRange(start, count) {
+  if (count === 0) return `${start - 1},0`;
+  if (count === 1) return `${start}`;
+  return `${start},${count}`;
+}
+
+/**
+ * Group an edit script into hunks with `context` lines around each change
+ * Each hunk: { oldStart, oldCount, newStart, newCount, header, lines }
+ */
+export function buildHunks(script, context = 3) {
+  const changeIndexes = [];
+  script.forEach((op, index) => {
+    if (op.type !== 'equal') changeIndexes.push(index);
+  });
+  if (changeIndexes.length === 0) return [];
+
+  // Merge change regions whose context windows touch
+  const ranges = [];
+  changeIndexes.forEach(index => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(script.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  return ranges.map(({ start, end }) => {
+    const lines = script.slice(start, end + 1);
+    const oldCount = lines.filter(op => op.type !== 'insert').length;
+    const newCount = lines.filter(op => op.type !== 'delete').length;
+
+    // Line numbers before the hunk on each side, plus Git's default
+    // "function context": the last preceding old line starting with a letter
+    let oldBefore = 0;
+    let newBefore = 0;
+    let funcname = '';
+    script.slice(0, start).forEach(op => {
+      if (op.type !== 'insert') {
+        oldBefore++;
+        if (/^[A-Za-z_$]/.test(op.text)) funcname = op.text.replace(/\s+$/, '');
+      }
+      if (op.type !== 'delete') newBefore++;
+    });
+
+    const oldStart = oldBefore + 1;
+    const newStart = newBefore + 1;
+    const range = `@@ -${formatRange(oldStart, oldCount)} +${formatRange(newStart, newCount)} @@`;
+    return {
+      oldStart,
+      oldCount,
+      newStart,
+      newCount,
+      header: funcname ? `${range} ${funcname.slice(0, 80)}` : range,
+      lines
+    };
+  });
+}
+
+/**
+ * Line diff between two blob contents
+ * Binary content (Uint8Array) is reported as such instead of diffed.
+ */
+export function diffBlobs(oldContent, newContent, context = 3) {
+  if (oldContent instanceof Uint8Array || newContent instanceof Uint8Array) {
+    return { binary: true, hunks: [], additions: 0, deletions: 0 };
+  }
+
+  const script = myersDiff(splitLines(oldContent || ''), splitLines(newContent || ''));
+  return {
+    binary: false,
+    hunks: buildHunks(script, context),
+    additions: script.filter(op => op.type === 'insert').length,
+    deletions: script.filter(op => op.type === 'delete').length
+  };
+}
+
+/**
+ * Line similarity of two contents as a 0-100 score (Git's rename index)
+ */
+export function similarityIndex(oldContent, newContent) {
+  if (typeof oldContent !== 'string' || typeof newContent !== 'string') {
+    return oldContent === newContent ? 100 : 0;
+  }
+  const oldLines = splitLines(oldContent);
+  const newLines = splitLines(newContent);
+  const total = oldLines.length + newLines.length;
+  if (total === 0) return 100;
+
+  const common = myersDiff(oldLines, newLines).filter(op => op.type === 'equal').length;
+  return Math.round((2 * common * 100) / total);
+}
+
+/**
+ * Recursive Tree Diff
+ * CS Concept: Structural comparison of Merkle trees - subtrees with equal
+ * hashes are skipped without being visited
+ *
+ * Returns [{ status: 'added' | 'deleted' | 'modified' | 'renamed',
+ * oldPath, newPath, oldHash, newHash, oldMode, newMode, similarity }]
+ */
+export function diffTrees(repo, oldTreeHash, newTreeHash, options = {}) {
+  const { detectRenames = true, renameThreshold = 50 } = options;
+  const changes = [];
+
+  const blobEntries = (treeHash, prefix) => {
+    const result = [];
+    repo.flattenTree(treeHash, prefix).forEach((entry, path) => result.push({ ...entry, path }));
+    return result;
+  };
+
+  const added = (entry, path) => changes.push({
+    status: 'added', oldPath: null, newPath: path,
+    oldHash: null, newHash: entry.hash, oldMode: null, newMode: entry.mode
+  });
+  const deleted = (entry, path) => changes.push({
+    status: 'deleted', oldPath: path, newPath: null,
+    oldHash: entry.hash, newHash: null, oldMode: entry.mode, newMode: null
+  });
+
+  const walk = (oldHash, newHash, prefix) => {
+    if (oldHash === newHash) return;
+
+    const oldTree = oldHash ? repo.getObject(oldHash) : null;
+    const newTree = newHash ? repo.getObject(newHash) : null;
+    const oldEntries = new Map((oldTree ? oldTree.entries : []).map(e => [e.name, e]));
+    const newEntries = new Map((newTree ? newTree.entries : []).map(e => [e.name, e]));
+    const names = [...new Set([...oldEntries.keys(), ...newEntries.keys()])].sort();
+
+    names.forEach(name => {
+      const before = oldEntries.get(name);
+      const after = newEntries.get(name);
+      const path = prefix + name;
+
+      if (before && after && before.hash === after.hash && before.mode === after.mode) return;
+
+      if (before && after && before.type === 'tree' && after.type === 'tree') {
+        walk(before.hash, after.hash, `${path}/`);
+        return;
+      }
+      if (before && after && before.type !== 'tree' && after.type !== 'tree') {
+        changes.push({
+          status: 'modified', oldPath: path, newPath: path,
+          oldHash: before.hash, newHash: after.hash, oldMode: before.mode, newMode: after.mode
+        });
+        return;
+      }
+
+      // Additions, deletions, and file <-> directory type changes
+      if (before) {
+        if (before.type === 'tree') {
+          blobEntries(before.hash, `${path}/`).forEach(e => deleted(e, e.path));
+        } else {
+          deleted(before, path);
+        }
+      }
+      if (after) {
+        if (after.type === 'tree') {
+          blobEntries(after.hash, `${path}/`).forEach(e => added(e, e.path));
+        } else {
+          added(after, path);
+        }
+      }
+    });
+  };
+
+  walk(oldTreeHash, newTreeHash, '');
+
+  if (!detectRenames) return changes;
+  return detectRenamedFiles(repo, changes, renameThreshold);
+}
+
+/**
+ * Pair deleted and added files into renames - exact content matches
+ * first, then the most similar candidates above the threshold
+ */
+function detectRenamedFiles(repo, changes, threshold) {
+  const deletedFiles = changes.filter(c => c.status === 'deleted');
+  const addedFiles = changes.filter(c => c.status === 'added');
+  if (deletedFiles.length === 0 || addedFiles.length === 0) return changes;
+
+  const paired = new Set();
+  const renames = [];
+  const pair = (from, to, similarity) => {
+    paired.add(from);
+    paired.add(to);
+    renames.push({
+      status: 'renamed', oldPath: from.oldPath, newPath: to.newPath,
+      oldHash: from.oldHash, newHash: to.newHash, oldMode: from.oldMode, newMode: to.newMode,
+      similarity
+    });
+  };
+
+  deletedFiles.forEach(from => {
+    const to = addedFiles.find(a => !paired.has(a) && a.newHash === from.oldHash);
+    if (to) pair(from, to, 100);
+  });
+
+  const content = (hash) => repo.getObject(hash)?.content;
+  const candidates = [];
+  deletedFiles.filter(d => !paired.has(d)).forEach(from => {
+    addedFiles.filter(a => !paired.has(a)).forEach(to => {
+      const score = similarityIndex(content(from.oldHash), content(to.newHash));
+      if (score >= threshold) candidates.push({ from, to, score });
+    });
+  });
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ from, to, score }) => {
+      if (!paired.has(from) && !paired.has(to)) pair(from, to, score);
+    });
+
+  const pathOf = (c) => c.newPath || c.oldPath;
+  return [...changes.filter(c => !paired.has(c)), ...renames]
+    .sort((a, b) => pathOf(a).localeCompare(pathOf(b)));
+}
+
+/**
+ * Full diff between two commits (or against the empty tree when
+ * `oldCommitHash` is null), with line hunks for every changed file
+ */
+export function diffCommits(repo, oldCommitHash, newCommitHash, options = {}) {
+  const treeOf = (hash) => (hash ? repo.getObject(hash)?.tree || null : null);
+  const content = (hash) => (hash ? repo.getObject(hash)?.content ?? '' : '');
+
+  return diffTrees(repo, treeOf(oldCommitHash), treeOf(newCommitHash), options).map(change => ({
+    ...change,
+    path: change.newPath || change.oldPath,
+    ...diffBlobs(content(change.oldHash), content(change.newHash), options.context)
+  }));
+}
+
+/**
+ * Render a file diff as `git show` / `git diff` text
+ */
+export function formatUnifiedDiff(fileDiff) {
+  const oldPath = fileDiff.oldPath || fileDiff.newPath;
+  const newPath = fileDiff.newPath || fileDiff.oldPath;
+  const short = (hash) => (hash ? hash.slice(0, 7) : '0000000');
+  const out = [`diff --git a/${oldPath} b/${newPath}`];
+
+  if (fileDiff.status === 'added') {
+    out.push(`new file mode ${fileDiff.newMode}`);
+  } else if (fileDiff.status === 'deleted') {
+    out.push(`deleted file mode ${fileDiff.oldMode}`);
+  } else if (fileDiff.oldMode !== fileDiff.newMode) {
+    out.push(`old mode ${fileDiff.oldMode}`, `new mode ${fileDiff.newMode}`);
+  }
+  if (fileDiff.status === 'renamed') {
+    out.push(`similarity index ${fileDiff.similarity}%`, `rename from ${oldPath}`, `rename to ${newPath}`);
+  }
+  if (fileDiff.oldHash !== fileDiff.newHash) {
+    const sameMode = fileDiff.oldMode === fileDiff.newMode ? ` ${fileDiff.newMode}` : '';
+    out.push(`index ${short(fileDiff.oldHash)}..${short(fileDiff.newHash)}${sameMode}`);
+  }
+
+  if (fileDiff.binary) {
+    out.push(`Binary files ${fileDiff.oldPath ? `a/${oldPath}` : '/dev/null'} and ${fileDiff.newPath ? `b/${newPath}` : '/dev/null'} differ`);
+    return out.join('\n');
+  }
+  if (fileDiff.hunks.length > 0) {
+    out.push(`--- ${fileDiff.oldPath ? `a/${oldPath}` : '/dev/null'}`);
+    out.push(`+++ ${fileDiff.newPath ? `b/${newPath}` : '/dev/null'}`);
+  }
+
+  const prefixes = { equal: ' ', delete: '-', insert: '+' };
+  fileDiff.hunks.forEach(hunk => {
+    out.push(hunk.header);
+    hunk.lines.forEach(op => {
+      if (op.text.endsWith('\n')) {
+        out.push(prefixes[op.type] + op.text.slice(0, -1));
+      } else {
+        out.push(prefixes[op.type] + op.text, '\\ No newline at end of file');
+      }
+    });
+  });
+
+  return out.join('\n');
+}
+
+/**
+ * Pair the lines of a hunk into side-by-side rows
+ * Runs of deletions and insertions are aligned next to each other.
+ */
+export function toSideBySide(hunk) {
+  const rows = [];
+  let deletions = [];
+  let insertions = [];
+
+  const flush = () => {
+    const count = Math.max(deletions.length, insertions.length);
+    for (let i = 0; i < count; i++) {
+      rows.push({ left: deletions[i] || null, right: insertions[i] || null });
+    }
+    deletions = [];
+    insertions = [];
+  };
+
+  hunk.lines.forEach(op => {
+    if (op.type === 'delete') {
+      deletions.push(op);
+    } else if (op.type === 'insert') {
+      insertions.push(op);
+    } else {
+      flush();
+      rows.push({ left: op, right: op });
+    }
+  });
+  flush();
+
+  return rows;
+}
@@ -0,0 +1,1217 @@
+/**
+ * Git command console: parse `git ...` command lines and run them on a
+ * GitRepository, printing what the real Git command line would print
+ * Covers: tokenizing with shell quoting, option parsing, a dispatch table,
+ * drawing a commit DAG as text (`git log --graph`)
+ */
+import { HEADS_PREFIX, TAGS_PREFIX, REMOTES_PREFIX } from './gitStructures';
+import { diffBlobs, diffCommits, formatUnifiedDiff } from './diffAlgorithms';
+
+export const DEFAULT_AUTHOR = 'You <you@example.com>';
+
+/**
+ * Split a command line into words the way a POSIX shell does:
+ * whitespace separates, '...' is literal, "..." allows \" and \\,
+ * and a backslash outside quotes escapes the next character
+ */
+export function tokenizeCommand(line) {
+  const tokens = [];
+  let current = null; // null between words, so "" still yields an empty word
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (quote === '"' && char === '\\' && '"\\$`'.includes(line[i + 1])) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (current !== null) tokens.push(current);
+      current = null;
+    } else {
+      if (current === null) current = '';
+      if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '\\' && i + 1 < line.length) {
+        current += line[++i];
+      } else {
+        current += char;
+      }
+    }
+  }
+
+  if (quote) throw new Error(`unexpected EOF while looking for matching \`${quote}'`);
+  if (current !== null) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Split arguments into options and positional arguments.
+ * `spec.flags` and `spec.values` map option spellings ('-a', '--all') to
+ * the key they set; `values` options take an argument ("-m msg",
+ * "-mmsg", "--message=msg"). Short flags combine ("-am msg").
+ * Everything after "--" is positional.
+ */
+function parseOptions(args, spec, usage) {
+  const flags = spec.flags || {};
+  const values = spec.values || {};
+  const options = {};
+  const positional = [];
+  const fail = (message) => { throw new Error(`error: ${message}\nusage: ${usage}`); };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith('--')) {
+      const equals = arg.indexOf('=');
+      const name = equals === -1 ? arg : arg.slice(0, equals);
+      if (name in flags && equals === -1) {
+        options[flags[name]] = true;
+      } else if (name in values) {
+        const value = equals === -1 ? args[++i] : arg.slice(equals + 1);
+        if (value === undefined) fail(`option \`${name.slice(2)}' requires a value`);
+        options[values[name]] = value;
+      } else {
+        fail(`unknown option \`${name.slice(2)}'`);
+      }
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      for (let j = 1; j < arg.length; j++) {
+        const name = `-${arg[j]}`;
+        if (name in flags) {
+          options[flags[name]] = true;
+        } else if (name in values) {
+          const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+          if (value === undefined) fail(`switch \`${arg[j]}' requires a value`);
+          options[values[name]] = value;
+          break;
+        } else {
+          fail(`unknown switch \`${arg[j]}'`);
+        }
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { options, positional };
+}
+
+const shortHash = (hash) => hash.slice(0, 7);
+const subject = (commit) => commit.message.split('\n')[0];
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Date in Git's default format, in the author's own timezone:
+ * "Mon Oct 19 09:39:06 2026 +0200"
+ */
+function formatDate(timestamp, timezone = '+0000') {
+  const sign = timezone[0] === '-' ? -1 : 1;
+  const offset = sign * (Number(timezone.slice(1, 3)) * 60 + Number(timezone.slice(3, 5)));
+  const date = new Date(new Date(timestamp).getTime() + offset * 60000);
+  const time = [date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()} ${time} ${date.getUTCFullYear()} ${timezone}`;
+}
+
+/**
+ * Resolve a revision or fail like `git rev-parse`
+ */
+function resolveRevision(repo, revision) {
+  const hash = repo.resolveCommit(revision);
+  if (!hash) {
+    throw new Error(`fatal: ambiguous argument '${revision}': unknown revision or path not in the working tree.`);
+  }
+  return hash;
+}
+
+/**
+ * Resolve any object name - full or abbreviated hash, ref or revision -
+ * without peeling tags (for `git cat-file`)
+ */
+function resolveObject(repo, name) {
+  if (repo.objects.has(name)) return name;
+  if (/^[0-9a-f]{4,39}$/.test(name)) {
+    const matches = [...repo.objects.keys()].filter(hash => hash.startsWith(name));
+    if (matches.length === 1) return matches[0];
+  }
+  return repo.resolveRef(name) || repo.resolveCommit(name);
+}
+
+/**
+ * Full ref name for a reflog argument ("main" -> "refs/heads/main")
+ */
+function reflogRef(repo, name) {
+  if (name === 'HEAD' || repo.reflogs.has(name)) return name;
+  if (repo.hasBranch(name)) return HEADS_PREFIX + name;
+  throw new Error(`fatal: ambiguous argument '${name}': unknown revision or path not in the working tree.`);
+}
+
+/**
+ * Ref names pointing at each commit, as printed by `git log --decorate`:
+ * "HEAD -> main", "tag: v1.0", "origin/main", "feature"
+ */
+function collectDecorations(repo) {
+  const decorations = new Map();
+  const add = (hash, label) => {
+    if (!decorations.has(hash)) decorations.set(hash, []);
+    decorations.get(hash).push(label);
+  };
+
+  const current = repo.getCurrentBranch();
+  const headHash = repo.getHeadCommit();
+  if (headHash) add(headHash, current ? `HEAD -> ${current}` : 'HEAD');
+
+  [...repo.refs.keys()].sort().forEach(ref => {
+    const hash = repo.peel(repo.refs.get(ref));
+    if (ref.startsWith(TAGS_PREFIX)) add(hash, `tag: ${ref.slice(TAGS_PREFIX.length)}`);
+  });
+  [...repo.refs.keys()].sort().forEach(ref => {
+    const hash = repo.refs.get(ref);
+    if (ref.startsWith(HEADS_PREFIX) && ref.slice(HEADS_PREFIX.length) !== current) {
+      add(hash, ref.slice(HEADS_PREFIX.length));
+    } else if (ref.startsWith(REMOTES_PREFIX)) {
+      add(hash, ref.slice(REMOTES_PREFIX.length));
+    }
+  });
+  return decorations;
+}
+
+/**
+ * Commits reachable from `tips` in `git log` order: newest committer date
+ * first, but never a parent before one of its children
+ * CS Concept: Kahn's algorithm with a priority on the ready set
+ */
+function logOrder(repo, tips) {
+  const commits = new Map();
+  const stack = [...tips];
+  while (stack.length > 0) {
+    const hash = stack.pop();
+    const commit = repo.getObject(hash);
+    if (commits.has(hash) || !commit || commit.type !== 'commit') continue;
+    commits.set(hash, commit);
+    stack.push(...commit.parents);
+  }
+
+  const children = new Map([...commits.keys()].map(hash => [hash, 0]));
+  commits.forEach(commit => {
+    commit.parents.forEach(parent => {
+      if (children.has(parent)) children.set(parent, children.get(parent) + 1);
+    });
+  });
+
+  const date = (commit) => new Date(commit.committerTimestamp).getTime();
+  const ready = [...commits.values()].filter(commit => children.get(commit.hash) === 0);
+  const ordered = [];
+  while (ready.length > 0) {
+    ready.sort((a, b) => date(b) - date(a));
+    const commit = ready.shift();
+    ordered.push(commit);
+    commit.parents.forEach(parent => {
+      if (!children.has(parent)) return;
+      children.set(parent, children.get(parent) - 1);
+      if (children.get(parent) === 0) ready.push(commits.get(parent));
+    });
+  }
+  return ordered;
+}
+
+/**
+ * Draw commits as text lanes, like `git log --graph`.
+ * `format(commit)` returns the lines for one commit; the first goes next
+ * to its "*", the rest next to the lanes still open below it.
+ * CS Concept: Each lane holds the commit expected next in that column;
+ * lanes that move are drawn with "\" and "/" one column per row.
+ */
+function drawGraph(commits, format) {
+  const lines = [];
+  let lanes = [];
+  const pipes = (count) => '| '.repeat(count).trimEnd();
+
+  commits.forEach(commit => {
+    let column = lanes.indexOf(commit.hash);
+    if (column === -1) {
+      lanes.push(commit.hash);
+      column = lanes.length - 1;
+    }
+
+    const [first, ...rest] = format(commit);
+    const row = lanes.map((_, i) => (i === column ? '*' : '|')).join(' ');
+    lines.push(`${row} ${first}`);
+
+    // Lanes after this commit: it is replaced by its parents, and a
+    // parent already waiting in another lane is joined rather than repeated
+    const next = [...lanes];
+    const newParents = commit.parents.filter(parent => !lanes.includes(parent));
+    next.splice(column, 1, ...newParents);
+
+    // Every edge from a column in this row to its column in the next
+    const edges = [];
+    lanes.forEach((hash, i) => {
+      const targets = i === column ? commit.parents : [hash];
+      targets.forEach(target => {
+        const to = next.indexOf(target);
+        if (to !== -1) edges.push({ at: i, to });
+      });
+    });
+
+    // Move lanes one column per row until every edge reached its target
+    while (edges.some(edge => edge.at !== edge.to)) {
+      const cells = new Array(Math.max(lanes.length, next.length) * 2).fill(' ');
+      edges.forEach(edge => {
+        if (edge.to > edge.at) {
+          cells[edge.at * 2 + 1] = '\\';
+          edge.at++;
+        } else if (edge.to < edge.at) {
+          cells[edge.at * 2 - 1] = '/';
+          edge.at--;
+        } else if (cells[edge.at * 2] === ' ') {
+          cells[edge.at * 2] = '|';
+        }
+      });
+      lines.push(cells.join('').trimEnd());
+    }
+
+    const continuation = next.length > 0 ? pipes(next.length) : ' ';
+    rest.forEach(line => lines.push(line ? `${continuation} ${line}` : continuation.trimEnd()));
+    lanes = next;
+  });
+
+  return lines;
+}
+
+/**
+ * Per-file lines of `--stat`: " path | 4 +++-"
+ */
+function formatStatLines(changes) {
+  const width = Math.max(0, ...changes.map(change => change.path.length));
+  return changes.map(change => {
+    const total = change.additions + change.deletions;
+    const scale = Math.min(1, 40 / Math.max(total, 1));
+    const bar = '+'.repeat(Math.ceil(change.additions * scale)) + '-'.repeat(Math.ceil(change.deletions * scale));
+    return ` ${change.path.padEnd(width)} | ${change.binary ? 'Bin' : `${total} ${bar}`}`;
+  });
+}
+
+/**
+ * " 2 files changed, 3 insertions(+), 1 deletion(-)"
+ */
+function formatDiffStat(changes) {
+  if (changes.length === 0) return ' 0 files changed';
+  const additions = changes.reduce((sum, change) => sum + change.additions, 0);
+  const deletions = changes.reduce((sum, change) => sum + change.deletions, 0);
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  let stat = ` ${plural(changes.length, 'file')} changed`;
+  if (additions > 0) stat += `, ${additions} insertion${additions === 1 ? '' : 's'}(+)`;
+  if (deletions > 0) stat += `, ${deletions} deletion${deletions === 1 ? '' : 's'}(-)`;
+  return stat;
+}
+
+/**
+ * Diff between two path -> entry maps (index, HEAD tree or working files)
+ */
+function diffEntryMaps(repo, before, after) {
+  const content = (entry) => (entry ? repo.getObject(entry.hash)?.content ?? '' : '');
+  return [...new Set([...before.keys(), ...after.keys()])].sort().flatMap(path => {
+    const oldEntry = before.get(path);
+    const newEntry = after.get(path);
+    if (oldEntry && newEntry && oldEntry.hash === newEntry.hash && oldEntry.mode === newEntry.mode) return [];
+    return [{
+      path,
+      oldPath: oldEntry ? path : null,
+      newPath: newEntry ? path : null,
+      oldHash: oldEntry ? oldEntry.hash : null,
+      newHash: newEntry ? newEntry.hash : null,
+      oldMode: oldEntry ? oldEntry.mode : null,
+      newMode: newEntry ? newEntry.mode : null,
+      status: !oldEntry ? 'added' : !newEntry ? 'deleted' : 'modified',
+      ...diffBlobs(content(oldEntry), newEntry?.content ?? content(newEntry))
+    }];
+  });
+}
+
+/**
+ * Full `git log` / `git show` header for a commit
+ */
+function formatCommitHeader(commit, decorations) {
+  const labels = decorations.get(commit.hash);
+  const lines = [`commit ${commit.hash}${labels ? ` (${labels.join(', ')})` : ''}`];
+  if (commit.parents.length > 1) lines.push(`Merge: ${commit.parents.map(shortHash).join(' ')}`);
+  lines.push(`Author: ${commit.author}`);
+  lines.push(`Date:   ${formatDate(commit.timestamp, commit.timezone)}`);
+  lines.push('');
+  commit.message.replace(/\n+$/, '').split('\n').forEach(line => lines.push(line ? `    ${line}` : ''));
+  return lines;
+}
+
+/**
+ * "[main 1a2b3c4] message" plus the diff stat, as printed after committing
+ */
+function describeNewCommit(repo, commit) {
+  const branch = repo.getCurrentBranch() || 'detached HEAD';
+  const root = commit.parents.length === 0 ? ' (root-commit)' : '';
+  const changes = diffCommits(repo, commit.parents[0] || null, commit.hash);
+  return `[${branch}${root} ${shortHash(commit.hash)}] ${subject(commit)}\n${formatDiffStat(changes)}`;
+}
+
+/**
+ * Output for a merge/cherry-pick/revert stopped by conflicts
+ */
+function describeConflicts(conflicts) {
+  return conflicts.map(conflict => `CONFLICT (${conflict.kind}): Merge conflict in ${conflict.path}`).join('\n');
+}
+
+/**
+ * Switch HEAD for `git checkout` and `git switch`, with Git's messages
+ * and its warning about commits a detached HEAD leaves behind
+ */
+function switchTo(repo, target, { detach = false, create = null, forceCreate = false, startPoint = null } = {}) {
+  const lines = [];
+  const previousDetached = repo.isDetached() ? repo.getHeadCommit() : null;
+  const previousBranch = repo.getCurrentBranch();
+
+  if (create) {
+    repo.createBranch(create, startPoint, { force: forceCreate });
+    target = create;
+  }
+  if (!detach && !create && previousBranch === target) {
+    return { output: `Already on '${target}'` };
+  }
+  if (!repo.checkout(target, { detach })) {
+    throw new Error(`error: pathspec '${target}' did not match any file(s) known to git`);
+  }
+
+  const leftBehind = repo.findCommitsLeftBehind(previousDetached);
+  if (previousDetached && leftBehind.length > 0) {
+    const count = leftBehind.length;
+    lines.push(
+      `Warning: you are leaving ${count} commit${count === 1 ? '' : 's'} behind, not connected to`,
+      'any of your branches:',
+      '',
+      ...leftBehind.slice(0, 5).map(hash => `  ${shortHash(hash)} ${subject(repo.getObject(hash))}`),
+      ...(count > 5 ? [` ... and ${count - 5} more.`] : []),
+      '',
+      `If you want to keep ${count === 1 ? 'it' : 'them'} by creating a new branch, this may be a good time`,
+      'to do so with:',
+      '',
+      ` git branch <new-branch-name> ${shortHash(leftBehind[0])}`,
+      ''
+    );
+  } else if (previousDetached && repo.getHeadCommit() !== previousDetached) {
+    lines.push(`Previous HEAD position was ${shortHash(previousDetached)} ${subject(repo.getObject(previousDetached))}`);
+  }
+
+  const head = repo.getObject(repo.getHeadCommit());
+  if (repo.isDetached()) {
+    if (!previousDetached) {
+      lines.push(
+        `Note: switching to '${target}'.`,
+        '',
+        "You are in 'detached HEAD' state. You can look around, make experimental",
+        'changes and commit them, and you can discard any commits you make in this',
+        'state without impacting any branches by switching back to a branch.',
+        ''
+      );
+    }
+    lines.push(`HEAD is now at ${shortHash(head.hash)} ${subject(head)}`);
+  } else if (create) {
+    lines.push(forceCreate ? `Switched to and reset branch '${create}'` : `Switched to a new branch '${create}'`);
+  } else {
+    lines.push(`Switched to branch '${target}'`);
+  }
+
+  return { output: lines.join('\n'), leftBehind, commit: head };
+}
+
+/**
+ * Put the index version of a file back into the working directory
+ */
+function restoreWorkingFile(repo, path) {
+  const entry = repo.index.get(path);
+  if (!entry) {
+    throw new Error(`error: pathspec '${path}' did not match any file(s) known to git`);
+  }
+  repo.writeFile(path, repo.getObject(entry.hash).content);
+}
+
+/**
+ * Supported commands. Each has a usage line, a one-line summary for
+ * `git help`, what its arguments complete to ('branches', 'revisions' or
+ * 'paths') and `run(repo, args, context)`, which returns output text or
+ * { output, commit, leftBehind } and throws with Git's error message.
+ */
+const COMMANDS = {
+  status: {
+    usage: 'git status',
+    summary: 'Show the working tree status',
+    run(repo) {
+      const lines = [repo.isDetached() ? repo.describeHead() : `On branch ${repo.getCurrentBranch()}`];
+      if (!repo.getHeadCommit()) lines.push('', 'No commits yet');
+
+      const { staged, unstaged, untracked } = repo.status();
+      const label = { added: 'new file:', modified: 'modified:', deleted: 'deleted:' };
+      const section = (title, hint, items) => {
+        if (items.length === 0) return;
+        lines.push(title, `  (${hint})`, ...items, '');
+      };
+      if (staged.length + unstaged.length + untracked.length > 0) lines.push('');
+      section('Changes to be committed:', 'use "git restore --staged <file>..." to unstage',
+        staged.map(item => `\t${label[item.status].padEnd(12)}${item.path}`));
+      section('Changes not staged for commit:', 'use "git add <file>..." to update what will be committed',
+        unstaged.map(item => `\t${label[item.status].padEnd(12)}${item.path}`));
+      section('Untracked files:', 'use "git add <file>..." to include in what will be committed',
+        untracked.map(path => `\t${path}`));
+
+      if (staged.length > 0) return lines.join('\n').trimEnd();
+      if (unstaged.length > 0) {
+        lines.push('no changes added to commit (use "git add" and/or "git commit -a")');
+      } else if (untracked.length > 0) {
+        lines.push('nothing added to commit but untracked files present (use "git add" to track)');
+      } else {
+        lines.push('', 'nothing to commit, working tree clean');
+      }
+      return lines.join('\n');
+    }
+  },
+
+  add: {
+    usage: 'git add [-A] [--] <pathspec>...',
+    summary: 'Add file contents to the index',
+    complete: 'paths',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, { flags: { '-A': 'all', '--all': 'all' } }, this.usage);
+      if (options.all || positional.includes('.')) {
+        repo.stageAll();
+      } else if (positional.length === 0) {
+        return 'Nothing specified, nothing added.\nhint: Maybe you wanted to say \'git add .\'?';
+      }
+      positional.filter(path => path !== '.').forEach(path => {
+        try {
+          repo.stage(path);
+        } catch (error) {
+          throw new Error(`fatal: ${error.message}`);
+        }
+      });
+      return '';
+    }
+  },
+
+  rm: {
+    usage: 'git rm [--cached] [--] <pathspec>...',
+    summary: 'Remove files from the working tree and from the index',
+    complete: 'paths',
+    run(repo, args) {
+      const { options, positional } = parseOptions(
+        args, { flags: { '--cached': 'cached', '-r': 'recursive', '-f': 'force' } }, this.usage
+      );
+      if (positional.length === 0) throw new Error(`usage: ${this.usage}`);
+      positional.forEach(path => {
+        try {
+          repo.removeFile(path, { cached: options.cached });
+        } catch (error) {
+          throw new Error(`fatal: ${error.message}`);
+        }
+      });
+      return positional.map(path => `rm '${path}'`).join('\n');
+    }
+  },
+
+  restore: {
+    usage: 'git restore [--staged] [--] <pathspec>...',
+    summary: 'Restore working tree files, or unstage them with --staged',
+    complete: 'paths',
+    run(repo, args) {
+      const { options, positional } = parseOptions(
+        args, { flags: { '--staged': 'staged', '-S': 'staged', '--worktree': 'worktree', '-W': 'worktree' } }, this.usage
+      );
+      if (positional.length === 0) throw new Error('fatal: you must specify path(s) to restore');
+      positional.forEach(path => {
+        if (options.staged) repo.unstage(path);
+        if (!options.staged || options.worktree) restoreWorkingFile(repo, path);
+      });
+      return '';
+    }
+  },
+
+  commit: {
+    usage: 'git commit [-a] [--amend] [--allow-empty] [--author=<author>] -m <msg>',
+    summary: 'Record changes to the repository',
+    run(repo, args, context) {
+      const { options } = parseOptions(args, {
+        flags: { '-a': 'all', '--all': 'all', '--amend': 'amend', '--allow-empty': 'allowEmpty' },
+        values: { '-m': 'message', '--message': 'message', '--author': 'author' }
+      }, this.usage);
+
+      if (options.all) {
+        repo.status().unstaged.forEach(item => repo.stage(item.path));
+      }
+
+      const author = options.author || context.author;
+      if (options.amend) {
+        const head = repo.getObject(repo.getHeadCommit());
+        if (!head) throw new Error('fatal: You have nothing to amend.');
+        const message = options.message || head.message;
+        const commit = repo.commit(repo.writeTree(repo.index), message, author, {
+          parents: head.parents,
+          reflog: { operation: 'commit (amend)', message: message.split('\n')[0] }
+        });
+        return { output: describeNewCommit(repo, commit), commit };
+      }
+
+      if (!options.message) {
+        throw new Error('Aborting commit due to empty commit message.\nhint: use git commit -m "<message>"');
+      }
+      try {
+        const commit = repo.commitIndex(options.message, author, { allowEmpty: options.allowEmpty });
+        return { output: describeNewCommit(repo, commit), commit };
+      } catch (error) {
+        // Git prints the status summary when there is nothing to commit
+        if (error.message.startsWith('nothing to commit')) throw new Error(COMMANDS.status.run(repo));
+        throw error;
+      }
+    }
+  },
+
+  branch: {
+    usage: 'git branch [-a | -r] [-v] | <name> [<start-point>] | -d <name>... | -m [<old>] <new>',
+    summary: 'List, create, rename or delete branches',
+    complete: 'branches',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, {
+        flags: {
+          '-d': 'delete', '--delete': 'delete', '-D': 'forceDelete',
+          '-m': 'move', '--move': 'move', '-M': 'forceMove',
+          '-f': 'force', '--force': 'force',
+          '-a': 'all', '--all': 'all', '-r': 'remotes', '--remotes': 'remotes',
+          '-v': 'verbose', '--verbose': 'verbose', '--show-current': 'showCurrent'
+        }
+      }, this.usage);
+
+      if (options.showCurrent) return repo.getCurrentBranch() || '';
+
+      if (options.delete || options.forceDelete) {
+        if (positional.length === 0) throw new Error('fatal: branch name required');
+        return positional.map(name => {
+          try {
+            const hash = repo.deleteBranch(name, { force: options.forceDelete || options.force });
+            return `Deleted branch ${name} (was ${shortHash(hash)}).`;
+          } catch (error) {
+            const hint = error.message.includes('not fully merged')
+              ? `\nIf you are sure you want to delete it, run 'git branch -D ${name}'.`
+              : '';
+            throw new Error(`error: ${error.message}${hint}`);
+          }
+        }).join('\n');
+      }
+
+      if (options.move || options.forceMove) {
+        if (positional.length === 0 || positional.length > 2) throw new Error(`usage: ${this.usage}`);
+        const [oldName, newName] = positional.length === 2 ? positional : [repo.getCurrentBranch(), positional[0]];
+        if (!oldName) throw new Error('fatal: cannot rename the current branch while not on any');
+        repo.renameBranch(oldName, newName, { force: options.forceMove || options.force });
+        return '';
+      }
+
+      if (positional.length > 0) {
+        const [name, startPoint] = positional;
+        if (!repo.getHeadCommit() && !startPoint) {
+          throw new Error(`fatal: not a valid object name: '${repo.getCurrentBranch()}'`);
+        }
+        try {
+          repo.createBranch(name, startPoint || null, { force: options.force });
+        } catch (error) {
+          throw new Error(`fatal: ${error.message}`);
+        }
+        return '';
+      }
+
+      // List
+      const lines = [];
+      const describe = (hash) => {
+        const commit = repo.getObject(repo.peel(hash));
+        return options.verbose && commit ? ` ${shortHash(commit.hash)} ${subject(commit)}` : '';
+      };
+      const names = Object.keys(repo.getBranches());
+      const width = Math.max(0, ...names.map(name => name.length));
+      const pad = (name) => (options.verbose ? name.padEnd(width) : name);
+
+      if (!options.remotes) {
+        if (repo.isDetached()) {
+          lines.push(`* (${repo.describeHead()})${describe(repo.getHeadCommit())}`);
+        }
+        names.sort().forEach(name => {
+          const marker = name === repo.getCurrentBranch() ? '* ' : '  ';
+          lines.push(`${marker}${pad(name)}${describe(repo.getBranches()[name])}`);
+        });
+      }
+      if (options.remotes || options.all) {
+        Object.entries(repo.getRemoteBranches()).sort().forEach(([name, hash]) => {
+          lines.push(`  ${options.all ? 'remotes/' : ''}${name}${describe(hash)}`);
+        });
+      }
+      return lines.join('\n');
+    }
+  },
+
+  checkout: {
+    usage: 'git checkout [--detach] <branch> | -b <new-branch> [<start-point>] | [--] <file>...',
+    summary: 'Switch branches or restore working tree files',
+    complete: 'revisions',
+    run(repo, args) {
+      const separator = args.indexOf('--');
+      if (separator !== -1) {
+        args.slice(separator + 1).forEach(path => restoreWorkingFile(repo, path));
+        return '';
+      }
+
+      const { options, positional } = parseOptions(args, {
+        flags: { '--detach': 'detach' },
+        values: { '-b': 'create', '-B': 'forceCreate' }
+      }, this.usage);
+      const create = options.create || options.forceCreate;
+      if (create) {
+        return switchTo(repo, create, {
+          create, forceCreate: Boolean(options.forceCreate), startPoint: positional[0] || null
+        });
+      }
+
+      if (positional.length === 0) throw new Error(`usage: ${this.usage}`);
+      const [target] = positional;
+      // Like Git, a name that is not a revision but a tracked file restores that file
+      if (!repo.hasBranch(target) && !repo.resolveCommit(target) && repo.index.has(target)) {
+        positional.forEach(path => restoreWorkingFile(repo, path));
+        return `Updated ${positional.length} path${positional.length === 1 ? '' : 's'} from the index`;
+      }
+      return switchTo(repo, target, { detach: options.detach });
+    }
+  },
+
+  switch: {
+    usage: 'git switch [--detach] <branch> | -c <new-branch> [<start-point>]',
+    summary: 'Switch branches',
+    complete: 'branches',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '--detach': 'detach', '-d': 'detach' },
+        values: { '-c': 'create', '--create': 'create', '-C': 'forceCreate', '--force-create': 'forceCreate' }
+      }, this.usage);
+      const create = options.create || options.forceCreate;
+      if (create) {
+        return switchTo(repo, create, {
+          create, forceCreate: Boolean(options.forceCreate), startPoint: positional[0] || null
+        });
+      }
+
+      if (positional.length === 0) throw new Error('fatal: missing branch or commit argument');
+      const [target] = positional;
+      if (!options.detach && !repo.hasBranch(target)) {
+        if (repo.resolveCommit(target)) {
+          throw new Error(`fatal: a branch is expected, got commit '${target}'\nhint: If you want to detach HEAD at the commit, try again with the --detach option.`);
+        }
+        throw new Error(`fatal: invalid reference: ${target}`);
+      }
+      return switchTo(repo, target, { detach: options.detach });
+    }
+  },
+
+  merge: {
+    usage: 'git merge [--no-ff] [-m <msg>] [-X ours|theirs] <commit>',
+    summary: 'Join another branch into the current branch',
+    complete: 'revisions',
+    run(repo, args, context) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '--no-ff': 'noFastForward', '--ff': 'fastForward' },
+        values: { '-m': 'message', '--message': 'message', '-X': 'favor', '--strategy-option': 'favor' }
+      }, this.usage);
+      if (positional.length !== 1) throw new Error(`usage: ${this.usage}`);
+      if (options.favor && !['ours', 'theirs'].includes(options.favor)) {
+        throw new Error(`fatal: unknown strategy option: -X${options.favor}`);
+      }
+
+      const before = repo.getHeadCommit();
+      const result = repo.merge(positional[0], {
+        message: options.message,
+        author: context.author,
+        noFastForward: options.noFastForward,
+        favor: options.favor
+      });
+
+      if (result.status === 'up-to-date') return 'Already up to date.';
+      if (result.status === 'conflict') {
+        throw new Error([
+          describeConflicts(result.conflicts),
+          'Automatic merge failed; nothing was changed.',
+          'hint: retry with -X ours or -X theirs to resolve every conflict in favour of one side.'
+        ].join('\n'));
+      }
+
+      const stat = formatDiffStat(diffCommits(repo, before, result.commit.hash));
+      const output = result.status === 'fast-forward'
+        ? `Updating ${shortHash(before)}..${shortHash(result.commit.hash)}\nFast-forward\n${stat}`
+        : `Merge made by the 'ort' strategy.\n${stat}`;
+      return { output, commit: result.commit };
+    }
+  },
+
+  'cherry-pick': {
+    usage: 'git cherry-pick [-x] [-m <parent-number>] [-X ours|theirs] <commit>',
+    summary: 'Apply the change introduced by an existing commit',
+    complete: 'revisions',
+    run(repo, args, context) {
+      return runApplyChange(repo, args, context, 'cherryPick', this.usage);
+    }
+  },
+
+  revert: {
+    usage: 'git revert [-m <parent-number>] [-X ours|theirs] <commit>',
+    summary: 'Revert an existing commit with a new commit',
+    complete: 'revisions',
+    run(repo, args, context) {
+      return runApplyChange(repo, args, context, 'revert', this.usage);
+    }
+  },
+
+  rebase: {
+    usage: 'git rebase [-X ours|theirs] <upstream>',
+    summary: 'Reapply the current branch\'s commits on top of another commit',
+    complete: 'revisions',
+    run(repo, args, context) {
+      const { options, positional } = parseOptions(args, {
+        values: { '-X': 'favor', '--strategy-option': 'favor' }
+      }, this.usage);
+      if (positional.length !== 1) throw new Error(`usage: ${this.usage}`);
+
+      const branch = repo.getCurrentBranch();
+      const result = repo.rebase(positional[0], { author: context.author, favor: options.favor });
+      if (result.status === 'up-to-date') return `Current branch ${branch || 'HEAD'} is up to date.`;
+      if (result.status === 'conflict') {
+        throw new Error([
+          `error: could not apply ${shortHash(result.source.hash)}... ${subject(result.source)}`,
+          describeConflicts(result.conflicts),
+          'hint: nothing was changed; retry with -X ours or -X theirs'
+        ].join('\n'));
+      }
+
+      const head = repo.getObject(repo.getHeadCommit());
+      const output = result.status === 'fast-forward'
+        ? `Fast-forwarded ${branch || 'HEAD'} to ${positional[0]}.`
+        : `Successfully rebased and updated ${branch ? `refs/heads/${branch}` : 'detached HEAD'}.`;
+      return { output, commit: head };
+    }
+  },
+
+  reset: {
+    usage: 'git reset [--soft | --mixed | --hard] [<commit>] | [--] <pathspec>...',
+    summary: 'Reset HEAD to a commit, or unstage paths',
+    complete: 'revisions',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '--soft': 'soft', '--mixed': 'mixed', '--hard': 'hard' }
+      }, this.usage);
+      const modes = ['soft', 'mixed', 'hard'].filter(mode => options[mode]);
+      if (modes.length > 1) throw new Error('fatal: --soft, --mixed and --hard are mutually exclusive');
+
+      // git reset <paths>: unstage instead of moving HEAD
+      const separator = args.indexOf('--');
+      const paths = separator !== -1
+        ? args.slice(separator + 1)
+        : positional.filter(arg => !repo.resolveCommit(arg));
+      const headFiles = repo.flattenTree(repo.getCommitTree(repo.getHeadCommit()));
+      paths.forEach(path => {
+        if (!repo.index.has(path) && !headFiles.has(path)) resolveRevision(repo, path);
+      });
+      if (paths.length > 0) {
+        if (modes.length > 0) throw new Error(`fatal: Cannot do ${modes[0]} reset with paths.`);
+        paths.forEach(path => repo.unstage(path));
+        return '';
+      }
+
+      const target = positional[0] || 'HEAD';
+      const mode = modes[0] || 'mixed';
+      resolveRevision(repo, target);
+      repo.reset(target, mode);
+
+      const head = repo.getObject(repo.getHeadCommit());
+      if (mode === 'hard') return { output: `HEAD is now at ${shortHash(head.hash)} ${subject(head)}`, commit: head };
+      if (mode === 'soft') return { output: '', commit: head };
+
+      const unstaged = repo.status().unstaged;
+      const output = unstaged.length === 0 ? '' : [
+        'Unstaged changes after reset:',
+        ...unstaged.map(item => `${item.status === 'deleted' ? 'D' : 'M'}\t${item.path}`)
+      ].join('\n');
+      return { output, commit: head };
+    }
+  },
+
+  tag: {
+    usage: 'git tag [-l] | [-a] [-f] [-m <msg>] <name> [<commit>] | -d <name>...',
+    summary: 'Create, list or delete tags',
+    complete: 'revisions',
+    run(repo, args, context) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '-d': 'delete', '--delete': 'delete', '-a': 'annotate', '-f': 'force', '-l': 'list', '--list': 'list' },
+        values: { '-m': 'message', '--message': 'message' }
+      }, this.usage);
+
+      if (options.delete) {
+        if (positional.length === 0) throw new Error(`usage: ${this.usage}`);
+        return positional.map(name => {
+          const hash = repo.getTags()[name];
+          try {
+            repo.deleteTag(name);
+          } catch (error) {
+            throw new Error(`error: ${error.message}`);
+          }
+          return `Deleted tag '${name}' (was ${shortHash(hash)})`;
+        }).join('\n');
+      }
+
+      if (options.list || positional.length === 0) {
+        return Object.keys(repo.getTags()).sort().join('\n');
+      }
+
+      const [name, target = 'HEAD'] = positional;
+      if (options.annotate && !options.message) {
+        throw new Error('fatal: no tag message given (use -m <msg>)');
+      }
+      resolveRevision(repo, target);
+      try {
+        repo.createTag(name, target, { message: options.message, tagger: context.author, force: options.force });
+      } catch (error) {
+        throw new Error(`fatal: ${error.message}`);
+      }
+      return '';
+    }
+  },
+
+  log: {
+    usage: 'git log [--oneline] [--graph] [--all] [-n <number>] [<revision>...]',
+    summary: 'Show commit logs',
+    complete: 'revisions',
+    run(repo, args) {
+      // "-5" is shorthand for "-n 5"
+      const expanded = args.map(arg => (/^-\d+$/.test(arg) ? `--max-count=${arg.slice(1)}` : arg));
+      const { options, positional } = parseOptions(expanded, {
+        flags: { '--oneline': 'oneline', '--graph': 'graph', '--all': 'all', '--decorate': 'decorate' },
+        values: { '-n': 'maxCount', '--max-count': 'maxCount' }
+      }, this.usage);
+
+      const tips = positional.map(revision => resolveRevision(repo, revision));
+      if (options.all) tips.push(...[...repo.refs.values()].map(hash => repo.peel(hash)));
+      if (positional.length === 0) {
+        if (!repo.getHeadCommit()) {
+          throw new Error(`fatal: your current branch '${repo.describeHead()}' does not have any commits yet`);
+        }
+        tips.push(repo.getHeadCommit());
+      }
+
+      let commits = logOrder(repo, tips);
+      if (options.maxCount !== undefined) {
+        const limit = Number(options.maxCount);
+        if (!Number.isInteger(limit) || limit < 0) throw new Error(`fatal: '${options.maxCount}': not an integer`);
+        commits = commits.slice(0, limit);
+      }
+
+      const decorations = collectDecorations(repo);
+      const format = options.oneline
+        ? (commit) => {
+          const labels = decorations.get(commit.hash);
+          return [`${shortHash(commit.hash)}${labels ? ` (${labels.join(', ')})` : ''} ${subject(commit)}`];
+        }
+        : (commit) => [...formatCommitHeader(commit, decorations), ''];
+
+      if (options.graph) return drawGraph(commits, format).join('\n').trimEnd();
+      return commits.flatMap(format).join('\n').trimEnd();
+    }
+  },
+
+  show: {
+    usage: 'git show [--stat] [<object>]',
+    summary: 'Show a commit (or annotated tag) and its changes',
+    complete: 'revisions',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, { flags: { '--stat': 'stat' } }, this.usage);
+      const name = positional[0] || 'HEAD';
+      const lines = [];
+
+      const objectHash = resolveObject(repo, name);
+      const obj = objectHash && repo.getObject(objectHash);
+      if (obj && obj.type === 'tag') {
+        lines.push(`tag ${obj.tagName}`);
+        if (obj.tagger) lines.push(`Tagger: ${obj.tagger}`, `Date:   ${formatDate(obj.timestamp, obj.timezone)}`);
+        lines.push('', obj.message.replace(/\n+$/, ''), '');
+      } else if (obj && (obj.type === 'blob' || obj.type === 'tree')) {
+        return obj.toString();
+      }
+
+      const commit = repo.getObject(resolveRevision(repo, name));
+      lines.push(...formatCommitHeader(commit, collectDecorations(repo)), '');
+      const changes = diffCommits(repo, commit.parents[0] || null, commit.hash);
+      if (options.stat) {
+        lines.push(...formatStatLines(changes), formatDiffStat(changes));
+      } else {
+        lines.push(changes.map(formatUnifiedDiff).join('\n'));
+      }
+      return lines.join('\n').trimEnd();
+    }
+  },
+
+  diff: {
+    usage: 'git diff [--staged] | <commit> <commit>',
+    summary: 'Show changes between the working tree, index and commits',
+    complete: 'revisions',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '--staged': 'staged', '--cached': 'staged', '--stat': 'stat' }
+      }, this.usage);
+
+      let changes;
+      if (positional.length === 2) {
+        const [from, to] = positional.map(revision => resolveRevision(repo, revision));
+        changes = diffCommits(repo, from, to);
+      } else if (positional.length === 1) {
+        throw new Error('fatal: comparing the working tree with a commit is not supported; use git diff <commit> HEAD');
+      } else if (options.staged) {
+        const head = repo.flattenTree(repo.getCommitTree(repo.getHeadCommit()));
+        changes = diffEntryMaps(repo, head, repo.index);
+      } else {
+        // Tracked files only, compared with what is staged
+        const working = new Map();
+        repo.index.forEach((entry, path) => {
+          const hash = repo.hashWorkingFile(path);
+          if (hash) working.set(path, { ...entry, hash, content: repo.readWorkingFile(path) });
+        });
+        changes = diffEntryMaps(repo, repo.index, working);
+      }
+
+      if (options.stat) {
+        return changes.length === 0 ? '' : [...formatStatLines(changes), formatDiffStat(changes)].join('\n');
+      }
+      return changes.map(formatUnifiedDiff).join('\n');
+    }
+  },
+
+  reflog: {
+    usage: 'git reflog [show] [<ref>]',
+    summary: 'Show where HEAD and branches have pointed',
+    complete: 'branches',
+    run(repo, args) {
+      const names = args[0] === 'show' ? args.slice(1) : args;
+      const ref = reflogRef(repo, names[0] || 'HEAD');
+      return repo.getReflog(ref).map(entry => (
+        `${shortHash(entry.newHash)} ${entry.selector}: ${entry.operation}${entry.message ? `: ${entry.message}` : ''}`
+      )).join('\n');
+    }
+  },
+
+  'rev-parse': {
+    usage: 'git rev-parse [--short] [--abbrev-ref] <revision>...',
+    summary: 'Print the object name a revision resolves to',
+    complete: 'revisions',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '--short': 'short', '--abbrev-ref': 'abbrevRef' }
+      }, this.usage);
+      return positional.map(revision => {
+        if (options.abbrevRef) {
+          if (revision === 'HEAD') return repo.getCurrentBranch() || 'HEAD';
+          if (repo.hasBranch(revision)) return revision;
+        }
+        const hash = resolveRevision(repo, revision);
+        return options.short ? shortHash(hash) : hash;
+      }).join('\n');
+    }
+  },
+
+  'cat-file': {
+    usage: 'git cat-file (-t | -s | -p | -e) <object>',
+    summary: 'Show the type, size or content of a stored object',
+    complete: 'revisions',
+    run(repo, args) {
+      const { options, positional } = parseOptions(args, {
+        flags: { '-t': 'type', '-s': 'size', '-p': 'pretty', '-e': 'exists' }
+      }, this.usage);
+      if (positional.length !== 1) throw new Error(`usage: ${this.usage}`);
+
+      const hash = resolveObject(repo, positional[0]);
+      const obj = hash && repo.getObject(hash);
+      if (options.exists) {
+        if (!obj) throw new Error('');
+        return '';
+      }
+      if (!obj) throw new Error(`fatal: Not a valid object name ${positional[0]}`);
+      if (options.type) return obj.type;
+      if (options.size) return String(obj.serialize().length);
+      if (options.pretty) return obj.toString().replace(/\n$/, '');
+      throw new Error(`usage: ${this.usage}`);
+    }
+  },
+
+  'ls-files': {
+    usage: 'git ls-files [-s]',
+    summary: 'Show the files in the index',
+    run(repo, args) {
+      const { options } = parseOptions(args, { flags: { '-s': 'stage', '--stage': 'stage' } }, this.usage);
+      return [...repo.index.keys()].sort().map(path => {
+        const entry = repo.index.get(path);
+        return options.stage ? `${entry.mode} ${entry.hash} 0\t${path}` : path;
+      }).join('\n');
+    }
+  },
+
+  gc: {
+    usage: 'git gc [--prune=now]',
+    summary: 'Remove unreachable objects',
+    run(repo, args) {
+      parseOptions(args, { values: { '--prune': 'prune' } }, this.usage);
+      const { pruned, kept } = repo.gc();
+      return `Removed ${pruned.length} unreachable object${pruned.length === 1 ? '' : 's'}; ${kept} kept`;
+    }
+  },
+
+  fsck: {
+    usage: 'git fsck [--unreachable]',
+    summary: 'Verify the connectivity and validity of the objects',
+    run(repo, args) {
+      const { options } = parseOptions(args, { flags: { '--unreachable': 'unreachable' } }, this.usage);
+      const report = repo.fsck();
+      const lines = report.issues.map(issue => `error: ${issue.message}`);
+      const listed = options.unreachable ? report.unreachable : report.dangling;
+      const word = options.unreachable ? 'unreachable' : 'dangling';
+      listed.forEach(obj => lines.push(`${word} ${obj.type} ${obj.hash}`));
+      if (!report.ok) throw new Error(lines.join('\n'));
+      return lines.join('\n');
+    }
+  },
+
+  help: {
+    usage: 'git help',
+    summary: 'List the commands this console understands',
+    run() {
+      const names = Object.keys(COMMANDS);
+      const width = Math.max(...names.map(name => name.length));
+      return [
+        'These Git commands are available:',
+        '',
+        ...names.map(name => `   ${name.padEnd(width)}   ${COMMANDS[name].summary}`),
+        '',
+        "Run 'git <command> -h' for a command's usage."
+      ].join('\n');
+    }
+  }
+};
+
+/**
+ * Shared body of `git cherry-pick` and `git revert`
+ */
+function runApplyChange(repo, args, context, operation, usage) {
+  const { options, positional } = parseOptions(args, {
+    flags: { '-x': 'recordOrigin' },
+    values: { '-m': 'mainline', '--mainline': 'mainline', '-X': 'favor', '--strategy-option': 'favor' }
+  }, usage);
+  if (positional.length !== 1) throw new Error(`usage: ${usage}`);
+
+  const result = repo[operation](positional[0], {
+    author: context.author,
+    recordOrigin: options.recordOrigin,
+    mainline: options.mainline ? Number(options.mainline) : undefined,
+    favor: options.favor
+  });
+
+  const source = `${shortHash(result.source.hash)}... ${subject(result.source)}`;
+  if (result.status === 'conflict') {
+    throw new Error(`error: could not apply ${source}\n${describeConflicts(result.conflicts)}\nhint: nothing was changed; retry with -X ours or -X theirs`);
+  }
+  if (result.status === 'empty') {
+    throw new Error(`The previous ${operation === 'revert' ? 'revert' : 'cherry-pick'} is now empty: ${source} changes nothing on HEAD.`);
+  }
+  return { output: describeNewCommit(repo, result.commit), commit: result.commit };
+}
+
+export const COMMAND_NAMES = Object.keys(COMMANDS);
+
+/**
+ * Run one command line against the repository.
+ * Returns { output, error } plus, when the command moved HEAD or made a
+ * commit, `commit` (the new HEAD commit) and `leftBehind` (hashes a
+ * detached HEAD left unreachable).
+ * `context.author` is used for new commits and tags.
+ */
+export function executeCommand(repo, line, context = {}) {
+  const fullContext = { author: DEFAULT_AUTHOR, ...context };
+  try {
+    const words = tokenizeCommand(line.trim());
+    if (words.length === 0) return { output: '', error: false };
+    if (words[0] !== 'git') {
+      throw new Error(`${words[0]}: command not found (commands start with 'git', try 'git help')`);
+    }
+
+    const [name = 'help', ...args] = words.slice(1);
+    const command = COMMANDS[name === '--help' ? 'help' : name];
+    if (!command) {
+      const similar = COMMAND_NAMES.filter(candidate => candidate.startsWith(name.slice(0, 2)));
+      const hint = similar.length > 0 ? `\n\nThe most similar command${similar.length === 1 ? ' is' : 's are'}\n\t${similar.join('\n\t')}` : '';
+      throw new Error(`git: '${name}' is not a git command. See 'git help'.${hint}`);
+    }
+    if (args.includes('-h')) return { output: `usage: ${command.usage}`, error: false };
+
+    const result = command.run(repo, args, fullContext);
+    return typeof result === 'string' ? { output: result, error: false } : { ...result, error: false };
+  } catch (error) {
+    return { output: error.message, error: true };
+  }
+}
+
+/**
+ * Tab completion for the word under the cursor (the end of the line):
+ * "git" itself, command names, then branch names, revisions or paths
+ * depending on the command.
+ * Returns { line, candidates }: the line extended by the longest common
+ * prefix of the candidates (plus a space when there is exactly one).
+ */
+export function completeCommand(repo, line) {
+  const words = line.split(/\s+/);
+  const partial = words[words.length - 1];
+  const before = words.slice(0, -1).filter(Boolean);
+
+  let pool = [];
+  if (before.length === 0) {
+    pool = ['git'];
+  } else if (before[0] !== 'git' || partial.startsWith('-')) {
+    pool = [];
+  } else if (before.length === 1) {
+    pool = COMMAND_NAMES;
+  } else {
+    const command = COMMANDS[before[1]];
+    const branches = Object.keys(repo.getBranches());
+    if (command?.complete === 'branches') {
+      pool = branches;
+    } else if (command?.complete === 'revisions') {
+      pool = ['HEAD', ...branches, ...Object.keys(repo.getTags()), ...Object.keys(repo.getRemoteBranches())];
+    } else if (command?.complete === 'paths') {
+      pool = [...new Set([...repo.index.keys(), ...repo.workingDirectory.keys()])];
+    }
+  }
+
+  const candidates = [...new Set(pool)].filter(word => word.startsWith(partial)).sort();
+  if (candidates.length === 0) return { line, candidates };
+
+  let common = candidates[0];
+  candidates.forEach(word => {
+    while (!word.startsWith(common)) common = common.slice(0, -1);
+  });
+  const completed = line.slice(0, line.length - partial.length) + common + (candidates.length === 1 ? ' ' : '');
+  return { line: completed, candidates };
+}
@@ -0,0 +1,195 @@
+/**
+ * Export a GitRepository as a real .git directory
+ * Covers: loose objects, packfiles and their index, the index file, refs
+ *
+ * The result can be unzipped and used with the Git command line:
+ * `git log --graph --all`, `git fsck` and `git status` all work on it.
+ */
+import { GitHash, toBytes, concatBytes } from './gitStructures';
+import { deflate, crc32 } from './compression';
+import { writeZip } from './zipArchive';
+
+const PACK_TYPES = { commit: 1, tree: 2, blob: 3, tag: 4 };
+
+const CONFIG = [
+  '[core]',
+  '\trepositoryformatversion = 0',
+  '\tfilemode = true',
+  '\tbare = false',
+  '\tlogallrefupdates = true',
+  ''
+].join('\n');
+
+/**
+ * Big-endian 32-bit integer
+ */
+function uint32(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+/**
+ * Loose object file contents: zlib("<type> <size>\0<body>")
+ */
+export function writeLooseObject(obj) {
+  return deflate(GitHash.frame(obj.type, obj.serialize()));
+}
+
+/**
+ * Pack entry header: type and size varint (4 bits in the first byte,
+ * then 7 bits per byte)
+ */
+function packEntryHeader(type, size) {
+  const bytes = [];
+  let byte = (PACK_TYPES[type] << 4) | (size & 0x0f);
+  let remaining = Math.floor(size / 16);
+  while (remaining > 0) {
+    bytes.push(byte | 0x80);
+    byte = remaining & 0x7f;
+    remaining = Math.floor(remaining / 128);
+  }
+  bytes.push(byte);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Write objects into a version 2 packfile (whole objects, no deltas)
+ * and its version 2 index.
+ * Returns { pack, index, checksum }.
+ */
+export function writePackfile(objects) {
+  const parts = [toBytes('PACK'), uint32(2), uint32(objects.length)];
+  const entries = [];
+  let offset = 12;
+
+  objects.forEach(obj => {
+    const body = obj.serialize();
+    const entry = concatBytes([packEntryHeader(obj.type, body.length), deflate(body)]);
+    entries.push({ hash: obj.hash, offset, crc: crc32(entry) });
+    parts.push(entry);
+    offset += entry.length;
+  });
+
+  const content = concatBytes(parts);
+  const checksum = GitHash.toBinary(GitHash.sha1(content));
+  const pack = concatBytes([content, checksum]);
+
+  // Index: fan-out table, sorted hashes, CRC-32s, offsets, checksums
+  entries.sort((a, b) => (a.hash < b.hash ? -1 : a.hash > b.hash ? 1 : 0));
+  const fanout = new Array(256).fill(0);
+  entries.forEach(entry => fanout[parseInt(entry.hash.slice(0, 2), 16)]++);
+  for (let i = 1; i < 256; i++) fanout[i] += fanout[i - 1];
+
+  entries.forEach(entry => {
+    if (entry.offset >= 0x80000000) throw new Error('Packfiles over 2 GiB are not supported');
+  });
+  const indexContent = concatBytes([
+    new Uint8Array([0xff, 0x74, 0x4f, 0x63]),
+    uint32(2),
+    ...fanout.map(uint32),
+    ...entries.map(entry => GitHash.toBinary(entry.hash)),
+    ...entries.map(entry => uint32(entry.crc)),
+    ...entries.map(entry => uint32(entry.offset)),
+    checksum
+  ]);
+  const index = concatBytes([indexContent, GitHash.toBinary(GitHash.sha1(indexContent))]);
+
+  return { pack, index, checksum: GitHash.fromBinary(checksum) };
+}
+
+/**
+ * The index file (.git/index, "DIRC" version 2) for the staging area.
+ * Stat fields are left at zero, so Git re-reads file contents once
+ * to confirm they are unchanged.
+ */
+export function writeIndexFile(repo) {
+  const paths = [...repo.index.keys()].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const parts = [toBytes('DIRC'), uint32(2), uint32(paths.length)];
+
+  paths.forEach(path => {
+    const entry = repo.index.get(path);
+    const blob = repo.getObject(entry.hash);
+    const name = toBytes(path);
+    const fixed = new DataView(new ArrayBuffer(62));
+    // ctime, mtime, dev, ino stay zero
+    fixed.setUint32(24, parseInt(entry.mode, 8));
+    fixed.setUint32(36, blob && blob.type === 'blob' ? blob.serialize().length : 0);
+    new Uint8Array(fixed.buffer).set(GitHash.toBinary(entry.hash), 40);
+    fixed.setUint16(60, Math.min(name.length, 0xfff));
+    // Entries are NUL-padded to a multiple of 8 bytes (at least one NUL)
+    const padding = 8 - ((62 + name.length) % 8);
+    parts.push(new Uint8Array(fixed.buffer), name, new Uint8Array(padding));
+  });
+
+  const content = concatBytes(parts);
+  return concatBytes([content, GitHash.toBinary(GitHash.sha1(content))]);
+}
+
+/**
+ * A reflog file. The in-memory reflog does not record who moved the
+ * ref, so the committer of the new commit stands in.
+ */
+function writeReflog(repo, entries) {
+  return entries.map(entry => {
+    const commit = repo.getObject(repo.peel(entry.newHash));
+    const identity = commit && commit.committer ? commit.committer : 'Git Visualizer <visualizer@localhost>';
+    const seconds = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+    const message = entry.message ? `${entry.operation}: ${entry.message}` : entry.operation;
+    return `${entry.oldHash || '0'.repeat(40)} ${entry.newHash} ${identity} ${seconds} +0000\t${message}\n`;
+  }).join('');
+}
+
+/**
+ * Lay the repository out as the files of a .git directory.
+ * Returns a Map of path (relative to .git) -> content.
+ * With `options.packfile`, objects go into one pack instead of loose files.
+ */
+export function exportGitDirectory(repo, options = {}) {
+  const files = new Map();
+  files.set('HEAD', repo.HEAD.type === 'symbolic' ? `ref: ${repo.HEAD.ref}\n` : `${repo.HEAD.hash}\n`);
+  files.set('config', CONFIG);
+  files.set('description', 'Exported from the Git visualizer\n');
+  ['refs/heads/', 'refs/tags/', 'objects/info/', 'objects/pack/'].forEach(dir => files.set(dir, ''));
+
+  repo.refs.forEach((hash, ref) => files.set(ref, `${hash}\n`));
+  repo.reflogs.forEach((entries, ref) => {
+    if ((ref === 'HEAD' || repo.refs.has(ref)) && entries.length > 0) {
+      files.set(`logs/${ref}`, writeReflog(repo, entries));
+    }
+  });
+
+  const objects = [...repo.objects.values()];
+  if (options.packfile) {
+    const { pack, index, checksum } = writePackfile(objects);
+    files.set(`objects/pack/pack-${checksum}.pack`, pack);
+    files.set(`objects/pack/pack-${checksum}.idx`, index);
+  } else {
+    objects.forEach(obj => {
+      files.set(`objects/${obj.hash.slice(0, 2)}/${obj.hash.slice(2)}`, writeLooseObject(obj));
+    });
+  }
+
+  files.set('index', writeIndexFile(repo));
+  return files;
+}
+
+/**
+ * Zip the repository: the .git directory plus (unless
+ * `options.workingTree` is false) the working directory files
+ */
+export function exportRepositoryZip(repo, options = {}) {
+  const files = new Map();
+  const modes = new Map();
+
+  if (options.workingTree !== false) {
+    repo.workingDirectory.forEach((content, path) => {
+      files.set(path, content);
+      const entry = repo.index.get(path);
+      if (entry) modes.set(path, parseInt(entry.mode, 8));
+    });
+  }
+  exportGitDirectory(repo, options).forEach((content, path) => files.set(`.git/${path}`, content));
+
+  return writeZip(files, { modes });
+}
@@ -0,0 +1,496 @@
+/**
+ * Import a real .git directory into a GitRepository
+ * Covers: zlib streams, packfiles with delta compression, pack indexes, refs
+ *
+ * Sources: a directory picked with <input webkitdirectory>, a folder
+ * dropped on the page, or a zip of the .git folder.
+ */
+import { GitRepository, GitHash, parseObject, fromBytes } from './gitStructures';
+import { inflate } from './compression';
+import { readZip } from './zipArchive';
+
+const OBJECT_TYPES = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+const OFS_DELTA = 6;
+const REF_DELTA = 7;
+const ZERO_HASH = '0'.repeat(40);
+
+/**
+ * Files inside a .git directory the importer needs
+ */
+function isRelevantGitPath(path) {
+  return path === 'HEAD' ||
+    path === 'packed-refs' ||
+    path.startsWith('refs/') ||
+    path.startsWith('logs/') ||
+    /^objects\/[0-9a-f]{2}\/[0-9a-f]{38}$/.test(path) ||
+    /^objects\/pack\/pack-[0-9a-f]+\.(pack|idx)$/.test(path);
+}
+
+/**
+ * Find where the git directory starts in a list of paths: "" for the
+ * contents of .git itself, otherwise e.g. ".git/" or "project/.git/"
+ */
+export function findGitDirPrefix(paths) {
+  const all = new Set(paths);
+  const candidates = paths
+    .filter(path => path === 'HEAD' || path.endsWith('/HEAD'))
+    .map(path => path.slice(0, -'HEAD'.length))
+    .filter(prefix => paths.some(path => path.startsWith(`${prefix}objects/`)) &&
+      (all.has(`${prefix}packed-refs`) || paths.some(path => path.startsWith(`${prefix}refs/`))))
+    .sort((a, b) => a.length - b.length);
+
+  if (candidates.length === 0) {
+    throw new Error('No git directory found (expected HEAD, objects/ and refs/)');
+  }
+  return candidates[0];
+}
+
+/**
+ * Parse a loose object file: zlib("<type> <size>\0<body>")
+ */
+export function parseLooseObject(bytes) {
+  const { data } = inflate(bytes);
+  const nul = data.indexOf(0);
+  const [type, size] = fromBytes(data.subarray(0, nul)).split(' ');
+  const body = data.subarray(nul + 1);
+  if (Number(size) !== body.length) {
+    throw new Error(`Object size mismatch (header says ${size}, found ${body.length})`);
+  }
+  return { type, body };
+}
+
+/**
+ * Parse a pack index (.idx), versions 1 and 2.
+ * Returns [{ hash, offset }] sorted by hash.
+ */
+export function parsePackIndex(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const entries = [];
+
+  if (view.getUint32(0) === 0xff744f63) {
+    const version = view.getUint32(4);
+    if (version !== 2) throw new Error(`Unsupported pack index version ${version}`);
+    const count = view.getUint32(8 + 255 * 4);
+    const hashes = 8 + 256 * 4;
+    const offsets = hashes + count * 24; // after the hashes and CRC-32s
+    const largeOffsets = offsets + count * 4;
+    for (let i = 0; i < count; i++) {
+      let offset = view.getUint32(offsets + i * 4);
+      if (offset & 0x80000000) {
+        const index = offset & 0x7fffffff;
+        offset = view.getUint32(largeOffsets + index * 8) * 0x100000000 + view.getUint32(largeOffsets + index * 8 + 4);
+      }
+      entries.push({ hash: GitHash.fromBinary(bytes.subarray(hashes + i * 20, hashes + i * 20 + 20)), offset });
+    }
+  } else {
+    // Version 1: fan-out table, then (4-byte offset, 20-byte hash) pairs
+    const count = view.getUint32(255 * 4);
+    for (let i = 0; i < count; i++) {
+      const pos = 256 * 4 + i * 24;
+      entries.push({ hash: GitHash.fromBinary(bytes.subarray(pos + 4, pos + 24)), offset: view.getUint32(pos) });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Rebuild an object from its base and a delta: two size varints, then
+ * "copy from base" and "insert literal bytes" instructions
+ * CS Concept: Delta encoding
+ */
+export function applyDelta(base, delta) {
+  let pos = 0;
+  const readSize = () => {
+    let size = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = delta[pos++];
+      size += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return size;
+  };
+
+  if (readSize() !== base.length) {
+    throw new Error('Delta base size mismatch');
+  }
+  const result = new Uint8Array(readSize());
+  let out = 0;
+
+  while (pos < delta.length) {
+    const op = delta[pos++];
+    if (op & 0x80) {
+      // Copy: which offset/size bytes follow is given by the low 7 bits
+      let offset = 0;
+      let size = 0;
+      if (op & 0x01) offset = delta[pos++];
+      if (op & 0x02) offset |= delta[pos++] << 8;
+      if (op & 0x04) offset |= delta[pos++] << 16;
+      if (op & 0x08) offset += delta[pos++] * 0x1000000;
+      if (op & 0x10) size = delta[pos++];
+      if (op & 0x20) size |= delta[pos++] << 8;
+      if (op & 0x40) size |= delta[pos++] << 16;
+      if (size === 0) size = 0x10000;
+      if (offset + size > base.length || out + size > result.length) {
+        throw new Error('Delta copy out of range');
+      }
+      result.set(base.subarray(offset, offset + size), out);
+      out += size;
+    } else if (op) {
+      if (out + op > result.length) throw new Error('Delta insert out of range');
+      result.set(delta.subarray(pos, pos + op), out);
+      pos += op;
+      out += op;
+    } else {
+      throw new Error('Invalid delta instruction');
+    }
+  }
+
+  if (out !== result.length) {
+    throw new Error('Delta result size mismatch');
+  }
+  return result;
+}
+
+/**
+ * Read a pack entry header at `offset`: the object type and size
+ * varint, then the base reference for deltas
+ */
+function readPackEntryHeader(pack, offset) {
+  let pos = offset;
+  let byte = pack[pos++];
+  const type = (byte >> 4) & 0x07;
+  let size = byte & 0x0f;
+  let shift = 4;
+  while (byte & 0x80) {
+    byte = pack[pos++];
+    size += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  }
+
+  const header = { type, size };
+  if (type === OFS_DELTA) {
+    // Offset encoding adds one before each shift so there is exactly
+    // one representation per value
+    byte = pack[pos++];
+    let distance = byte & 0x7f;
+    while (byte & 0x80) {
+      byte = pack[pos++];
+      distance = (distance + 1) * 128 + (byte & 0x7f);
+    }
+    header.baseOffset = offset - distance;
+  } else if (type === REF_DELTA) {
+    header.baseHash = GitHash.fromBinary(pack.subarray(pos, pos + 20));
+    pos += 20;
+  }
+  header.dataOffset = pos;
+  return header;
+}
+
+/**
+ * Unpack every object of a packfile. With an index the entries are
+ * located through it; without one the pack is scanned from the start.
+ * `lookup(hash)` resolves ref-delta bases stored outside this pack.
+ * Returns a Map of hash -> { type, body }.
+ */
+export function parsePackfile(pack, index = null, lookup = () => null) {
+  const view = new DataView(pack.buffer, pack.byteOffset, pack.byteLength);
+  if (fromBytes(pack.subarray(0, 4)) !== 'PACK') {
+    throw new Error('Not a packfile');
+  }
+  const version = view.getUint32(4);
+  if (version !== 2 && version !== 3) {
+    throw new Error(`Unsupported packfile version ${version}`);
+  }
+  const count = view.getUint32(8);
+
+  const resolved = new Map(); // offset -> { type, body }
+  const offsetsByHash = new Map();
+  let offsets;
+  let inflatedCache = null; // offset -> inflated data, when scanned without an index
+
+  if (index) {
+    index.forEach(({ hash, offset }) => offsetsByHash.set(hash, offset));
+    offsets = index.map(entry => entry.offset);
+    if (offsets.length !== count) {
+      throw new Error(`Pack index lists ${offsets.length} objects, pack has ${count}`);
+    }
+  } else {
+    // No index: the zlib streams have to be inflated to find where each
+    // entry ends; keep the inflated data for later
+    offsets = [];
+    inflatedCache = new Map();
+    let pos = 12;
+    for (let i = 0; i < count; i++) {
+      const header = readPackEntryHeader(pack, pos);
+      const { data, bytesRead } = inflate(pack, header.dataOffset, header.size);
+      offsets.push(pos);
+      inflatedCache.set(pos, data);
+      pos = header.dataOffset + bytesRead;
+    }
+  }
+
+  const resolveOffset = (offset, depth = 0) => {
+    if (resolved.has(offset)) return resolved.get(offset);
+    if (depth > 10000) throw new Error('Delta chain too deep');
+
+    const header = readPackEntryHeader(pack, offset);
+    const data = inflatedCache ? inflatedCache.get(offset) : inflate(pack, header.dataOffset, header.size).data;
+    if (data.length !== header.size) {
+      throw new Error(`Pack entry at ${offset} has the wrong size`);
+    }
+
+    let object;
+    if (OBJECT_TYPES[header.type]) {
+      object = { type: OBJECT_TYPES[header.type], body: data };
+    } else if (header.type === OFS_DELTA || header.type === REF_DELTA) {
+      let base;
+      if (header.type === OFS_DELTA) {
+        base = resolveOffset(header.baseOffset, depth + 1);
+      } else if (offsetsByHash.has(header.baseHash)) {
+        base = resolveOffset(offsetsByHash.get(header.baseHash), depth + 1);
+      } else {
+        base = lookup(header.baseHash);
+      }
+      if (!base) {
+        throw new Error(`Missing delta base ${header.baseHash || header.baseOffset}`);
+      }
+      object = { type: base.type, body: applyDelta(base.body, data) };
+    } else {
+      throw new Error(`Unknown pack entry type ${header.type} at ${offset}`);
+    }
+
+    resolved.set(offset, object);
+    return object;
+  };
+
+  // Without an index, a ref-delta base is only known once it has been
+  // hashed, and bases may be deltas themselves: resolve in rounds
+  if (!index) {
+    let pending = offsets;
+    while (pending.length > 0) {
+      const waiting = pending.filter(offset => {
+        const header = readPackEntryHeader(pack, offset);
+        if (header.type === REF_DELTA && !offsetsByHash.has(header.baseHash) && !lookup(header.baseHash)) {
+          return true;
+        }
+        const object = resolveOffset(offset);
+        offsetsByHash.set(GitHash.hashObject(object.type, object.body), offset);
+        return false;
+      });
+      if (waiting.length === pending.length) {
+        throw new Error(`Missing delta base ${readPackEntryHeader(pack, waiting[0]).baseHash}`);
+      }
+      pending = waiting;
+    }
+  }
+
+  const objects = new Map();
+  offsets.forEach(offset => {
+    const object = resolveOffset(offset);
+    objects.set(GitHash.hashObject(object.type, object.body), object);
+  });
+  if (index) {
+    index.forEach(({ hash }) => {
+      if (!objects.has(hash)) {
+        throw new Error(`Pack object ${hash} does not match its index entry`);
+      }
+    });
+  }
+  return objects;
+}
+
+/**
+ * Parse packed-refs: "<hash> <ref>" lines; "^<hash>" lines are peeled
+ * tag targets and "#" lines are comments
+ */
+export function parsePackedRefs(text) {
+  const refs = new Map();
+  text.split('\n').forEach(line => {
+    if (!line || line.startsWith('#') || line.startsWith('^')) return;
+    const [hash, ref] = line.trim().split(' ');
+    if (/^[0-9a-f]{40}$/.test(hash) && ref) refs.set(ref, hash);
+  });
+  return refs;
+}
+
+/**
+ * Parse a reflog file: "<old> <new> <identity> <secs> <tz>\t<operation>: <message>"
+ */
+function parseReflog(text) {
+  return text.split('\n').filter(Boolean).map(line => {
+    const tab = line.indexOf('\t');
+    const [head, text] = tab === -1 ? [line, ''] : [line.slice(0, tab), line.slice(tab + 1)];
+    const match = /^([0-9a-f]{40}) ([0-9a-f]{40}) .* (\d+) [+-]\d{4}$/.exec(head);
+    if (!match) return null;
+    const colon = text.indexOf(': ');
+    return {
+      oldHash: match[1] === ZERO_HASH ? null : match[1],
+      newHash: match[2],
+      operation: colon === -1 ? text : text.slice(0, colon),
+      message: colon === -1 ? '' : text.slice(colon + 2),
+      timestamp: new Date(Number(match[3]) * 1000).toISOString()
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Build a GitRepository from the files of a git directory
+ * (a Map of path relative to .git -> Uint8Array).
+ * Returns { repository, summary }.
+ */
+export function buildRepositoryFromGitDir(files) {
+  const repo = new GitRepository();
+  const raw = new Map(); // hash -> { type, body }
+  const summary = { looseObjects: 0, packs: 0, packedObjects: 0, refs: 0, warnings: [] };
+
+  files.forEach((bytes, path) => {
+    const match = /^objects\/([0-9a-f]{2})\/([0-9a-f]{38})$/.exec(path);
+    if (!match) return;
+    try {
+      raw.set(match[1] + match[2], parseLooseObject(bytes));
+      summary.looseObjects++;
+    } catch (error) {
+      summary.warnings.push(`${path}: ${error.message}`);
+    }
+  });
+
+  files.forEach((bytes, path) => {
+    if (!/^objects\/pack\/pack-[0-9a-f]+\.pack$/.test(path)) return;
+    const indexBytes = files.get(path.replace(/\.pack$/, '.idx'));
+    const objects = parsePackfile(bytes, indexBytes ? parsePackIndex(indexBytes) : null, hash => raw.get(hash));
+    objects.forEach((object, hash) => {
+      if (!raw.has(hash)) raw.set(hash, object);
+    });
+    summary.packs++;
+    summary.packedObjects += objects.size;
+  });
+
+  raw.forEach(({ type, body }, hash) => {
+    const object = parseObject(type, body);
+    if (object.hash !== hash) {
+      summary.warnings.push(`${type} ${hash} re-serializes to ${object.hash}`);
+    }
+    repo.objects.set(hash, object);
+  });
+
+  // Refs: loose ref files override packed-refs
+  const refs = files.has('packed-refs') ? parsePackedRefs(fromBytes(files.get('packed-refs'))) : new Map();
+  files.forEach((bytes, path) => {
+    if (!path.startsWith('refs/')) return;
+    const value = fromBytes(bytes).trim();
+    if (/^[0-9a-f]{40}$/.test(value)) refs.set(path, value);
+  });
+  refs.forEach((hash, ref) => repo.refs.set(ref, hash));
+  summary.refs = refs.size;
+
+  const head = files.has('HEAD') ? fromBytes(files.get('HEAD')).trim() : '';
+  if (head.startsWith('ref: ')) {
+    repo.HEAD = { type: 'symbolic', ref: head.slice(5) };
+  } else if (/^[0-9a-f]{40}$/.test(head)) {
+    repo.HEAD = { type: 'detached', hash: head };
+  } else {
+    throw new Error('Invalid HEAD file');
+  }
+
+  files.forEach((bytes, path) => {
+    if (!path.startsWith('logs/')) return;
+    const entries = parseReflog(fromBytes(bytes));
+    if (entries.length > 0) repo.reflogs.set(path.slice('logs/'.length), entries);
+  });
+
+  // Check out HEAD's tree into the index and working directory
+  repo.syncWorkingState(null, repo.getCommitTree(repo.getHeadCommit()));
+
+  summary.objects = repo.objects.size;
+  return { repository: repo, summary };
+}
+
+/**
+ * Read the needed files of a git directory from [{ path, file }] where
+ * `file` is a Blob/File, then build the repository
+ */
+async function importEntries(entries) {
+  const prefix = findGitDirPrefix(entries.map(entry => entry.path));
+  const files = new Map();
+  for (const { path, file } of entries) {
+    if (!path.startsWith(prefix)) continue;
+    const relative = path.slice(prefix.length);
+    if (isRelevantGitPath(relative)) {
+      files.set(relative, new Uint8Array(await file.arrayBuffer()));
+    }
+  }
+  return buildRepositoryFromGitDir(files);
+}
+
+/**
+ * Import from the FileList of an <input type="file" webkitdirectory>
+ */
+export function importFromFileList(fileList) {
+  return importEntries(Array.from(fileList, file => ({
+    path: file.webkitRelativePath || file.name,
+    file
+  })));
+}
+
+/**
+ * Import from a zip of the .git folder (or of a project containing one)
+ */
+export async function importFromZip(file) {
+  const archive = readZip(new Uint8Array(await file.arrayBuffer()));
+  const paths = [...archive.keys()].filter(path => !path.startsWith('__MACOSX/'));
+  const prefix = findGitDirPrefix(paths);
+  const files = new Map();
+  paths.forEach(path => {
+    const relative = path.slice(prefix.length);
+    if (path.startsWith(prefix) && isRelevantGitPath(relative)) {
+      files.set(relative, archive.get(path));
+    }
+  });
+  return buildRepositoryFromGitDir(files);
+}
+
+/**
+ * Recursively list a dropped directory (FileSystemEntry API)
+ */
+async function walkEntry(entry, path, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ path, file });
+    return;
+  }
+
+  const reader = entry.createReader();
+  // readEntries returns results in batches until it yields an empty one
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    for (const child of batch) {
+      await walkEntry(child, `${path}/${child.name}`, out);
+    }
+  }
+}
+
+/**
+ * Import from a drag-and-drop DataTransfer: either a dropped .git
+ * folder (or project folder) or a dropped zip file
+ */
+export async function importFromDataTransfer(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+  const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+
+  if (entries.length === 1 && entries[0].isFile) {
+    return importFromZip(items[0].getAsFile());
+  }
+  if (entries.length === 0) {
+    throw new Error('Drop a .git folder or a zip of it');
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await walkEntry(entry, entry.name, files);
+  }
+  return importEntries(files);
+}
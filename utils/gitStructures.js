@@ -3,39 +3,204 @@
  * Covers: Hash Tables, Directed Acyclic Graphs (DAG), Trees
  */
 
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode a string as UTF-8 bytes (Uint8Array input is passed through)
+ */
+export function toBytes(data) {
+  return typeof data === 'string' ? textEncoder.encode(data) : data;
+}
+
+/**
+ * Decode UTF-8 bytes into a string (string input is passed through)
+ */
+export function fromBytes(data) {
+  return typeof data === 'string' ? data : textDecoder.decode(data);
+}
+
+/**
+ * Decode bytes that must be valid UTF-8; null when they are not (so the
+ * caller can keep the bytes instead of a lossy string)
+ */
+function decodeUtf8Exactly(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Concatenate several byte arrays (or strings) into one Uint8Array
+ */
+export function concatBytes(parts) {
+  const chunks = parts.map(toBytes);
+  const out = new Uint8Array(chunks.reduce((sum, c) => sum + c.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
+
 /**
- * SHA-1 Hash Simulation (simplified for educational purposes)
- * In real Git, this would use actual SHA-1 cryptographic hashing
+ * SHA-1 Hashing
+ * CS Concept: Cryptographic hash function (Merkle–Damgård construction)
+ * Implemented by hand so object IDs can be computed synchronously and
+ * match the ones produced by `git hash-object` and `git commit-tree`.
  */
 export class GitHash {
-  static generate(content) {
-    let hash = 0;
-    const str = JSON.stringify(content);
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
+  /**
+   * Hash arbitrary data with SHA-1 and return 40 hex characters
+   */
+  static sha1(data) {
+    const bytes = toBytes(data);
+    const bitLength = bytes.length * 8;
+
+    // Pad: 0x80, zeros, then the 64-bit big-endian message length
+    const paddedLength = (((bytes.length + 8) >> 6) + 1) << 6;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    let h0 = 0x67452301;
+    let h1 = 0xefcdab89;
+    let h2 = 0x98badcfe;
+    let h3 = 0x10325476;
+    let h4 = 0xc3d2e1f0;
+    const w = new Uint32Array(80);
+
+    for (let block = 0; block < paddedLength; block += 64) {
+      for (let i = 0; i < 16; i++) {
+        w[i] = view.getUint32(block + i * 4);
+      }
+      for (let i = 16; i < 80; i++) {
+        const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+        w[i] = (x << 1) | (x >>> 31);
+      }
+
+      let a = h0, b = h1, c = h2, d = h3, e = h4;
+      for (let i = 0; i < 80; i++) {
+        let f, k;
+        if (i < 20) {
+          f = (b & c) | (~b & d);
+          k = 0x5a827999;
+        } else if (i < 40) {
+          f = b ^ c ^ d;
+          k = 0x6ed9eba1;
+        } else if (i < 60) {
+          f = (b & c) | (b & d) | (c & d);
+          k = 0x8f1bbcdc;
+        } else {
+          f = b ^ c ^ d;
+          k = 0xca62c1d6;
+        }
+        const temp = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) >>> 0;
+        e = d;
+        d = c;
+        c = (b << 30) | (b >>> 2);
+        b = a;
+        a = temp;
+      }
+
+      h0 = (h0 + a) >>> 0;
+      h1 = (h1 + b) >>> 0;
+      h2 = (h2 + c) >>> 0;
+      h3 = (h3 + d) >>> 0;
+      h4 = (h4 + e) >>> 0;
+    }
+
+    return [h0, h1, h2, h3, h4]
+      .map(h => h.toString(16).padStart(8, '0'))
+      .join('');
+  }
+
+  /**
+   * Build the canonical loose-object bytes: "<type> <size>\0<body>"
+   */
+  static frame(type, body) {
+    const bytes = toBytes(body);
+    return concatBytes([`${type} ${bytes.length}\0`, bytes]);
+  }
+
+  /**
+   * Hash an object body the way Git does (header + body)
+   */
+  static hashObject(type, body) {
+    return GitHash.sha1(GitHash.frame(type, body));
+  }
+
+  /**
+   * Convert a 40-character hex hash into its 20 raw bytes
+   */
+  static toBinary(hex) {
+    const out = new Uint8Array(20);
+    for (let i = 0; i < 20; i++) {
+      out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
     }
-    return Math.abs(hash).toString(16).padStart(40, '0').slice(0, 40);
+    return out;
+  }
+
+  /**
+   * Convert 20 raw bytes back into a 40-character hex hash
+   */
+  static fromBinary(bytes) {
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
   }
 }
 
 /**
  * Git Blob - Represents file content
  * CS Concept: Content-addressable storage
+ * Content may be a string (stored as UTF-8) or a Uint8Array of raw bytes.
  */
 export class GitBlob {
   constructor(content) {
     this.type = 'blob';
     this.content = content;
-    this.hash = GitHash.generate({ type: this.type, content });
+    this.hash = GitHash.hashObject(this.type, this.serialize());
+  }
+
+  /**
+   * Object body without the header - the raw file bytes
+   */
+  serialize() {
+    return toBytes(this.content);
   }
 
   toString() {
-    return `blob ${this.content.length}\0${this.content}`;
+    return fromBytes(this.content);
   }
 }
 
+/**
+ * Map a tree entry mode to the object type it points at
+ */
+export function modeToType(mode) {
+  const normalized = String(mode).padStart(6, '0');
+  if (normalized === '040000') return 'tree';
+  if (normalized === '160000') return 'commit';
+  return 'blob';
+}
+
+/**
+ * Git's tree ordering: names compare bytewise, with directories
+ * compared as if their name had a trailing "/"
+ */
+function compareTreeEntries(a, b) {
+  const keyA = a.type === 'tree' ? `${a.name}/` : a.name;
+  const keyB = b.type === 'tree' ? `${b.name}/` : b.name;
+  if (keyA < keyB) return -1;
+  if (keyA > keyB) return 1;
+  return 0;
+}
+
 /**
  * Git Tree - Represents directory structure
  * CS Concept: Tree data structure
@@ -43,54 +208,286 @@ export class GitBlob {
 export class GitTree {
   constructor(entries = []) {
     this.type = 'tree';
-    this.entries = entries; // Array of { mode, name, hash, type }
-    this.hash = GitHash.generate({ type: this.type, entries });
+    this.entries = [...entries].sort(compareTreeEntries); // Array of { mode, name, hash, type }
+    this.hash = GitHash.hashObject(this.type, this.serialize());
   }
 
-  addEntry(mode, name, hash, type) {
+  addEntry(mode, name, hash, type = modeToType(mode)) {
     this.entries.push({ mode, name, hash, type });
-    this.hash = GitHash.generate({ type: this.type, entries: this.entries });
+    this.entries.sort(compareTreeEntries);
+    this.hash = GitHash.hashObject(this.type, this.serialize());
+  }
+
+  /**
+   * Binary tree format: "<mode> <name>\0<20-byte hash>" per entry.
+   * Git writes directory modes without the leading zero ("40000").
+   */
+  serialize() {
+    return concatBytes(this.entries.flatMap(e => [
+      `${String(e.mode).replace(/^0+/, '')} ${e.name}\0`,
+      GitHash.toBinary(e.hash)
+    ]));
   }
 
+  /**
+   * Human-readable form, as printed by `git cat-file -p`
+   */
   toString() {
-    return `tree\n${this.entries.map(e => 
-      `${e.mode} ${e.type} ${e.hash}\t${e.name}`
-    ).join('\n')}`;
+    return this.entries.map(e =>
+      `${String(e.mode).padStart(6, '0')} ${e.type} ${e.hash}\t${e.name}`
+    ).join('\n');
   }
 }
 
+/**
+ * Format a Git identity line value: "Name <email> <unix seconds> <tz>"
+ */
+function formatSignature(identity, timestamp, timezone) {
+  const seconds = Math.floor(new Date(timestamp).getTime() / 1000);
+  return `${identity} ${seconds} ${timezone}`;
+}
+
 /**
  * Git Commit - Represents a snapshot in time
  * CS Concept: Node in a Directed Acyclic Graph (DAG)
+ *
+ * `options` may carry a distinct committer identity and date
+ * (`committer`, `committerTimestamp`) and the UTC offsets used in the
+ * author/committer lines (`timezone`, `committerTimezone`, e.g. "+0200").
+ * Commits read from a real repository may also have `extraHeaders`
+ * ([{ key, value }], e.g. gpgsig) and a `rawMessage` kept byte for byte.
+ * A body that is not valid UTF-8 (e.g. with an `encoding ISO-8859-1`
+ * header) is kept as `raw` bytes, and the fields are only for display.
  */
 export class GitCommit {
-  constructor(tree, parents = [], author, message, timestamp) {
+  constructor(tree, parents = [], author, message, timestamp, options = {}) {
     this.type = 'commit';
     this.tree = tree;
     this.parents = parents; // Array of parent commit hashes
     this.author = author;
     this.message = message;
     this.timestamp = timestamp || new Date().toISOString();
-    this.hash = GitHash.generate({
-      type: this.type,
-      tree,
-      parents,
-      author,
-      message,
-      timestamp: this.timestamp
-    });
+    this.timezone = options.timezone || '+0000';
+    this.committer = options.committer || author;
+    this.committerTimestamp = options.committerTimestamp || this.timestamp;
+    this.committerTimezone = options.committerTimezone || this.timezone;
+    this.extraHeaders = options.extraHeaders || [];
+    this.rawMessage = Boolean(options.rawMessage);
+    this.raw = options.raw || null;
+    this.hash = GitHash.hashObject(this.type, this.serialize());
+  }
+
+  /**
+   * Canonical commit body. Git always terminates the message with a newline
+   * (unless the message was read verbatim from an existing object).
+   */
+  serialize() {
+    if (this.raw) return this.raw;
+    const lines = [`tree ${this.tree}`];
+    this.parents.forEach(p => lines.push(`parent ${p}`));
+    lines.push(`author ${formatSignature(this.author, this.timestamp, this.timezone)}`);
+    lines.push(`committer ${formatSignature(this.committer, this.committerTimestamp, this.committerTimezone)}`);
+    // Multi-line header values continue on lines starting with a space
+    this.extraHeaders.forEach(({ key, value }) => lines.push(`${key} ${value.split('\n').join('\n ')}`));
+    const message = this.rawMessage || this.message.endsWith('\n') ? this.message : `${this.message}\n`;
+    return toBytes(`${lines.join('\n')}\n\n${message}`);
+  }
+
+  /**
+   * Human-readable form, as printed by `git cat-file -p`
+   */
+  toString() {
+    return fromBytes(this.serialize());
+  }
+}
+
+/**
+ * Git Tag - An annotated tag object
+ * CS Concept: Named, immutable pointer with its own metadata
+ * (lightweight tags are plain refs and need no object)
+ * `options.rawMessage` and `options.raw` work as for GitCommit.
+ */
+export class GitTag {
+  constructor(object, objectType, tagName, tagger, message, timestamp, options = {}) {
+    this.type = 'tag';
+    this.object = object; // Hash of the tagged object (usually a commit)
+    this.objectType = objectType;
+    this.tagName = tagName;
+    this.tagger = tagger;
+    this.message = message;
+    this.timestamp = timestamp || new Date().toISOString();
+    this.timezone = options.timezone || '+0000';
+    this.rawMessage = Boolean(options.rawMessage);
+    this.raw = options.raw || null;
+    this.hash = GitHash.hashObject(this.type, this.serialize());
+  }
+
+  /**
+   * Canonical tag body, as written by `git tag -a` / `git mktag`.
+   * Very old tags have no tagger line.
+   */
+  serialize() {
+    if (this.raw) return this.raw;
+    const message = this.rawMessage || this.message.endsWith('\n') ? this.message : `${this.message}\n`;
+    const tagger = this.tagger ? `tagger ${formatSignature(this.tagger, this.timestamp, this.timezone)}\n` : '';
+    return toBytes(
+      `object ${this.object}\ntype ${this.objectType}\ntag ${this.tagName}\n${tagger}\n${message}`
+    );
   }
 
+  /**
+   * Human-readable form, as printed by `git cat-file -p`
+   */
   toString() {
-    const parentStr = this.parents.map(p => `parent ${p}`).join('\n');
-    return `commit ${this.hash}
-tree ${this.tree}
-${parentStr}
-author ${this.author}
-date ${this.timestamp}
+    return fromBytes(this.serialize());
+  }
+}
+
+/**
+ * Split "Name <email> <unix seconds> <tz>" into identity, ISO timestamp
+ * and timezone (the inverse of formatSignature)
+ */
+function parseSignature(value) {
+  const match = /^(.*) (-?\d+) ([+-]\d{4})$/.exec(value);
+  if (!match) {
+    throw new Error(`Malformed signature '${value}'`);
+  }
+  return {
+    identity: match[1],
+    timestamp: new Date(Number(match[2]) * 1000).toISOString(),
+    timezone: match[3]
+  };
+}
+
+/**
+ * Split a commit or tag body into its header fields and message.
+ * Continuation lines (starting with a space) extend the previous header.
+ */
+function parseHeaders(text) {
+  const end = text.indexOf('\n\n');
+  const head = end === -1 ? text : text.slice(0, end);
+  const headers = [];
+  head.split('\n').forEach(line => {
+    if (line.startsWith(' ') && headers.length > 0) {
+      headers[headers.length - 1].value += `\n${line.slice(1)}`;
+    } else if (line) {
+      const space = line.indexOf(' ');
+      headers.push({ key: line.slice(0, space), value: line.slice(space + 1) });
+    }
+  });
+  return { headers, message: end === -1 ? '' : text.slice(end + 2) };
+}
+
+/**
+ * Rebuild a GitBlob/GitTree/GitCommit/GitTag from a raw object body, as
+ * stored in a loose object or packfile. Text blobs become strings; any
+ * other content stays raw bytes so the hash is preserved. Commits and
+ * tags that are not valid UTF-8 keep their body as `raw` bytes.
+ */
+export function parseObject(type, body) {
+  switch (type) {
+    case 'blob': {
+      const text = body.includes(0) ? null : decodeUtf8Exactly(body);
+      return new GitBlob(text === null ? body : text);
+    }
+
+    case 'tree': {
+      const entries = [];
+      let pos = 0;
+      while (pos < body.length) {
+        const space = body.indexOf(0x20, pos);
+        const nul = body.indexOf(0, space);
+        const mode = fromBytes(body.subarray(pos, space)).padStart(6, '0');
+        const name = fromBytes(body.subarray(space + 1, nul));
+        const hash = GitHash.fromBinary(body.subarray(nul + 1, nul + 21));
+        entries.push({ mode, name, hash, type: modeToType(mode) });
+        pos = nul + 21;
+      }
+      return new GitTree(entries);
+    }
+
+    case 'commit': {
+      const text = decodeUtf8Exactly(body);
+      const { headers, message } = parseHeaders(text === null ? fromBytes(body) : text);
+      const fields = { parents: [], extraHeaders: [] };
+      headers.forEach(header => {
+        if (header.key === 'tree' && !fields.tree) fields.tree = header.value;
+        else if (header.key === 'parent') fields.parents.push(header.value);
+        else if (header.key === 'author' && !fields.author) fields.author = parseSignature(header.value);
+        else if (header.key === 'committer' && !fields.committer) fields.committer = parseSignature(header.value);
+        else fields.extraHeaders.push(header);
+      });
+      if (!fields.tree || !fields.author || !fields.committer) {
+        throw new Error('Malformed commit object');
+      }
+      return new GitCommit(fields.tree, fields.parents, fields.author.identity, message, fields.author.timestamp, {
+        timezone: fields.author.timezone,
+        committer: fields.committer.identity,
+        committerTimestamp: fields.committer.timestamp,
+        committerTimezone: fields.committer.timezone,
+        extraHeaders: fields.extraHeaders,
+        rawMessage: true,
+        raw: text === null ? body : null
+      });
+    }
+
+    case 'tag': {
+      const text = decodeUtf8Exactly(body);
+      const { headers, message } = parseHeaders(text === null ? fromBytes(body) : text);
+      const field = (key) => headers.find(h => h.key === key)?.value;
+      const tagger = field('tagger') ? parseSignature(field('tagger')) : null;
+      return new GitTag(field('object'), field('type'), field('tag'), tagger && tagger.identity, message,
+        tagger ? tagger.timestamp : null, {
+          timezone: tagger ? tagger.timezone : undefined,
+          rawMessage: true,
+          raw: text === null ? body : null
+        });
+    }
+
+    default:
+      throw new Error(`Unknown object type '${type}'`);
+  }
+}
+
+/**
+ * Ref namespaces
+ */
+export const HEADS_PREFIX = 'refs/heads/';
+export const TAGS_PREFIX = 'refs/tags/';
+export const REMOTES_PREFIX = 'refs/remotes/';
+
+/**
+ * Validate a ref name component (simplified `git check-ref-format`)
+ */
+function assertValidRefName(name, kind) {
+  const invalid = !name ||
+    /[\s~^:?*[\\]/.test(name) ||
+    name.startsWith('/') || name.endsWith('/') || name.endsWith('.') || name.endsWith('.lock') ||
+    name.startsWith('-') || name.includes('..') || name.includes('//') || name.includes('@{') ||
+    name === 'HEAD';
+  if (invalid) {
+    throw new Error(`'${name}' is not a valid ${kind} name`);
+  }
+}
 
-${this.message}`;
+/**
+ * Split a repository path into its components, rejecting paths Git
+ * would refuse ("", "/abs", "a//b", "..", ".git")
+ */
+function splitPath(path) {
+  const parts = typeof path === 'string' ? path.split('/') : [];
+  if (parts.length === 0 || parts.some(p => !p || p === '.' || p === '..' || p === '.git')) {
+    throw new Error(`Invalid path '${path}'`);
   }
+  return parts;
+}
+
+/**
+ * Compare two tree entries (either may be missing)
+ */
+function sameEntry(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.hash === b.hash && a.mode === b.mode;
 }
 
 /**
@@ -103,8 +500,12 @@ ${this.message}`;
 export class GitRepository {
   constructor() {
     this.objects = new Map(); // Hash -> Object mapping
-    this.refs = new Map(); // Branch name -> Commit hash
-    this.HEAD = 'main';
+    this.refs = new Map(); // Full ref name (refs/heads/*, refs/tags/*, refs/remotes/*) -> hash
+    // HEAD is either symbolic (points at a branch ref) or detached (points at a commit)
+    this.HEAD = { type: 'symbolic', ref: `${HEADS_PREFIX}main` };
+    this.reflogs = new Map(); // Ref name ('HEAD', 'refs/heads/main') -> array of updates
+    this.index = new Map(); // Staging area: path -> { mode, hash, type }
+    this.workingDirectory = new Map(); // Path -> file content
   }
 
   /**
@@ -125,233 +526,1540 @@ export class GitRepository {
   }
 
   /**
-   * Create a new commit
+   * Capture the whole repository state (for undo/redo)
+   * CS Concept: Persistent snapshots via structural sharing - objects are
+   * immutable and only ever added, so every snapshot shares the one object
+   * store and copies just the refs, HEAD, reflogs, index and working
+   * directory. gc builds a new store instead of deleting from the shared
+   * one, so undoing a gc brings pruned objects back.
+   */
+  snapshot() {
+    return {
+      objects: this.objects,
+      refs: new Map(this.refs),
+      HEAD: { ...this.HEAD },
+      reflogs: new Map([...this.reflogs].map(([ref, entries]) => [ref, [...entries]])),
+      index: new Map(this.index),
+      workingDirectory: new Map(this.workingDirectory)
+    };
+  }
+
+  /**
+   * Return to a state captured by snapshot(). The snapshot is copied
+   * again (all but the shared object store), so later changes never alter
+   * it and it can be restored twice. Objects added since stay in the
+   * store, unreachable, as they would in Git until the next gc.
+   */
+  restoreSnapshot(snapshot) {
+    this.objects = snapshot.objects;
+    this.refs = new Map(snapshot.refs);
+    this.HEAD = { ...snapshot.HEAD };
+    this.reflogs = new Map([...snapshot.reflogs].map(([ref, entries]) => [ref, [...entries]]));
+    this.index = new Map(snapshot.index);
+    this.workingDirectory = new Map(snapshot.workingDirectory);
+  }
+
+  /**
+   * Create a new commit on the current branch.
+   * `options.parents` overrides the default single parent (used for merges).
+   * `options.timestamp` keeps an original author date (used by cherry-pick),
+   * with `options.committer` recording who applied it.
+   * `options.reflog` ({ operation, message }) overrides the reflog entry.
    */
-  commit(treeHash, message, author) {
-    const parentHash = this.refs.get(this.HEAD);
-    const parents = parentHash ? [parentHash] : [];
+  commit(treeHash, message, author, options = {}) {
+    const parentHash = this.getHeadCommit();
+    const parents = options.parents || (parentHash ? [parentHash] : []);
     
-    const commit = new GitCommit(treeHash, parents, author, message);
+    const commit = new GitCommit(treeHash, parents, author, message, options.timestamp, {
+      committer: options.committer,
+      committerTimestamp: options.timestamp ? new Date().toISOString() : undefined
+    });
     this.storeObject(commit);
-    this.refs.set(this.HEAD, commit.hash);
+    this.updateHead(commit.hash, options.reflog || {
+      operation: parents.length === 0 ? 'commit (initial)' : 'commit',
+      message: message.split('\n')[0]
+    });
     
     return commit;
   }
 
   /**
-   * Create a new branch
+   * Hash of the commit HEAD points at (null on an unborn branch)
    */
-  createBranch(branchName, commitHash = null) {
-    const hash = commitHash || this.refs.get(this.HEAD);
-    if (hash) {
-      this.refs.set(branchName, hash);
-    }
+  getHeadCommit() {
+    if (this.HEAD.type === 'detached') return this.HEAD.hash;
+    return this.refs.get(this.HEAD.ref) || null;
   }
 
   /**
-   * Checkout a branch
+   * Name of the checked-out branch, or null when HEAD is detached
    */
-  checkout(branchName) {
-    if (this.refs.has(branchName)) {
-      this.HEAD = branchName;
-      return true;
-    }
-    return false;
+  getCurrentBranch() {
+    return this.HEAD.type === 'symbolic' ? this.HEAD.ref.slice(HEADS_PREFIX.length) : null;
   }
 
   /**
-   * Get commit history using DFS
-   * CS Concept: Depth-First Search on DAG - O(V + E)
+   * Whether HEAD points directly at a commit instead of a branch
    */
-  getCommitHistory(startHash = null) {
-    const hash = startHash || this.refs.get(this.HEAD);
-    if (!hash) return [];
+  isDetached() {
+    return this.HEAD.type === 'detached';
+  }
 
-    const visited = new Set();
-    const history = [];
+  /**
+   * Short description of HEAD, as shown by `git status`
+   */
+  describeHead() {
+    if (!this.isDetached()) return this.getCurrentBranch();
+    return `HEAD detached at ${this.HEAD.hash.slice(0, 7)}`;
+  }
 
-    const dfs = (commitHash) => {
-      if (!commitHash || visited.has(commitHash)) return;
-      
-      visited.add(commitHash);
-      const commit = this.getObject(commitHash);
-      
-      if (commit && commit.type === 'commit') {
-        history.push(commit);
-        // Visit parents
-        commit.parents.forEach(parentHash => dfs(parentHash));
-      }
-    };
+  /**
+   * Refs under one namespace as a plain object: short name -> hash
+   */
+  getRefsWithPrefix(prefix) {
+    const result = {};
+    this.refs.forEach((hash, ref) => {
+      if (ref.startsWith(prefix)) result[ref.slice(prefix.length)] = hash;
+    });
+    return result;
+  }
 
-    dfs(hash);
-    return history;
+  /**
+   * Local branches (refs/heads/*): name -> commit hash
+   */
+  getBranches() {
+    return this.getRefsWithPrefix(HEADS_PREFIX);
   }
 
   /**
-   * Find merge base of two branches
-   * CS Concept: Lowest Common Ancestor in DAG
+   * Tags (refs/tags/*): name -> tag object or commit hash
    */
-  findMergeBase(branch1, branch2) {
-    const hash1 = this.refs.get(branch1);
-    const hash2 = this.refs.get(branch2);
-    
-    if (!hash1 || !hash2) return null;
+  getTags() {
+    return this.getRefsWithPrefix(TAGS_PREFIX);
+  }
 
-    // Get all ancestors of first branch
-    const ancestors1 = new Set();
-    const traverse = (hash) => {
-      if (!hash || ancestors1.has(hash)) return;
-      ancestors1.add(hash);
-      const commit = this.getObject(hash);
-      if (commit && commit.type === 'commit') {
-        commit.parents.forEach(traverse);
-      }
-    };
-    traverse(hash1);
-
-    // Find first common ancestor from second branch
-    const findCommon = (hash) => {
-      if (!hash) return null;
-      if (ancestors1.has(hash)) return hash;
-      
-      const commit = this.getObject(hash);
-      if (commit && commit.type === 'commit') {
-        for (const parent of commit.parents) {
-          const common = findCommon(parent);
-          if (common) return common;
-        }
-      }
-      return null;
-    };
+  /**
+   * Remote-tracking branches (refs/remotes/*): "origin/main" -> commit hash
+   */
+  getRemoteBranches() {
+    return this.getRefsWithPrefix(REMOTES_PREFIX);
+  }
 
-    return findCommon(hash2);
+  /**
+   * Check whether a local branch exists
+   */
+  hasBranch(branchName) {
+    return this.refs.has(HEADS_PREFIX + branchName);
   }
 
   /**
-   * Get graph representation for visualization
+   * Follow annotated tags until a non-tag object is reached
    */
-  getCommitGraph() {
-    const nodes = [];
-    const edges = [];
-    const branches = {};
-
-    // Collect all commits from all branches
-    const allCommits = new Set();
-    this.refs.forEach((hash, branch) => {
-      branches[branch] = hash;
-      const history = this.getCommitHistory(hash);
-      history.forEach(commit => allCommits.add(commit.hash));
-    });
+  peel(hash) {
+    let obj = hash ? this.getObject(hash) : null;
+    while (obj && obj.type === 'tag') {
+      obj = this.getObject(obj.object);
+    }
+    return obj ? obj.hash : null;
+  }
 
-    // Build graph
-    allCommits.forEach(hash => {
-      const commit = this.getObject(hash);
-      if (commit) {
-        nodes.push({
-          id: commit.hash,
-          hash: commit.hash.slice(0, 7),
-          message: commit.message,
-          author: commit.author,
-          timestamp: commit.timestamp,
-          parents: commit.parents
-        });
+  /**
+   * Root tree hash of a commit (null for no commit)
+   */
+  getCommitTree(commitHash) {
+    const commit = commitHash ? this.getObject(commitHash) : null;
+    return commit && commit.type === 'commit' ? commit.tree : null;
+  }
 
-        // Create edges to parents
-        commit.parents.forEach(parentHash => {
-          edges.push({
-            from: commit.hash,
-            to: parentHash
-          });
-        });
-      }
+  /**
+   * Move the current branch (or, when detached, only HEAD) to a new
+   * commit and carry the index and working directory along with it.
+   * `reflog` ({ operation, message }) describes the move for the reflog.
+   */
+  updateHead(commitHash, reflog) {
+    const oldTree = this.getCommitTree(this.getHeadCommit());
+    this.moveHead(commitHash, reflog);
+    this.syncWorkingState(oldTree, this.getCommitTree(commitHash));
+  }
+
+  /**
+   * Move the current branch (or a detached HEAD) without touching the
+   * index or working directory
+   */
+  moveHead(commitHash, reflog) {
+    const oldHash = this.getHeadCommit();
+    if (this.isDetached()) {
+      this.HEAD = { type: 'detached', hash: commitHash };
+    } else {
+      this.refs.set(this.HEAD.ref, commitHash);
+      this.logRefUpdate(this.HEAD.ref, oldHash, commitHash, reflog.operation, reflog.message);
+    }
+    this.logRefUpdate('HEAD', oldHash, commitHash, reflog.operation, reflog.message);
+  }
+
+  /**
+   * Append an entry to a ref's reflog
+   * CS Concept: Append-only log - history of a mutable pointer
+   */
+  logRefUpdate(ref, oldHash, newHash, operation, message) {
+    if (!this.reflogs.has(ref)) this.reflogs.set(ref, []);
+    this.reflogs.get(ref).push({
+      oldHash: oldHash || null,
+      newHash,
+      operation,
+      message,
+      timestamp: new Date().toISOString()
     });
+  }
 
-    return { nodes, edges, branches, HEAD: this.HEAD };
+  /**
+   * Reflog of a ref, newest entry first (like `git reflog show <ref>`)
+   * Each entry also carries its selector, e.g. "HEAD@{2}".
+   */
+  getReflog(ref = 'HEAD') {
+    const entries = this.reflogs.get(ref) || [];
+    const name = ref.startsWith(HEADS_PREFIX) ? ref.slice(HEADS_PREFIX.length) : ref;
+    return entries
+      .map((entry, index) => ({ ...entry, ref, selector: `${name}@{${entries.length - 1 - index}}` }))
+      .reverse();
   }
 
   /**
-   * Calculate repository statistics
+   * Point a ref back at a commit taken from its reflog.
+   * Restoring HEAD or the checked-out branch behaves like
+   * `git reset --keep`: local changes are carried along, and the move is
+   * refused if it would overwrite them. Any other branch is simply moved
+   * (`git branch -f`).
    */
-  getStats() {
-    return {
-      totalObjects: this.objects.size,
-      totalCommits: Array.from(this.objects.values()).filter(o => o.type === 'commit').length,
-      totalTrees: Array.from(this.objects.values()).filter(o => o.type === 'tree').length,
-      totalBlobs: Array.from(this.objects.values()).filter(o => o.type === 'blob').length,
-      branches: this.refs.size,
-      currentBranch: this.HEAD
-    };
+  restoreRef(ref, commitHash) {
+    const target = this.resolveCommit(commitHash);
+    if (!target) {
+      throw new Error(`Cannot restore ${ref}: unknown commit ${commitHash}`);
+    }
+
+    if (ref === 'HEAD' || (!this.isDetached() && ref === this.HEAD.ref)) {
+      this.assertCanSwitchTrees(this.getCommitTree(this.getHeadCommit()), this.getCommitTree(target), 'reset');
+      this.updateHead(target, { operation: 'reset', message: `moving to ${target}` });
+      return;
+    }
+
+    if (!ref.startsWith(HEADS_PREFIX)) {
+      throw new Error(`Cannot restore ${ref}: only HEAD and branches can be restored`);
+    }
+    this.createBranch(ref.slice(HEADS_PREFIX.length), target, { force: true });
   }
-}
 
-/**
- * Example repository initialization with sample data
- */
-export function createSampleRepository() {
-  const repo = new GitRepository();
-
-  // Create some blobs (files)
-  const readme = new GitBlob('# My Project\nThis is a sample project.');
-  const mainJs = new GitBlob('console.log("Hello, World!");');
-  const packageJson = new GitBlob('{"name": "sample", "version": "1.0.0"}');
-
-  repo.storeObject(readme);
-  repo.storeObject(mainJs);
-  repo.storeObject(packageJson);
-
-  // Create a tree (directory structure)
-  const tree1 = new GitTree();
-  tree1.addEntry('100644', 'README.md', readme.hash, 'blob');
-  tree1.addEntry('100644', 'index.js', mainJs.hash, 'blob');
-  repo.storeObject(tree1);
-
-  // Create initial commit
-  const commit1 = repo.commit(tree1.hash, 'Initial commit', 'Alice <alice@example.com>');
-
-  // Create second commit
-  const updatedReadme = new GitBlob('# My Project\nThis is a sample project.\n\n## Features\n- Feature 1');
-  repo.storeObject(updatedReadme);
-  
-  const tree2 = new GitTree();
-  tree2.addEntry('100644', 'README.md', updatedReadme.hash, 'blob');
-  tree2.addEntry('100644', 'index.js', mainJs.hash, 'blob');
-  tree2.addEntry('100644', 'package.json', packageJson.hash, 'blob');
-  repo.storeObject(tree2);
-
-  const commit2 = repo.commit(tree2.hash, 'Add package.json and update README', 'Bob <bob@example.com>');
-
-  // Create a branch
-  repo.createBranch('feature-branch');
-  repo.checkout('feature-branch');
-
-  // Create commit on branch
-  const featureJs = new GitBlob('export function newFeature() { return "cool"; }');
-  repo.storeObject(featureJs);
-
-  const tree3 = new GitTree();
-  tree3.addEntry('100644', 'README.md', updatedReadme.hash, 'blob');
-  tree3.addEntry('100644', 'index.js', mainJs.hash, 'blob');
-  tree3.addEntry('100644', 'package.json', packageJson.hash, 'blob');
-  tree3.addEntry('100644', 'feature.js', featureJs.hash, 'blob');
-  repo.storeObject(tree3);
-
-  const commit3 = repo.commit(tree3.hash, 'Add new feature', 'Alice <alice@example.com>');
-
-  // Go back to main
-  repo.checkout('main');
-
-  // Create another commit on main
-  const testJs = new GitBlob('describe("tests", () => { it("works", () => {}); });');
-  repo.storeObject(testJs);
-
-  const tree4 = new GitTree();
-  tree4.addEntry('100644', 'README.md', updatedReadme.hash, 'blob');
-  tree4.addEntry('100644', 'index.js', mainJs.hash, 'blob');
-  tree4.addEntry('100644', 'package.json', packageJson.hash, 'blob');
-  tree4.addEntry('100644', 'test.js', testJs.hash, 'blob');
-  repo.storeObject(tree4);
-
-  const commit4 = repo.commit(tree4.hash, 'Add tests', 'Bob <bob@example.com>');
-
-  return repo;
-}
\ No newline at end of file
+  /**
+   * Create a new branch. `options.force` moves an existing branch instead
+   * (`git branch -f`), which is refused for the checked-out branch.
+   */
+  createBranch(branchName, commitHash = null, options = {}) {
+    assertValidRefName(branchName, 'branch');
+    const ref = HEADS_PREFIX + branchName;
+    const exists = this.hasBranch(branchName);
+    if (exists && !options.force) {
+      throw new Error(`A branch named '${branchName}' already exists`);
+    }
+    if (exists && this.getCurrentBranch() === branchName) {
+      throw new Error(`Cannot force update the current branch.`);
+    }
+
+    const hash = commitHash ? this.resolveCommit(commitHash) : this.getHeadCommit();
+    if (commitHash && !hash) {
+      throw new Error(`Not a valid object name: '${commitHash}'.`);
+    }
+    if (hash) {
+      const oldHash = this.refs.get(ref) || null;
+      this.refs.set(ref, hash);
+      this.logRefUpdate(ref, oldHash, hash, 'branch', exists
+        ? `Reset to ${commitHash || 'HEAD'}`
+        : `Created from ${commitHash || 'HEAD'}`);
+    }
+  }
+
+  /**
+   * Delete a branch. Unless `options.force` is set (`git branch -D`), the
+   * branch must be fully merged into HEAD. Its reflog goes with it.
+   */
+  deleteBranch(branchName, options = {}) {
+    const ref = HEADS_PREFIX + branchName;
+    if (!this.refs.has(ref)) {
+      throw new Error(`branch '${branchName}' not found.`);
+    }
+    if (this.getCurrentBranch() === branchName) {
+      throw new Error(`Cannot delete branch '${branchName}' checked out`);
+    }
+    const headHash = this.getHeadCommit();
+    if (!options.force && !(headHash && this.isAncestor(this.refs.get(ref), headHash))) {
+      throw new Error(`The branch '${branchName}' is not fully merged.`);
+    }
+
+    const hash = this.refs.get(ref);
+    this.refs.delete(ref);
+    this.reflogs.delete(ref);
+    return hash;
+  }
+
+  /**
+   * Rename a branch (`git branch -m`), carrying its reflog along and
+   * following it with HEAD when it is checked out
+   */
+  renameBranch(oldName, newName, options = {}) {
+    assertValidRefName(newName, 'branch');
+    const oldRef = HEADS_PREFIX + oldName;
+    const newRef = HEADS_PREFIX + newName;
+    if (!this.refs.has(oldRef)) {
+      throw new Error(`branch '${oldName}' not found.`);
+    }
+    if (oldName === newName) return;
+    if (this.refs.has(newRef)) {
+      if (!options.force) {
+        throw new Error(`A branch named '${newName}' already exists`);
+      }
+      if (this.getCurrentBranch() === newName) {
+        throw new Error(`Cannot force update the current branch.`);
+      }
+    }
+
+    const hash = this.refs.get(oldRef);
+    this.refs.delete(oldRef);
+    this.refs.set(newRef, hash);
+    this.reflogs.set(newRef, this.reflogs.get(oldRef) || []);
+    this.reflogs.delete(oldRef);
+    this.logRefUpdate(newRef, hash, hash, 'Branch', `renamed ${oldRef} to ${newRef}`);
+
+    if (!this.isDetached() && this.HEAD.ref === oldRef) {
+      this.HEAD = { type: 'symbolic', ref: newRef };
+    }
+  }
+
+  /**
+   * Move HEAD (and the current branch) to any commit
+   * - soft: only the ref moves; index and working directory are kept
+   * - mixed: the index is reset to the commit, the working directory is kept
+   * - hard: index and working directory both match the commit; local
+   *   changes to tracked files are discarded, untracked files are kept
+   */
+  reset(target = 'HEAD', mode = 'mixed') {
+    if (!['soft', 'mixed', 'hard'].includes(mode)) {
+      throw new Error(`Unknown reset mode '${mode}'`);
+    }
+    const commitHash = this.resolveCommit(target);
+    if (!commitHash) {
+      throw new Error(`Failed to resolve '${target}' as a valid revision.`);
+    }
+
+    this.moveHead(commitHash, { operation: 'reset', message: `moving to ${target}` });
+    if (mode === 'soft') return commitHash;
+
+    const entries = this.flattenTree(this.getCommitTree(commitHash));
+    if (mode === 'hard') {
+      new Set([...this.index.keys(), ...entries.keys()]).forEach(path => {
+        const entry = entries.get(path);
+        const blob = entry && this.getObject(entry.hash);
+        if (blob && blob.type === 'blob') {
+          this.workingDirectory.set(path, blob.content);
+        } else {
+          this.workingDirectory.delete(path);
+        }
+      });
+    }
+    this.index = new Map(entries);
+    return commitHash;
+  }
+
+  /**
+   * Preview a set of ref moves: the commits reachable now that would no
+   * longer be reachable from any ref or HEAD afterwards.
+   * `changes.refs` maps full ref names to their new target (null = deleted),
+   * `changes.head` is the commit-ish HEAD would point at.
+   */
+  findCommitsMadeUnreachable(changes = {}) {
+    const resolve = (target) => {
+      const hash = this.resolveCommit(target);
+      if (!hash) throw new Error(`Not a valid object name: '${target}'.`);
+      return hash;
+    };
+
+    const refsAfter = new Map(this.refs);
+    Object.entries(changes.refs || {}).forEach(([ref, target]) => {
+      if (target) {
+        refsAfter.set(ref, resolve(target));
+      } else {
+        refsAfter.delete(ref);
+      }
+    });
+    const headAfter = changes.head !== undefined ? resolve(changes.head) : this.getHeadCommit();
+
+    const before = this.getReachableCommits([...this.refs.values(), this.getHeadCommit()]);
+    const after = this.getReachableCommits([...refsAfter.values(), headAfter]);
+
+    // Newest first, like `git log`
+    return [...before]
+      .filter(hash => !after.has(hash))
+      .map(hash => this.getObject(hash))
+      .filter(commit => commit && commit.type === 'commit')
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .map(commit => commit.hash);
+  }
+
+  /**
+   * Every commit reachable from a list of tips (refs may point at tags)
+   */
+  getReachableCommits(tips) {
+    const reachable = new Set();
+    tips.forEach(tip => {
+      const commitHash = this.peel(tip);
+      if (commitHash && !reachable.has(commitHash)) {
+        this.getAncestors(commitHash).forEach(h => reachable.add(h));
+      }
+    });
+    return reachable;
+  }
+
+  /**
+   * Create a tag. With `options.message` an annotated GitTag object is
+   * stored and the ref points at it; otherwise the tag is lightweight and
+   * the ref points straight at the commit.
+   * Options: { message, tagger, force }
+   */
+  createTag(tagName, target = 'HEAD', options = {}) {
+    assertValidRefName(tagName, 'tag');
+    const ref = TAGS_PREFIX + tagName;
+    if (this.refs.has(ref) && !options.force) {
+      throw new Error(`tag '${tagName}' already exists`);
+    }
+
+    const commitHash = this.resolveCommit(target);
+    if (!commitHash) {
+      throw new Error(`Failed to resolve '${target}' as a valid ref.`);
+    }
+
+    if (options.message) {
+      const tagger = options.tagger || this.getObject(commitHash).author;
+      const tag = new GitTag(commitHash, 'commit', tagName, tagger, options.message);
+      this.storeObject(tag);
+      this.refs.set(ref, tag.hash);
+      return tag;
+    }
+
+    this.refs.set(ref, commitHash);
+    return null;
+  }
+
+  /**
+   * Delete a tag ref (the tag object itself stays until garbage collected)
+   */
+  deleteTag(tagName) {
+    if (!this.refs.delete(TAGS_PREFIX + tagName)) {
+      throw new Error(`tag '${tagName}' not found.`);
+    }
+  }
+
+  /**
+   * Checkout a branch, or detach HEAD at any other commit-ish (hash, tag,
+   * remote branch). `options.detach` detaches even when given a branch.
+   */
+  checkout(target, options = {}) {
+    const isBranch = this.hasBranch(target) && !options.detach;
+    const commitHash = isBranch ? this.refs.get(HEADS_PREFIX + target) : this.resolveCommit(target);
+    if (!commitHash) return false;
+
+    const oldTree = this.getCommitTree(this.getHeadCommit());
+    const newTree = this.getCommitTree(commitHash);
+    this.assertCanSwitchTrees(oldTree, newTree, 'checkout');
+
+    const oldHash = this.getHeadCommit();
+    const from = this.getCurrentBranch() || oldHash;
+    this.HEAD = isBranch
+      ? { type: 'symbolic', ref: HEADS_PREFIX + target }
+      : { type: 'detached', hash: commitHash };
+    this.logRefUpdate('HEAD', oldHash, commitHash, 'checkout', `moving from ${from} to ${target}`);
+    this.syncWorkingState(oldTree, newTree);
+    return true;
+  }
+
+  /**
+   * Commits reachable from `hash` that no ref (and not HEAD) reaches -
+   * what Git warns about when you leave a detached HEAD behind
+   */
+  findCommitsLeftBehind(hash) {
+    if (!hash) return [];
+    const reachable = this.getReachableCommits([...this.refs.values(), this.getHeadCommit()]);
+
+    return this.getCommitHistory(hash)
+      .filter(commit => !reachable.has(commit.hash))
+      .map(commit => commit.hash);
+  }
+
+  /**
+   * Content hash of a working directory file (null if absent)
+   */
+  hashWorkingFile(path) {
+    if (!this.workingDirectory.has(path)) return null;
+    return GitHash.hashObject('blob', this.workingDirectory.get(path));
+  }
+
+  /**
+   * Paths whose local changes would be lost by moving from one tree to
+   * another - Git refuses to switch in that case
+   */
+  findOverwrittenPaths(oldTree, newTree) {
+    const oldEntries = this.flattenTree(oldTree);
+    const newEntries = this.flattenTree(newTree);
+    const paths = new Set([...oldEntries.keys(), ...newEntries.keys(), ...this.workingDirectory.keys()]);
+    const overwritten = [];
+
+    paths.forEach(path => {
+      const before = oldEntries.get(path);
+      const after = newEntries.get(path);
+      if (sameEntry(before, after)) return;
+
+      const staged = this.index.get(path);
+      const workingHash = this.hashWorkingFile(path);
+      if (!sameEntry(staged, before) && !sameEntry(staged, after)) {
+        overwritten.push(path);
+      } else if (workingHash !== (staged ? staged.hash : null) && workingHash !== (after ? after.hash : null)) {
+        overwritten.push(path);
+      }
+    });
+
+    return overwritten.sort();
+  }
+
+  /**
+   * Throw if switching trees would overwrite local changes
+   */
+  assertCanSwitchTrees(oldTree, newTree, operation) {
+    const overwritten = this.findOverwrittenPaths(oldTree, newTree);
+    if (overwritten.length > 0) {
+      throw new Error(
+        `${operation}: Your local changes to the following files would be overwritten: ${overwritten.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Update the index and working directory for paths that differ between
+   * two trees. Paths with local changes keep them.
+   */
+  syncWorkingState(oldTree, newTree) {
+    const oldEntries = this.flattenTree(oldTree);
+    const newEntries = this.flattenTree(newTree);
+    const paths = new Set([...oldEntries.keys(), ...newEntries.keys()]);
+
+    paths.forEach(path => {
+      const before = oldEntries.get(path);
+      const after = newEntries.get(path);
+      const staged = this.index.get(path);
+      if (sameEntry(before, after) || !sameEntry(staged, before)) return;
+
+      const workingClean = this.hashWorkingFile(path) === (staged ? staged.hash : null);
+      if (after) {
+        this.index.set(path, after);
+      } else {
+        this.index.delete(path);
+      }
+
+      if (workingClean) {
+        const blob = after && this.getObject(after.hash);
+        if (blob && blob.type === 'blob') {
+          this.workingDirectory.set(path, blob.content);
+        } else {
+          this.workingDirectory.delete(path);
+        }
+      }
+    });
+  }
+
+  /**
+   * Read a file from the working directory
+   */
+  readWorkingFile(path) {
+    return this.workingDirectory.has(path) ? this.workingDirectory.get(path) : null;
+  }
+
+  /**
+   * Add or modify a file in the working directory (not yet staged)
+   */
+  writeFile(path, content) {
+    splitPath(path);
+    const conflict = [...this.workingDirectory.keys()].find(existing =>
+      existing.startsWith(`${path}/`) || path.startsWith(`${existing}/`)
+    );
+    if (conflict) {
+      throw new Error(`'${path}' conflicts with existing path '${conflict}'`);
+    }
+    this.workingDirectory.set(path, content);
+  }
+
+  /**
+   * Delete a file from the working directory (not yet staged)
+   */
+  deleteFile(path) {
+    this.workingDirectory.delete(path);
+  }
+
+  /**
+   * git add - record the working directory version of a path in the index.
+   * A deleted file stages its removal.
+   */
+  stage(path) {
+    if (this.workingDirectory.has(path)) {
+      const blob = new GitBlob(this.workingDirectory.get(path));
+      this.storeObject(blob);
+      const mode = this.index.get(path)?.mode || '100644';
+      this.index.set(path, { mode, hash: blob.hash, type: 'blob' });
+    } else if (this.index.has(path)) {
+      this.index.delete(path);
+    } else {
+      throw new Error(`pathspec '${path}' did not match any files`);
+    }
+  }
+
+  /**
+   * git add -A - stage every change, including deletions and new files
+   */
+  stageAll() {
+    const paths = new Set([...this.index.keys(), ...this.workingDirectory.keys()]);
+    paths.forEach(path => this.stage(path));
+  }
+
+  /**
+   * git restore --staged - reset a path in the index to its HEAD version
+   */
+  unstage(path) {
+    const headEntry = this.flattenTree(this.getCommitTree(this.getHeadCommit())).get(path);
+    if (headEntry) {
+      this.index.set(path, headEntry);
+    } else {
+      this.index.delete(path);
+    }
+  }
+
+  /**
+   * git rm - remove a path from the index and, unless `cached`, from the
+   * working directory too
+   */
+  removeFile(path, { cached = false } = {}) {
+    if (!this.index.has(path)) {
+      throw new Error(`pathspec '${path}' did not match any files`);
+    }
+    this.index.delete(path);
+    if (!cached) {
+      this.workingDirectory.delete(path);
+    }
+  }
+
+  /**
+   * git status - compare HEAD, the index and the working directory
+   * Returns { staged, unstaged, untracked }; staged/unstaged entries are
+   * { path, status } with status 'added', 'modified' or 'deleted'.
+   */
+  status() {
+    const head = this.flattenTree(this.getCommitTree(this.getHeadCommit()));
+    const staged = [];
+    const unstaged = [];
+    const untracked = [];
+
+    new Set([...head.keys(), ...this.index.keys()]).forEach(path => {
+      const before = head.get(path);
+      const after = this.index.get(path);
+      if (sameEntry(before, after)) return;
+      const status = !before ? 'added' : !after ? 'deleted' : 'modified';
+      staged.push({ path, status });
+    });
+
+    this.index.forEach((entry, path) => {
+      const workingHash = this.hashWorkingFile(path);
+      if (workingHash === null) {
+        unstaged.push({ path, status: 'deleted' });
+      } else if (workingHash !== entry.hash) {
+        unstaged.push({ path, status: 'modified' });
+      }
+    });
+
+    this.workingDirectory.forEach((content, path) => {
+      if (!this.index.has(path)) untracked.push(path);
+    });
+
+    const byPath = (a, b) => a.path.localeCompare(b.path);
+    return {
+      staged: staged.sort(byPath),
+      unstaged: unstaged.sort(byPath),
+      untracked: untracked.sort()
+    };
+  }
+
+  /**
+   * Commit whatever is in the index
+   */
+  commitIndex(message, author, { allowEmpty = false } = {}) {
+    const treeHash = this.writeTree(this.index);
+    const headHash = this.getHeadCommit();
+    if (!allowEmpty && headHash && treeHash === this.getCommitTree(headHash)) {
+      throw new Error('nothing to commit, working tree clean');
+    }
+    return this.commit(treeHash, message, author);
+  }
+
+  /**
+   * Get commit history using DFS
+   * CS Concept: Depth-First Search on DAG - O(V + E)
+   */
+  getCommitHistory(startHash = null) {
+    const hash = startHash || this.getHeadCommit();
+    if (!hash) return [];
+    return this.walkCommits([hash]);
+  }
+
+  /**
+   * Commits reachable from `startHashes`, in depth-first pre-order (a
+   * commit, then its first parent's history, then the other parents').
+   * Commits already in `visited` are skipped, so walks sharing the set
+   * see every commit once. An explicit stack keeps long histories from
+   * overflowing the call stack.
+   */
+  walkCommits(startHashes, visited = new Set()) {
+    const commits = [];
+    const stack = [...startHashes].reverse();
+
+    while (stack.length > 0) {
+      const commitHash = stack.pop();
+      if (!commitHash || visited.has(commitHash)) continue;
+
+      visited.add(commitHash);
+      const commit = this.getObject(commitHash);
+      if (commit && commit.type === 'commit') {
+        commits.push(commit);
+        for (let i = commit.parents.length - 1; i >= 0; i--) {
+          stack.push(commit.parents[i]);
+        }
+      }
+    }
+    return commits;
+  }
+
+  /**
+   * Resolve a ref name the way Git does ("DWIM"): HEAD, a full ref name,
+   * then refs/<name>, refs/tags/<name>, refs/heads/<name>,
+   * refs/remotes/<name> and refs/remotes/<name>/HEAD
+   */
+  resolveRef(name) {
+    if (name === 'HEAD') return this.getHeadCommit();
+    const candidates = [
+      name,
+      `refs/${name}`,
+      TAGS_PREFIX + name,
+      HEADS_PREFIX + name,
+      REMOTES_PREFIX + name,
+      `${REMOTES_PREFIX}${name}/HEAD`
+    ];
+    const ref = candidates.find(candidate => candidate.startsWith('refs/') && this.refs.has(candidate));
+    return ref ? this.refs.get(ref) : null;
+  }
+
+  /**
+   * Resolve a ref name, full hash or unique abbreviated hash (4+ hex
+   * characters) to a commit hash, peeling annotated tags.
+   * Ancestry suffixes work as in Git: `<rev>~<n>` follows n first parents,
+   * `<rev>^<n>` picks the nth parent (`~` and `^` alone mean 1), and
+   * `<ref>@{<n>}` is where a ref pointed n moves ago (from its reflog).
+   */
+  resolveCommit(nameOrHash) {
+    if (!nameOrHash) return null;
+
+    const suffixes = nameOrHash.match(/^(.+?)((?:[~^]\d*)+)$/);
+    if (suffixes) {
+      let hash = this.resolveCommit(suffixes[1]);
+      for (const [, operator, digits] of suffixes[2].matchAll(/([~^])(\d*)/g)) {
+        const n = digits === '' ? 1 : Number(digits);
+        if (operator === '~') {
+          for (let i = 0; i < n && hash; i++) hash = this.getObject(hash).parents[0] || null;
+        } else if (hash && n > 0) {
+          hash = this.getObject(hash).parents[n - 1] || null;
+        }
+      }
+      return hash;
+    }
+
+    const selector = nameOrHash.match(/^(.*)@\{(\d+)\}$/);
+    if (selector) {
+      const name = selector[1] || 'HEAD';
+      const ref = name === 'HEAD' || name.startsWith('refs/') ? name : HEADS_PREFIX + name;
+      const entry = this.getReflog(ref)[Number(selector[2])];
+      return entry ? this.resolveCommit(entry.newHash) : null;
+    }
+
+    let hash = this.resolveRef(nameOrHash);
+
+    if (!hash && this.objects.has(nameOrHash)) {
+      hash = nameOrHash;
+    } else if (!hash && /^[0-9a-f]{4,39}$/.test(nameOrHash)) {
+      const matches = [...this.objects.keys()].filter(h => h.startsWith(nameOrHash));
+      if (matches.length === 1) hash = matches[0];
+    }
+
+    const obj = this.getObject(this.peel(hash));
+    return obj && obj.type === 'commit' ? obj.hash : null;
+  }
+
+  /**
+   * Collect every ancestor of a commit (including itself)
+   * CS Concept: Graph reachability via DFS - O(V + E)
+   */
+  getAncestors(hash) {
+    const ancestors = new Set();
+    const stack = [hash];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (!current || ancestors.has(current)) continue;
+      ancestors.add(current);
+      const commit = this.getObject(current);
+      if (commit && commit.type === 'commit') {
+        stack.push(...commit.parents);
+      }
+    }
+    return ancestors;
+  }
+
+  /**
+   * Check whether `ancestor` is reachable from `descendant`
+   */
+  isAncestor(ancestor, descendant) {
+    return this.getAncestors(descendant).has(ancestor);
+  }
+
+  /**
+   * Find merge base of two branches (or commit hashes)
+   * CS Concept: Lowest Common Ancestor in DAG
+   * Keeps only the "best" common ancestors - those that are not ancestors
+   * of another common ancestor - and picks the most recent of them.
+   */
+  findMergeBase(branch1, branch2) {
+    const hash1 = this.resolveCommit(branch1);
+    const hash2 = this.resolveCommit(branch2);
+    
+    if (!hash1 || !hash2) return null;
+
+    // Get all ancestors of first branch
+    const ancestors1 = this.getAncestors(hash1);
+
+    // Walk back from the second branch, stopping at the first common commits
+    const candidates = new Set();
+    const visited = new Set();
+    const queue = [hash2];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (!current || visited.has(current)) continue;
+      visited.add(current);
+
+      if (ancestors1.has(current)) {
+        candidates.add(current);
+        continue;
+      }
+      const commit = this.getObject(current);
+      if (commit && commit.type === 'commit') {
+        queue.push(...commit.parents);
+      }
+    }
+
+    // Drop candidates that are ancestors of other candidates
+    const best = [...candidates].filter(candidate =>
+      ![...candidates].some(other =>
+        other !== candidate && this.isAncestor(candidate, other)
+      )
+    );
+    if (best.length === 0) return null;
+
+    best.sort((a, b) =>
+      new Date(this.getObject(b).timestamp) - new Date(this.getObject(a).timestamp)
+    );
+    return best[0];
+  }
+
+  /**
+   * Look up the tree entry at a path such as "src/utils/a.js"
+   * CS Concept: Tree search - O(depth)
+   */
+  getEntryAtPath(treeHash, path) {
+    const parts = splitPath(path);
+    let entry = null;
+    let currentTree = treeHash;
+
+    for (const part of parts) {
+      const tree = currentTree ? this.getObject(currentTree) : null;
+      if (!tree || tree.type !== 'tree') return null;
+      entry = tree.entries.find(e => e.name === part);
+      if (!entry) return null;
+      currentTree = entry.type === 'tree' ? entry.hash : null;
+    }
+    return entry;
+  }
+
+  /**
+   * Read file content at a path in a tree (null if missing)
+   */
+  readFile(treeHash, path) {
+    const entry = this.getEntryAtPath(treeHash, path);
+    const blob = entry && entry.type === 'blob' ? this.getObject(entry.hash) : null;
+    return blob ? blob.content : null;
+  }
+
+  /**
+   * Write (or, with content === null, delete) a file at a path and return
+   * the new root tree hash.
+   * CS Concept: Path copying in a persistent tree - only the trees along
+   * the path are rebuilt; every sibling subtree is reused by hash.
+   */
+  writePath(treeHash, path, content, mode = '100644') {
+    const parts = splitPath(path);
+
+    const update = (currentHash, depth) => {
+      const tree = currentHash ? this.getObject(currentHash) : null;
+      const name = parts[depth];
+      const existing = tree ? tree.entries.find(e => e.name === name) : null;
+      const entries = tree ? tree.entries.filter(e => e.name !== name) : [];
+
+      if (depth === parts.length - 1) {
+        if (existing && existing.type === 'tree') {
+          throw new Error(`'${parts.join('/')}' is a directory`);
+        }
+        if (content !== null) {
+          const blob = new GitBlob(content);
+          this.storeObject(blob);
+          entries.push({ mode, name, hash: blob.hash, type: 'blob' });
+        }
+      } else {
+        if (existing && existing.type !== 'tree') {
+          throw new Error(`'${parts.slice(0, depth + 1).join('/')}' is not a directory`);
+        }
+        const childHash = update(existing ? existing.hash : null, depth + 1);
+        if (childHash) {
+          entries.push({ mode: '040000', name, hash: childHash, type: 'tree' });
+        }
+      }
+
+      // Empty subdirectories disappear, like in Git
+      if (entries.length === 0 && depth > 0) return null;
+      return this.storeTree(new GitTree(entries));
+    };
+
+    return update(treeHash, 0);
+  }
+
+  /**
+   * Store a tree unless an identical one already exists
+   */
+  storeTree(tree) {
+    return this.objects.has(tree.hash) ? tree.hash : this.storeObject(tree);
+  }
+
+  /**
+   * Nested view of a tree for display. When `compareTreeHash` is given,
+   * entries whose hash is unchanged at the same path are marked `reused`.
+   */
+  getTreeStructure(treeHash, compareTreeHash = null, prefix = '') {
+    const tree = treeHash ? this.getObject(treeHash) : null;
+    if (!tree || tree.type !== 'tree') return [];
+
+    return tree.entries.map(entry => {
+      const path = prefix + entry.name;
+      const previous = compareTreeHash ? this.getEntryAtPath(compareTreeHash, path) : null;
+      return {
+        ...entry,
+        path,
+        reused: Boolean(previous && previous.hash === entry.hash),
+        children: entry.type === 'tree'
+          ? this.getTreeStructure(entry.hash, compareTreeHash, `${path}/`)
+          : []
+      };
+    });
+  }
+
+  /**
+   * Flatten a tree into a Map of path -> { mode, hash, type }
+   * CS Concept: Recursive tree traversal
+   */
+  flattenTree(treeHash, prefix = '', result = new Map()) {
+    const tree = treeHash ? this.getObject(treeHash) : null;
+    if (!tree || tree.type !== 'tree') return result;
+
+    tree.entries.forEach(entry => {
+      const path = prefix + entry.name;
+      if (entry.type === 'tree') {
+        this.flattenTree(entry.hash, `${path}/`, result);
+      } else {
+        result.set(path, { mode: entry.mode, hash: entry.hash, type: entry.type });
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Build (and store) the trees for a Map of path -> entry.
+   * Returns the root tree hash.
+   */
+  writeTree(pathMap) {
+    const root = new Map();
+    pathMap.forEach((entry, path) => {
+      const parts = path.split('/');
+      let dir = root;
+      parts.slice(0, -1).forEach(part => {
+        if (!dir.has(part)) dir.set(part, new Map());
+        dir = dir.get(part);
+        if (!(dir instanceof Map)) {
+          throw new Error(`writeTree: '${part}' is both a file and a directory`);
+        }
+      });
+      dir.set(parts[parts.length - 1], entry);
+    });
+
+    const build = (dir) => {
+      const tree = new GitTree([...dir.entries()].map(([name, value]) => (
+        value instanceof Map
+          ? { mode: '040000', name, hash: build(value), type: 'tree' }
+          : { mode: value.mode, name, hash: value.hash, type: value.type }
+      )));
+      return this.storeTree(tree);
+    };
+    return build(root);
+  }
+
+  /**
+   * Three-way merge of flattened trees
+   * CS Concept: Three-way merge against the lowest common ancestor
+   *
+   * For every path, a side that did not change relative to the base
+   * yields to the side that did. When both sides changed the same path
+   * differently, a conflict object is recorded unless `favor` is
+   * 'ours' or 'theirs' (like `git merge -X ours|theirs`).
+   */
+  mergeTrees(baseTree, oursTree, theirsTree, favor = null) {
+    const base = this.flattenTree(baseTree);
+    const ours = this.flattenTree(oursTree);
+    const theirs = this.flattenTree(theirsTree);
+
+    const merged = new Map();
+    const conflicts = [];
+    const paths = new Set([...base.keys(), ...ours.keys(), ...theirs.keys()]);
+
+    [...paths].sort().forEach(path => {
+      const b = base.get(path);
+      const o = ours.get(path);
+      const t = theirs.get(path);
+      let result;
+
+      if (sameEntry(o, t) || sameEntry(t, b)) {
+        result = o;
+      } else if (sameEntry(o, b)) {
+        result = t;
+      } else if (favor === 'ours' || favor === 'theirs') {
+        result = favor === 'ours' ? o : t;
+      } else {
+        let kind = 'content';
+        if (!b) kind = 'add/add';
+        else if (!o) kind = 'delete/modify';
+        else if (!t) kind = 'modify/delete';
+
+        conflicts.push({
+          path,
+          kind,
+          base: b ? b.hash : null,
+          ours: o ? o.hash : null,
+          theirs: t ? t.hash : null
+        });
+        result = o || t; // Keep a version in the tree for inspection
+      }
+
+      if (result) merged.set(path, result);
+    });
+
+    // A path cannot be a file on one side and a directory on the other
+    merged.forEach((entry, path) => {
+      const parts = path.split('/');
+      for (let i = 1; i < parts.length; i++) {
+        const dirPath = parts.slice(0, i).join('/');
+        if (merged.has(dirPath)) {
+          conflicts.push({
+            path: dirPath,
+            kind: 'file/directory',
+            base: base.get(dirPath)?.hash || null,
+            ours: ours.get(dirPath)?.hash || null,
+            theirs: theirs.get(dirPath)?.hash || null
+          });
+          merged.delete(dirPath);
+        }
+      }
+    });
+
+    return { entries: merged, conflicts };
+  }
+
+  /**
+   * Merge a branch (or commit) into the current branch
+   * CS Concept: DAG join - a merge commit has two parents
+   *
+   * Options: { message, author, noFastForward, favor }
+   * Returns { status, commit, mergeBase, conflicts } where status is
+   * 'up-to-date', 'fast-forward', 'merge' or 'conflict'. A conflicting
+   * merge creates no commit and leaves the branch where it was.
+   */
+  merge(branchName, options = {}) {
+    const oursHash = this.getHeadCommit();
+    const theirsHash = this.resolveCommit(branchName);
+
+    if (!theirsHash) {
+      throw new Error(`merge: ${branchName} - not something we can merge`);
+    }
+    if (!oursHash) {
+      throw new Error(`merge: current branch '${this.describeHead()}' has no commits yet`);
+    }
+
+    const mergeBase = this.findMergeBase(oursHash, theirsHash);
+    const base = { mergeBase, conflicts: [] };
+
+    if (mergeBase === theirsHash) {
+      return { ...base, status: 'up-to-date', commit: this.getObject(oursHash) };
+    }
+
+    if (mergeBase === oursHash && !options.noFastForward) {
+      this.assertCanSwitchTrees(this.getCommitTree(oursHash), this.getCommitTree(theirsHash), 'merge');
+      this.updateHead(theirsHash, { operation: `merge ${branchName}`, message: 'Fast-forward' });
+      return { ...base, status: 'fast-forward', commit: this.getObject(theirsHash) };
+    }
+
+    const ours = this.getObject(oursHash);
+    const theirs = this.getObject(theirsHash);
+    const baseTree = mergeBase ? this.getObject(mergeBase).tree : null;
+    const { entries, conflicts } = this.mergeTrees(baseTree, ours.tree, theirs.tree, options.favor);
+
+    if (conflicts.length > 0) {
+      return { ...base, status: 'conflict', commit: null, conflicts };
+    }
+
+    const currentBranch = this.getCurrentBranch();
+    const defaultMessage = ['main', 'master'].includes(currentBranch)
+      ? `Merge branch '${branchName}'`
+      : `Merge branch '${branchName}' into ${currentBranch || 'HEAD'}`;
+    const treeHash = this.writeTree(entries);
+    this.assertCanSwitchTrees(ours.tree, treeHash, 'merge');
+    const commit = this.commit(
+      treeHash,
+      options.message || defaultMessage,
+      options.author || ours.author,
+      {
+        parents: [oursHash, theirsHash],
+        reflog: { operation: `merge ${branchName}`, message: "Merge made by the 'ort' strategy." }
+      }
+    );
+
+    return { ...base, status: 'merge', commit };
+  }
+
+  /**
+   * Apply the change a commit introduced (or its inverse) onto HEAD
+   * CS Concept: A commit's change is the diff against its parent, so
+   * replaying it is a three-way merge with that parent as the base.
+   *
+   * Picking merge commits requires `options.mainline` (1-based parent
+   * number, like `git cherry-pick -m`).
+   */
+  applyCommitChange(commitHash, reverse, options = {}) {
+    const commit = this.getObject(this.resolveCommit(commitHash));
+    const headHash = this.getHeadCommit();
+    const operation = reverse ? 'revert' : 'cherry-pick';
+
+    if (!commit) {
+      throw new Error(`${operation}: bad revision '${commitHash}'`);
+    }
+    if (!headHash) {
+      throw new Error(`${operation}: current branch '${this.describeHead()}' has no commits yet`);
+    }
+
+    let parentHash = commit.parents[0] || null;
+    if (commit.parents.length > 1) {
+      if (!options.mainline) {
+        throw new Error(`${operation}: commit ${commit.hash.slice(0, 7)} is a merge but no mainline option was given`);
+      }
+      parentHash = commit.parents[options.mainline - 1];
+      if (!parentHash) {
+        throw new Error(`${operation}: commit ${commit.hash.slice(0, 7)} does not have parent ${options.mainline}`);
+      }
+    }
+
+    const head = this.getObject(headHash);
+    const parentTree = parentHash ? this.getObject(parentHash).tree : null;
+    const { entries, conflicts } = reverse
+      ? this.mergeTrees(commit.tree, head.tree, parentTree, options.favor)
+      : this.mergeTrees(parentTree, head.tree, commit.tree, options.favor);
+
+    if (conflicts.length > 0) {
+      return { status: 'conflict', commit: null, source: commit, conflicts };
+    }
+
+    const treeHash = this.writeTree(entries);
+    if (treeHash === head.tree) {
+      return { status: 'empty', commit: null, source: commit, conflicts };
+    }
+    this.assertCanSwitchTrees(head.tree, treeHash, operation);
+
+    let newCommit;
+    if (reverse) {
+      const subject = commit.message.split('\n')[0];
+      newCommit = this.commit(
+        treeHash,
+        options.message || `Revert "${subject}"\n\nThis reverts commit ${commit.hash}.`,
+        options.author || head.author,
+        { reflog: { operation: 'revert', message: `Revert "${subject}"` } }
+      );
+    } else {
+      const message = options.recordOrigin
+        ? `${commit.message.trimEnd()}\n\n(cherry picked from commit ${commit.hash})`
+        : commit.message;
+      newCommit = this.commit(treeHash, message, commit.author, {
+        timestamp: commit.timestamp,
+        committer: options.author || head.author,
+        reflog: { operation: 'cherry-pick', message: commit.message.split('\n')[0] }
+      });
+    }
+
+    return { status: operation, commit: newCommit, source: commit, conflicts };
+  }
+
+  /**
+   * Copy the change introduced by a commit onto HEAD as a new commit
+   * Options: { author, mainline, recordOrigin, favor }
+   */
+  cherryPick(commitHash, options = {}) {
+    return this.applyCommitChange(commitHash, false, options);
+  }
+
+  /**
+   * Undo the change introduced by a commit with a new commit on HEAD
+   * Options: { author, message, mainline, favor }
+   */
+  revert(commitHash, options = {}) {
+    return this.applyCommitChange(commitHash, true, options);
+  }
+
+  /**
+   * Replay the commits of HEAD that `upstream` does not have on top of
+   * `upstream`, then move the current branch to the last copy (git rebase)
+   * CS Concept: Commits are immutable, so "moving" them creates copies with
+   * new parents and hashes; the originals stay behind in the reflog.
+   *
+   * Merge commits are dropped and commits whose change is already
+   * upstream are skipped, as Git does. A conflict stops the rebase before
+   * anything changes. Options: { author, favor }
+   * Returns { status: 'up-to-date' | 'fast-forward' | 'rebased' | 'conflict',
+   * commits (new copies), replaced (original hashes), source, conflicts }
+   */
+  rebase(upstream, options = {}) {
+    const ontoHash = this.resolveCommit(upstream);
+    const headHash = this.getHeadCommit();
+    const result = { commits: [], replaced: [], source: null, conflicts: [] };
+    if (!ontoHash) {
+      throw new Error(`invalid upstream '${upstream}'`);
+    }
+    if (!headHash) {
+      throw new Error(`rebase: current branch '${this.describeHead()}' has no commits yet`);
+    }
+    const { staged, unstaged } = this.status();
+    if (staged.length > 0 || unstaged.length > 0) {
+      throw new Error('cannot rebase: You have unstaged changes. Please commit or stash them.');
+    }
+
+    // Commits in upstream..HEAD, parents before children: a post-order
+    // walk with an explicit stack, so long histories cannot overflow the
+    // call stack. Each frame is a commit and the next parent to visit.
+    const upstreamCommits = this.getAncestors(ontoHash);
+    const toReplay = [];
+    const visited = new Set();
+    const stack = [];
+    const enter = (hash) => {
+      if (visited.has(hash) || upstreamCommits.has(hash)) return;
+      visited.add(hash);
+      stack.push({ commit: this.getObject(hash), next: 0 });
+    };
+    enter(headHash);
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.next < frame.commit.parents.length) {
+        enter(frame.commit.parents[frame.next++]);
+      } else {
+        stack.pop();
+        if (frame.commit.parents.length <= 1) toReplay.push(frame.commit);
+      }
+    }
+
+    if (this.isAncestor(ontoHash, headHash)) {
+      return { ...result, status: 'up-to-date' };
+    }
+    const reflog = {
+      operation: 'rebase (finish)',
+      message: `${this.isDetached() ? 'HEAD' : this.HEAD.ref} onto ${ontoHash}`
+    };
+    if (this.isAncestor(headHash, ontoHash)) {
+      this.assertCanSwitchTrees(this.getCommitTree(headHash), this.getCommitTree(ontoHash), 'rebase');
+      this.updateHead(ontoHash, reflog);
+      return { ...result, status: 'fast-forward' };
+    }
+
+    // Build every copy first, so a conflict leaves the repository untouched
+    let tipHash = ontoHash;
+    let tipTree = this.getCommitTree(ontoHash);
+    const copies = [];
+    for (const commit of toReplay) {
+      const parentTree = commit.parents[0] ? this.getObject(commit.parents[0]).tree : null;
+      const { entries, conflicts } = this.mergeTrees(parentTree, tipTree, commit.tree, options.favor);
+      if (conflicts.length > 0) {
+        return { ...result, status: 'conflict', source: commit, conflicts };
+      }
+
+      const treeHash = this.writeTree(entries);
+      if (treeHash === tipTree) continue; // Already upstream
+      const copy = new GitCommit(treeHash, [tipHash], commit.author, commit.message, commit.timestamp, {
+        timezone: commit.timezone,
+        committer: options.author || commit.committer,
+        committerTimestamp: new Date().toISOString()
+      });
+      copies.push(copy);
+      result.replaced.push(commit.hash);
+      tipHash = copy.hash;
+      tipTree = treeHash;
+    }
+
+    this.assertCanSwitchTrees(this.getCommitTree(headHash), tipTree, 'rebase');
+    copies.forEach(copy => this.storeObject(copy));
+    this.updateHead(tipHash, reflog);
+    return { ...result, status: 'rebased', commits: copies };
+  }
+
+  /**
+   * Hashes every reachability walk starts from: all refs, HEAD, the
+   * index and (unless `reflog` is false) every reflog entry
+   */
+  getRootHashes({ reflog = true } = {}) {
+    const roots = [...this.refs.values(), this.getHeadCommit()];
+    this.index.forEach(entry => roots.push(entry.hash));
+    if (reflog) {
+      this.reflogs.forEach(entries => {
+        entries.forEach(entry => roots.push(entry.oldHash, entry.newHash));
+      });
+    }
+    return roots.filter(Boolean);
+  }
+
+  /**
+   * Hashes of the objects an object points at, with their expected type.
+   * Gitlinks (submodule commits) live in another repository and are skipped.
+   */
+  getObjectLinks(obj) {
+    switch (obj.type) {
+      case 'commit':
+        return [
+          { hash: obj.tree, type: 'tree' },
+          ...obj.parents.map(hash => ({ hash, type: 'commit' }))
+        ];
+      case 'tree':
+        return obj.entries
+          .filter(entry => entry.type !== 'commit')
+          .map(entry => ({ hash: entry.hash, type: entry.type }));
+      case 'tag':
+        return [{ hash: obj.object, type: obj.objectType }];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Mark every object reachable from the roots
+   * CS Concept: Mark phase of mark-and-sweep garbage collection
+   */
+  findReachableObjects(options = {}) {
+    const reachable = new Set();
+    const stack = this.getRootHashes(options);
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (reachable.has(hash)) continue;
+      const obj = this.getObject(hash);
+      if (!obj) continue;
+      reachable.add(hash);
+      this.getObjectLinks(obj).forEach(link => stack.push(link.hash));
+    }
+    return reachable;
+  }
+
+  /**
+   * Prune every unreachable object (the sweep phase).
+   * `options.expireReflog` first empties the reflogs, like
+   * `git reflog expire --expire=now --all`, so commits only the
+   * reflog remembers are pruned too.
+   */
+  gc(options = {}) {
+    if (options.expireReflog) {
+      this.reflogs.clear();
+    }
+
+    const reachable = this.findReachableObjects();
+    const pruned = [];
+    this.objects.forEach((obj, hash) => {
+      if (!reachable.has(hash)) pruned.push({ hash, type: obj.type });
+    });
+    // A new store: snapshots taken before the gc keep the pruned objects
+    if (pruned.length > 0) {
+      this.objects = new Map([...this.objects].filter(([hash]) => reachable.has(hash)));
+    }
+    return { pruned, kept: this.objects.size };
+  }
+
+  /**
+   * Verify the object database, like `git fsck`:
+   * - refs and links (parents, trees, blobs, tag targets) to missing objects
+   * - objects whose stored hash no longer matches their content
+   * - unreachable objects, and the dangling ones nothing else points at
+   */
+  fsck() {
+    const issues = [];
+    const referenced = new Set();
+
+    this.refs.forEach((hash, ref) => {
+      if (!this.objects.has(hash)) {
+        issues.push({ kind: 'bad-ref', hash, ref, message: `invalid sha1 pointer ${hash} in ${ref}` });
+      }
+    });
+
+    this.objects.forEach((obj, hash) => {
+      const actual = GitHash.hashObject(obj.type, obj.serialize());
+      if (actual !== hash || obj.hash !== hash) {
+        issues.push({
+          kind: 'hash-mismatch',
+          hash,
+          type: obj.type,
+          actual,
+          message: `hash mismatch for ${obj.type} ${hash} (content hashes to ${actual})`
+        });
+      }
+
+      this.getObjectLinks(obj).forEach(link => {
+        referenced.add(link.hash);
+        if (!this.objects.has(link.hash)) {
+          issues.push({
+            kind: 'missing',
+            hash: link.hash,
+            type: link.type,
+            from: hash,
+            message: `broken link from ${obj.type} ${hash} to ${link.type} ${link.hash}: missing ${link.type}`
+          });
+        }
+      });
+    });
+
+    const reachable = this.findReachableObjects();
+    const objects = [...this.objects.values()].map(obj => ({
+      hash: obj.hash,
+      type: obj.type,
+      reachable: reachable.has(obj.hash)
+    }));
+    const unreachable = objects.filter(obj => !obj.reachable);
+
+    return {
+      ok: issues.length === 0,
+      issues,
+      objects,
+      unreachable,
+      dangling: unreachable.filter(obj => !referenced.has(obj.hash))
+    };
+  }
+
+  /**
+   * Get graph representation for visualization
+   */
+  getCommitGraph() {
+    const nodes = [];
+    const edges = [];
+    const branches = this.getBranches();
+    const remotes = this.getRemoteBranches();
+
+    // Tags are shown on the commit they (eventually) point at
+    const tags = {};
+    Object.entries(this.getTags()).forEach(([name, hash]) => {
+      const obj = this.getObject(hash);
+      tags[name] = {
+        target: this.peel(hash),
+        annotated: Boolean(obj && obj.type === 'tag'),
+        message: obj && obj.type === 'tag' ? obj.message : null
+      };
+    });
+
+    // Collect all commits reachable from any ref (and a detached HEAD),
+    // then the ones only the reflog still remembers ("lost" commits,
+    // flagged as unreachable). Both walks share one visited set, so every
+    // commit is read once however many refs lead to it.
+    const visited = new Set();
+    const tips = [...this.refs.values()];
+    if (this.isDetached()) tips.push(this.HEAD.hash);
+    const reachable = this.walkCommits(tips.map(hash => this.peel(hash)), visited);
+
+    const reflogHashes = [];
+    this.reflogs.forEach(entries => {
+      entries.forEach(entry => reflogHashes.push(entry.oldHash, entry.newHash));
+    });
+    const reflogOnly = this.walkCommits(reflogHashes, visited);
+
+    // Build graph
+    [reachable, reflogOnly].forEach((commits, group) => {
+      commits.forEach(commit => {
+        nodes.push({
+          id: commit.hash,
+          hash: commit.hash.slice(0, 7),
+          message: commit.message,
+          author: commit.author,
+          timestamp: commit.timestamp,
+          parents: commit.parents,
+          reachable: group === 0
+        });
+
+        // Create edges to parents
+        commit.parents.forEach(parentHash => {
+          edges.push({
+            from: commit.hash,
+            to: parentHash
+          });
+        });
+      });
+    });
+
+    return {
+      nodes,
+      edges,
+      branches,
+      tags,
+      remotes,
+      HEAD: this.getCurrentBranch(), // Checked-out branch name (null when detached)
+      headCommit: this.getHeadCommit(),
+      detached: this.isDetached()
+    };
+  }
+
+  /**
+   * Calculate repository statistics
+   */
+  getStats() {
+    return {
+      totalObjects: this.objects.size,
+      totalCommits: Array.from(this.objects.values()).filter(o => o.type === 'commit').length,
+      totalTrees: Array.from(this.objects.values()).filter(o => o.type === 'tree').length,
+      totalBlobs: Array.from(this.objects.values()).filter(o => o.type === 'blob').length,
+      totalTagObjects: Array.from(this.objects.values()).filter(o => o.type === 'tag').length,
+      branches: Object.keys(this.getBranches()).length,
+      tags: Object.keys(this.getTags()).length,
+      annotatedTags: Object.values(this.getTags()).filter(hash => this.getObject(hash)?.type === 'tag').length,
+      remoteBranches: Object.keys(this.getRemoteBranches()).length,
+      unreachableObjects: this.objects.size - this.findReachableObjects().size,
+      currentBranch: this.describeHead(),
+      detached: this.isDetached()
+    };
+  }
+}
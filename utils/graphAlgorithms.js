@@ -1,6 +1,11 @@
 /**
  * Graph Layout Algorithms for Git Visualization
  * CS Concepts: Graph theory, topological sorting, force-directed layout
+ *
+ * The search algorithms take an optional `onStep(event)`, called at each
+ * step with { action, node, neighbor } and the algorithm's live data
+ * structures (read them, never change them) - algorithmTraces uses it to
+ * replay them one step at a time.
  */
 
 /**
@@ -8,7 +13,7 @@
  * CS Concept: Kahn's Algorithm for topological sorting - O(V + E)
  * Used to determine the vertical order of commits
  */
-export function topologicalSort(nodes, edges) {
+export function topologicalSort(nodes, edges, onStep) {
   const graph = new Map();
   const inDegree = new Map();
   
@@ -33,101 +38,623 @@ export function topologicalSort(nodes, edges) {
   });
   
   const sorted = [];
+  // Walk the queue with an index (shift() is O(n) per call); the nodes
+  // from `head` on are still waiting
+  let head = 0;
+  onStep?.({ action: 'start', node: null, neighbor: null, queue, head, sorted });
   
-  while (queue.length > 0) {
-    const node = queue.shift();
+  while (head < queue.length) {
+    const node = queue[head++];
     sorted.push(node);
+    onStep?.({ action: 'dequeue', node, neighbor: null, queue, head, sorted });
     
     const neighbors = graph.get(node) || [];
     neighbors.forEach(neighbor => {
       inDegree.set(neighbor, inDegree.get(neighbor) - 1);
-      if (inDegree.get(neighbor) === 0) {
+      const left = inDegree.get(neighbor);
+      if (left === 0) {
         queue.push(neighbor);
       }
+      onStep?.({ action: left === 0 ? 'enqueue' : 'decrement', node, neighbor, left, queue, head, sorted });
     });
   }
   
-  return sorted.reverse(); // Reverse to show newest commits first
+  sorted.reverse(); // Reverse to show newest commits first
+  onStep?.({ action: 'done', node: null, neighbor: null, queue, head, sorted });
+  return sorted;
 }
 
 /**
  * Layered Graph Layout (Sugiyama Framework)
- * CS Concept: Hierarchical graph drawing
- * Assigns X and Y coordinates to nodes for visualization
+ * CS Concept: Hierarchical graph drawing in four phases
+ * 1. Layering - longest-path ranks (a commit's generation number)
+ * 2. Dummy nodes split edges that span several layers
+ * 3. Crossing reduction - median (or barycenter) sweeps over the layers
+ * 4. Coordinates - Brandes-Köpf: straight long edges, compact layers
+ * Besides positions, returns `crossings` and `initialCrossings` (before
+ * phase 3), so the ordering can be measured.
  */
 export function calculateLayout(nodes, edges, options = {}) {
   const {
     nodeWidth = 120,
     nodeHeight = 60,
     horizontalGap = 150,
-    verticalGap = 100
+    verticalGap = 100,
+    ordering = 'median',
+    sweeps = 24
   } = options;
 
   if (nodes.length === 0) {
-    return { nodes: [], edges: [] };
+    return { nodes: [], edges: [], crossings: 0, initialCrossings: 0 };
   }
 
-  // Step 1: Topological sort to get layers
-  const sorted = topologicalSort(nodes, edges);
-  
-  // Step 2: Assign layers (Y coordinates)
-  const layers = new Map();
   const nodeMap = new Map(nodes.map(n => [n.id, n]));
-  
-  sorted.forEach((nodeId, index) => {
-    layers.set(nodeId, sorted.length - index - 1);
+  const graphEdges = edges.filter(edge => nodeMap.has(edge.from) && nodeMap.has(edge.to));
+
+  // Step 1: Longest-path layering - roots get rank 0 and every commit is
+  // one rank above its highest parent; the top layer holds the highest rank
+  const ranks = assignLongestPathRanks(nodes, graphEdges);
+  const maxRank = valueRange(ranks.values()).max;
+  const layerOf = (id) => maxRank - ranks.get(id);
+
+  // Step 2: Layers, with a dummy node wherever an edge crosses a layer
+  const { layers, up, down, dummies, chains } = buildLayers(nodes, graphEdges, layerOf);
+
+  // Step 3: Reorder the layers to reduce edge crossings
+  const initialCrossings = countCrossings(layers, down);
+  const crossings = reduceCrossings(layers, up, down, { ordering, sweeps });
+
+  // Step 4: Horizontal coordinates; dummies are thin and packed closer
+  const isDummy = (id) => dummies.has(id);
+  const separation = (a, b) => (
+    ((isDummy(a) ? 0 : nodeWidth) + (isDummy(b) ? 0 : nodeWidth)) / 2 +
+    (isDummy(a) || isDummy(b) ? horizontalGap / 2 : horizontalGap)
+  );
+  const xs = brandesKopf(layers, up, down, isDummy, separation);
+
+  // Center the drawing on x = 0
+  const rangeX = valueRange(xs.values());
+  const shift = (rangeX.min + rangeX.max) / 2;
+  const yOf = (layer) => layer * verticalGap + nodeHeight / 2;
+
+  layers.forEach((layer, layerIndex) => {
+    layer.forEach((id, order) => {
+      const node = nodeMap.get(id);
+      if (!node) return;
+      node.layer = layerIndex;
+      node.order = order;
+      node.x = xs.get(id) - shift;
+      node.y = yOf(layerIndex);
+    });
   });
-  
-  // Step 3: Count nodes per layer
-  const layerCounts = new Map();
-  layers.forEach((layer, nodeId) => {
-    layerCounts.set(layer, (layerCounts.get(layer) || 0) + 1);
+
+  // Step 5: Edge paths, bent through their dummy nodes
+  const chainByEdge = new Map(graphEdges.map((edge, index) => [edge, chains[index]]));
+  const edgesWithPaths = edges.map(edge => {
+    const chain = chainByEdge.get(edge) || [];
+    const bends = chain.map((id, index) => ({ x: xs.get(id) - shift, y: yOf(layerOf(edge.from) + index + 1) }));
+    return routeEdge(bends.length > 0 ? { ...edge, bends } : edge, nodeMap.get(edge.from), nodeMap.get(edge.to), nodeHeight);
   });
-  
-  // Step 4: Assign positions within layers
-  const layerPositions = new Map();
-  layers.forEach((layer, nodeId) => {
-    if (!layerPositions.has(layer)) {
-      layerPositions.set(layer, 0);
+
+  return {
+    nodes: Array.from(nodeMap.values()),
+    edges: edgesWithPaths,
+    crossings,
+    initialCrossings
+  };
+}
+
+/**
+ * Smallest and largest of some numbers (any iterable), as { min, max }.
+ * A loop rather than Math.min(...spread), which fails on very large arrays.
+ */
+export function valueRange(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of values) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return { min, max };
+}
+
+/**
+ * Rank of each node: 0 for roots (commits without parents), otherwise one
+ * more than the highest parent - the longest path down to a root
+ * CS Concept: Longest path in a DAG via topological order - O(V + E)
+ */
+function assignLongestPathRanks(nodes, edges) {
+  const parents = new Map(nodes.map(n => [n.id, []]));
+  edges.forEach(edge => parents.get(edge.from).push(edge.to));
+
+  const ranks = new Map();
+  // topologicalSort lists parents before their children
+  topologicalSort(nodes, edges).forEach(id => {
+    ranks.set(id, parents.get(id).reduce((rank, parent) => Math.max(rank, ranks.get(parent) + 1), 0));
+  });
+  return ranks;
+}
+
+/**
+ * Layers top to bottom, in input order, with a chain of dummy nodes for
+ * every edge that spans more than one layer. `up` and `down` list each
+ * node's neighbors in the layer above and below.
+ */
+function buildLayers(nodes, edges, layerOf) {
+  const layers = [];
+  const up = new Map();
+  const down = new Map();
+  const dummies = new Set();
+  const addVertex = (id, layer) => {
+    while (layers.length <= layer) layers.push([]);
+    layers[layer].push(id);
+    up.set(id, []);
+    down.set(id, []);
+  };
+  const link = (upper, lower) => {
+    down.get(upper).push(lower);
+    up.get(lower).push(upper);
+  };
+
+  nodes.forEach(node => addVertex(node.id, layerOf(node.id)));
+
+  const chains = edges.map((edge, index) => {
+    const chain = [];
+    let previous = edge.from;
+    for (let layer = layerOf(edge.from) + 1; layer < layerOf(edge.to); layer++) {
+      const id = `dummy:${index}:${layer}`;
+      addVertex(id, layer);
+      dummies.add(id);
+      link(previous, id);
+      chain.push(id);
+      previous = id;
     }
-    const position = layerPositions.get(layer);
-    layerPositions.set(layer, position + 1);
-    
-    const node = nodeMap.get(nodeId);
-    if (node) {
-      const layerSize = layerCounts.get(layer);
-      const totalWidth = layerSize * nodeWidth + (layerSize - 1) * horizontalGap;
-      const startX = -totalWidth / 2;
-      
-      node.x = startX + position * (nodeWidth + horizontalGap) + nodeWidth / 2;
-      node.y = layer * verticalGap + nodeHeight / 2;
+    link(previous, edge.to);
+    return chain;
+  });
+
+  return { layers, up, down, dummies, chains };
+}
+
+/**
+ * Edge crossings between all pairs of adjacent layers
+ * CS Concept: Crossings are inversions - with edges sorted by their upper
+ * end, two edges cross when their lower ends are out of order. Counted
+ * with a Fenwick tree in O(E log V).
+ */
+export function countCrossings(layers, down) {
+  let total = 0;
+  for (let i = 0; i < layers.length - 1; i++) {
+    const lowerPosition = new Map(layers[i + 1].map((id, index) => [id, index]));
+    const lowerEnds = layers[i].flatMap(id => (
+      down.get(id).map(lower => lowerPosition.get(lower)).sort((a, b) => a - b)
+    ));
+
+    const tree = new Array(layers[i + 1].length + 1).fill(0);
+    lowerEnds.forEach((position, seen) => {
+      let notGreater = 0;
+      for (let k = position + 1; k > 0; k -= k & -k) notGreater += tree[k];
+      total += seen - notGreater;
+      for (let k = position + 1; k < tree.length; k += k & -k) tree[k]++;
+    });
+  }
+  return total;
+}
+
+/**
+ * Median of sorted positions; for an even count, weighted towards the
+ * side where the positions are packed more tightly (Gansner et al.)
+ */
+function medianValue(positions) {
+  const middle = Math.floor(positions.length / 2);
+  if (positions.length % 2 === 1) return positions[middle];
+  if (positions.length === 2) return (positions[0] + positions[1]) / 2;
+
+  const left = positions[middle - 1] - positions[0];
+  const right = positions[positions.length - 1] - positions[middle];
+  if (left + right === 0) return (positions[middle - 1] + positions[middle]) / 2;
+  return (positions[middle - 1] * right + positions[middle] * left) / (left + right);
+}
+
+/**
+ * Reorder layers in place with alternating down and up sweeps: each node
+ * moves to the median (or barycenter) of its neighbors in the layer just
+ * fixed. Keeps the best ordering seen; returns its number of crossings.
+ * CS Concept: Layer-by-layer sweep heuristic for the NP-hard crossing
+ * minimization problem
+ */
+function reduceCrossings(layers, up, down, { ordering, sweeps }) {
+  let best = layers.map(layer => [...layer]);
+  let bestCrossings = countCrossings(layers, down);
+  let sweepsWithoutGain = 0;
+
+  for (let sweep = 0; sweep < sweeps && bestCrossings > 0 && sweepsWithoutGain < 4; sweep++) {
+    const downward = sweep % 2 === 0;
+    const neighbors = downward ? up : down;
+
+    for (let step = 1; step < layers.length; step++) {
+      const i = downward ? step : layers.length - 1 - step;
+      const fixedPosition = new Map(layers[downward ? i - 1 : i + 1].map((id, index) => [id, index]));
+      const weight = new Map(layers[i].map(id => {
+        const positions = neighbors.get(id).map(w => fixedPosition.get(w)).sort((a, b) => a - b);
+        if (positions.length === 0) return [id, null];
+        return [id, ordering === 'barycenter'
+          ? positions.reduce((sum, p) => sum + p, 0) / positions.length
+          : medianValue(positions)];
+      }));
+
+      // Nodes without neighbors there keep their slot; the rest are sorted into the others
+      const movable = layers[i].filter(id => weight.get(id) !== null)
+        .sort((a, b) => weight.get(a) - weight.get(b));
+      let next = 0;
+      layers[i] = layers[i].map(id => (weight.get(id) === null ? id : movable[next++]));
+    }
+
+    const crossings = countCrossings(layers, down);
+    if (crossings < bestCrossings) {
+      best = layers.map(layer => [...layer]);
+      bestCrossings = crossings;
+      sweepsWithoutGain = 0;
+    } else {
+      sweepsWithoutGain++;
     }
+  }
+
+  best.forEach((layer, i) => { layers[i] = layer; });
+  return bestCrossings;
+}
+
+/**
+ * Horizontal coordinates (Brandes & Köpf, "Fast and Simple Horizontal
+ * Coordinate Assignment")
+ * CS Concept: Four vertical alignments (up/down x left/right), each
+ * compacted into blocks, then balanced by taking the average median.
+ * Long edges stay straight because their dummies are aligned first.
+ */
+function brandesKopf(layers, up, down, isDummy, separation) {
+  const conflicts = findType1Conflicts(layers, up, isDummy);
+  const alignments = [];
+
+  ['up', 'down'].forEach(vertical => {
+    const layering = vertical === 'up' ? layers : [...layers].reverse();
+    const neighbors = vertical === 'up' ? up : down;
+
+    ['left', 'right'].forEach(horizontal => {
+      const adjusted = horizontal === 'left' ? layering : layering.map(layer => [...layer].reverse());
+      const { root, align } = verticalAlignment(adjusted, conflicts, neighbors);
+      const xs = horizontalCompaction(adjusted, root, align, separation);
+      if (horizontal === 'right') xs.forEach((x, id) => xs.set(id, -x));
+      alignments.push({ horizontal, xs });
+    });
   });
-  
-  // Step 5: Calculate edge paths
-  const edgesWithPaths = edges.map(edge => {
-    const fromNode = nodeMap.get(edge.from);
-    const toNode = nodeMap.get(edge.to);
-    
-    if (fromNode && toNode) {
-      return {
-        ...edge,
-        x1: fromNode.x,
-        y1: fromNode.y + nodeHeight / 2,
-        x2: toNode.x,
-        y2: toNode.y - nodeHeight / 2,
-        controlX1: fromNode.x,
-        controlY1: fromNode.y + (toNode.y - fromNode.y) / 2,
-        controlX2: toNode.x,
-        controlY2: fromNode.y + (toNode.y - fromNode.y) / 2
-      };
+
+  // Shift every alignment onto the narrowest one, then balance
+  const extent = (xs) => valueRange(xs.values());
+  const narrowest = alignments.reduce((best, alignment) => {
+    const { min, max } = extent(alignment.xs);
+    return max - min < best.width ? { xs: alignment.xs, width: max - min } : best;
+  }, { xs: null, width: Infinity }).xs;
+  const target = extent(narrowest);
+
+  alignments.forEach(({ horizontal, xs }) => {
+    if (xs === narrowest) return;
+    const { min, max } = extent(xs);
+    const delta = horizontal === 'left' ? target.min - min : target.max - max;
+    xs.forEach((x, id) => xs.set(id, x + delta));
+  });
+
+  const balanced = new Map();
+  narrowest.forEach((x, id) => {
+    const candidates = alignments.map(({ xs }) => xs.get(id)).sort((a, b) => a - b);
+    balanced.set(id, (candidates[1] + candidates[2]) / 2);
+  });
+  return balanced;
+}
+
+/**
+ * Pairs (upper, lower) of non-inner segments that cross an inner segment
+ * (an edge between two dummies). Alignment skips them, so long edges win.
+ */
+function findType1Conflicts(layers, up, isDummy) {
+  const conflicts = new Set();
+  const position = new Map();
+  layers.forEach(layer => layer.forEach((id, index) => position.set(id, index)));
+
+  for (let i = 1; i < layers.length; i++) {
+    const layer = layers[i];
+    let k0 = 0;
+    let scanPos = 0;
+    layer.forEach((v, index) => {
+      const innerUpper = isDummy(v) ? up.get(v).find(isDummy) : undefined;
+      const k1 = innerUpper !== undefined ? position.get(innerUpper) : layers[i - 1].length;
+      if (innerUpper === undefined && index !== layer.length - 1) return;
+
+      layer.slice(scanPos, index + 1).forEach(scanNode => {
+        up.get(scanNode).forEach(u => {
+          const uPos = position.get(u);
+          if ((uPos < k0 || k1 < uPos) && !(isDummy(u) && isDummy(scanNode))) {
+            conflicts.add(conflictKey(u, scanNode));
+          }
+        });
+      });
+      scanPos = index + 1;
+      k0 = k1;
+    });
+  }
+  return conflicts;
+}
+
+const conflictKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Align each node with the median of its neighbors in the previous layer
+ * (at most one per node, without crossing earlier alignments). Aligned
+ * nodes form blocks that share an x coordinate, named by their root.
+ */
+function verticalAlignment(layering, conflicts, neighbors) {
+  const root = new Map();
+  const align = new Map();
+  const position = new Map();
+  layering.forEach(layer => layer.forEach((v, index) => {
+    root.set(v, v);
+    align.set(v, v);
+    position.set(v, index);
+  }));
+
+  layering.forEach(layer => {
+    let previousIndex = -1;
+    layer.forEach(v => {
+      const ws = [...neighbors.get(v)].sort((a, b) => position.get(a) - position.get(b));
+      if (ws.length === 0) return;
+
+      const middle = (ws.length - 1) / 2;
+      for (let i = Math.floor(middle); i <= Math.ceil(middle); i++) {
+        const w = ws[i];
+        if (align.get(v) === v && previousIndex < position.get(w) && !conflicts.has(conflictKey(v, w))) {
+          align.set(w, v);
+          root.set(v, root.get(w));
+          align.set(v, root.get(v));
+          previousIndex = position.get(w);
+        }
+      }
+    });
+  });
+  return { root, align };
+}
+
+/**
+ * Place blocks as far left as their left neighbors allow, then pull each
+ * block right towards its right neighbors where there is room
+ * CS Concept: Longest path in the block graph (a DAG of separation constraints)
+ */
+function horizontalCompaction(layering, root, align, separation) {
+  // Block graph: an edge from each block to the block on its right, per layer
+  const rightOf = new Map();
+  const leftOf = new Map();
+  const blocks = [];
+  layering.forEach(layer => {
+    layer.forEach((v, index) => {
+      const block = root.get(v);
+      if (!rightOf.has(block)) {
+        rightOf.set(block, new Map());
+        leftOf.set(block, new Map());
+        blocks.push(block);
+      }
+      if (index === 0) return;
+
+      const leftBlock = root.get(layer[index - 1]);
+      const gap = Math.max(separation(layer[index - 1], v), rightOf.get(leftBlock).get(block) || 0);
+      rightOf.get(leftBlock).set(block, gap);
+      leftOf.get(block).set(leftBlock, gap);
+    });
+  });
+
+  // Depth-first post-order, so every block comes after the blocks it depends on
+  const postOrder = (next) => {
+    const order = [];
+    const visited = new Set();
+    blocks.forEach(start => {
+      if (visited.has(start)) return;
+      visited.add(start);
+      const stack = [[start, [...next.get(start).keys()]]];
+      while (stack.length > 0) {
+        const [block, pending] = stack[stack.length - 1];
+        const child = pending.pop();
+        if (child === undefined) {
+          order.push(block);
+          stack.pop();
+        } else if (!visited.has(child)) {
+          visited.add(child);
+          stack.push([child, [...next.get(child).keys()]]);
+        }
+      }
+    });
+    return order;
+  };
+
+  const xs = new Map();
+  postOrder(leftOf).forEach(block => {
+    let x = 0;
+    leftOf.get(block).forEach((gap, left) => { x = Math.max(x, xs.get(left) + gap); });
+    xs.set(block, x);
+  });
+  postOrder(rightOf).forEach(block => {
+    let limit = Infinity;
+    rightOf.get(block).forEach((gap, right) => { limit = Math.min(limit, xs.get(right) - gap); });
+    if (limit !== Infinity) xs.set(block, Math.max(xs.get(block), limit));
+  });
+
+  const result = new Map();
+  align.forEach((_, v) => result.set(v, xs.get(root.get(v))));
+  return result;
+}
+
+/**
+ * Edge geometry between two positioned nodes. By default a cubic Bezier
+ * curve from the bottom of `fromNode` to the top of `toNode`, through the
+ * edge's `bends` (dummy node positions) if it has any. Edges with a
+ * `laneX` (from the lane layout) run down that column instead, with
+ * diagonal connectors one row below the child and one row above the parent.
+ * `path` is the SVG path data either way.
+ */
+export function routeEdge(edge, fromNode, toNode, nodeHeight = 60) {
+  if (!fromNode || !toNode) return edge;
+
+  const x1 = fromNode.x;
+  const y1 = fromNode.y + nodeHeight / 2;
+  const x2 = toNode.x;
+  const y2 = toNode.y - nodeHeight / 2;
+
+  if (edge.laneX !== undefined) {
+    const points = [[x1, y1]];
+    const forkY = fromNode.y + edge.rowGap;
+    const joinY = toNode.y - edge.rowGap;
+    if (forkY <= joinY) {
+      if (edge.laneX !== x1) points.push([edge.laneX, forkY]);
+      if (edge.laneX !== x2) points.push([edge.laneX, joinY]);
+    }
+    points.push([x2, y2]);
+    return {
+      ...edge,
+      x1, y1, x2, y2,
+      path: points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'} ${x},${y}`).join(' ')
+    };
+  }
+
+  if (edge.bends && edge.bends.length > 0) {
+    const points = [{ x: x1, y: y1 }, ...edge.bends, { x: x2, y: y2 }];
+    const curves = points.slice(1).map((point, i) => {
+      const midY = (points[i].y + point.y) / 2;
+      return `C ${points[i].x},${midY} ${point.x},${midY} ${point.x},${point.y}`;
+    });
+    return { ...edge, x1, y1, x2, y2, path: `M ${x1},${y1} ${curves.join(' ')}` };
+  }
+
+  const midY = fromNode.y + (toNode.y - fromNode.y) / 2;
+  return {
+    ...edge,
+    x1, y1, x2, y2,
+    controlX1: x1,
+    controlY1: midY,
+    controlX2: x2,
+    controlY2: midY,
+    path: `M ${x1},${y1} C ${x1},${midY} ${x2},${midY} ${x2},${y2}`
+  };
+}
+
+/**
+ * Commits in "git log" order: every commit before its parents, and of the
+ * commits that are ready the newest first
+ * CS Concept: Kahn's Algorithm with a priority (commit date) - O(V^2) here
+ */
+export function logOrder(nodes, edges) {
+  const nodeMap = new Map(nodes.map(n => [n.id, n]));
+  const childCount = new Map(nodes.map(n => [n.id, 0]));
+  const parents = new Map(nodes.map(n => [n.id, []]));
+  edges.forEach(edge => {
+    if (nodeMap.has(edge.from) && nodeMap.has(edge.to)) {
+      parents.get(edge.from).push(edge.to);
+      childCount.set(edge.to, childCount.get(edge.to) + 1);
     }
-    return edge;
   });
-  
+
+  const time = (id) => new Date(nodeMap.get(id).timestamp || 0).getTime() || 0;
+  const ready = nodes.filter(n => childCount.get(n.id) === 0).map(n => n.id);
+  const order = [];
+  while (ready.length > 0) {
+    let newest = 0;
+    for (let i = 1; i < ready.length; i++) {
+      if (time(ready[i]) > time(ready[newest])) newest = i;
+    }
+    const [id] = ready.splice(newest, 1);
+    order.push(id);
+    parents.get(id).forEach(parent => {
+      childCount.set(parent, childCount.get(parent) - 1);
+      if (childCount.get(parent) === 0) ready.push(parent);
+    });
+  }
+  return order;
+}
+
+/**
+ * Lane Layout (like "git log --graph")
+ * CS Concept: Greedy column assignment over a topological order
+ * One commit per row, newest first. Each column holds the commit it is
+ * waiting for: a commit takes the column its child reserved, passes it on
+ * to its first parent (so a branch line keeps its column) and opens a
+ * column for each further parent. Columns whose line has ended are reused,
+ * which keeps the graph narrow.
+ */
+export function calculateLaneLayout(nodes, edges, options = {}) {
+  const {
+    nodeHeight = 60,
+    columnWidth = 170,
+    rowHeight = 100
+  } = options;
+
+  if (nodes.length === 0) {
+    return { nodes: [], edges: [], columns: 0 };
+  }
+
+  const nodeMap = new Map(nodes.map(n => [n.id, n]));
+  const order = logOrder(nodes, edges);
+  const parentsOf = (node) => (node.parents || []).filter(hash => nodeMap.has(hash));
+
+  // lanes[column] = id of the commit that column leads to, or null if free
+  const lanes = [];
+  let columns = 0;
+  // Column each child -> parent edge runs down
+  const edgeLanes = new Map();
+  const freeLane = () => {
+    const index = lanes.indexOf(null);
+    return index === -1 ? lanes.length : index;
+  };
+
+  order.forEach((id, row) => {
+    const node = nodeMap.get(id);
+    let column = lanes.indexOf(id);
+    if (column === -1) column = freeLane();
+
+    // Other lines waiting for this commit end here (a fork point)
+    lanes.forEach((waiting, index) => {
+      if (waiting === id) lanes[index] = null;
+    });
+
+    node.row = row;
+    node.column = column;
+    columns = Math.max(columns, column + 1);
+    node.x = column * columnWidth;
+    node.y = row * rowHeight + nodeHeight / 2;
+
+    parentsOf(node).forEach((parent, index) => {
+      let lane = lanes.indexOf(parent);
+      if (index === 0) {
+        lane = column;
+      } else if (lane === -1) {
+        lane = freeLane();
+      }
+      lanes[lane] = parent;
+      edgeLanes.set(`${id}->${parent}`, lane);
+    });
+
+    while (lanes.length > 0 && lanes[lanes.length - 1] === null) lanes.pop();
+  });
+
+  const laidOut = edges.map(edge => {
+    const lane = edgeLanes.get(`${edge.from}->${edge.to}`);
+    if (lane === undefined) return edge;
+    return routeEdge(
+      { ...edge, laneX: lane * columnWidth, rowGap: rowHeight },
+      nodeMap.get(edge.from),
+      nodeMap.get(edge.to),
+      nodeHeight
+    );
+  });
+
   return {
     nodes: Array.from(nodeMap.values()),
-    edges: edgesWithPaths
+    edges: laidOut,
+    columns
   };
 }
 
@@ -135,8 +662,11 @@ export function calculateLayout(nodes, edges, options = {}) {
  * Find shortest path between two commits
  * CS Concept: Breadth-First Search (BFS) - O(V + E)
  */
-export function findShortestPath(startId, endId, edges) {
-  if (startId === endId) return [startId];
+export function findShortestPath(startId, endId, edges, onStep) {
+  if (startId === endId) {
+    onStep?.({ action: 'found', node: startId, neighbor: null, path: [startId], queue: [], visited: new Set([startId]) });
+    return [startId];
+  }
   
   const graph = new Map();
   edges.forEach(edge => {
@@ -148,12 +678,15 @@ export function findShortestPath(startId, endId, edges) {
   
   const queue = [[startId]];
   const visited = new Set([startId]);
+  onStep?.({ action: 'start', node: startId, neighbor: null, path: null, queue, visited });
   
   while (queue.length > 0) {
     const path = queue.shift();
     const node = path[path.length - 1];
+    onStep?.({ action: 'dequeue', node, neighbor: null, path, queue, visited });
     
     if (node === endId) {
+      onStep?.({ action: 'found', node, neighbor: null, path, queue, visited });
       return path;
     }
     
@@ -162,18 +695,86 @@ export function findShortestPath(startId, endId, edges) {
       if (!visited.has(neighbor)) {
         visited.add(neighbor);
         queue.push([...path, neighbor]);
+        onStep?.({ action: 'enqueue', node, neighbor, path, queue, visited });
+      } else {
+        onStep?.({ action: 'skip', node, neighbor, path, queue, visited });
       }
     }
   }
   
+  onStep?.({ action: 'done', node: null, neighbor: null, path: null, queue, visited });
   return null; // No path found
 }
 
+/**
+ * Every commit reachable from a commit through its parents, itself first,
+ * nearest ancestors first (what `git log <commit>` would list)
+ * CS Concept: Breadth-First Search (BFS) over directed edges - O(V + E)
+ */
+export function findAncestors(startId, edges) {
+  const parents = new Map();
+  edges.forEach(edge => {
+    if (!parents.has(edge.from)) parents.set(edge.from, []);
+    parents.get(edge.from).push(edge.to);
+  });
+
+  const order = [startId];
+  const seen = new Set(order);
+  for (let i = 0; i < order.length; i++) {
+    (parents.get(order[i]) || []).forEach(parent => {
+      if (!seen.has(parent)) {
+        seen.add(parent);
+        order.push(parent);
+      }
+    });
+  }
+  return order;
+}
+
+/**
+ * Every commit reachable from a commit through its parents, in the order
+ * a depth-first search visits them (pop, skip if seen, visit, push parents)
+ * CS Concept: Depth-First Search (DFS) with an explicit stack - O(V + E)
+ */
+export function depthFirstSearch(startId, edges, onStep) {
+  const parents = new Map();
+  edges.forEach(edge => {
+    if (!parents.has(edge.from)) parents.set(edge.from, []);
+    parents.get(edge.from).push(edge.to);
+  });
+
+  const order = [];
+  const visited = new Set();
+  const stack = [startId];
+  onStep?.({ action: 'start', node: startId, neighbor: null, stack, order });
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    if (visited.has(current)) {
+      onStep?.({ action: 'skip', node: current, neighbor: null, stack, order });
+      continue;
+    }
+
+    visited.add(current);
+    order.push(current);
+    onStep?.({ action: 'visit', node: current, neighbor: null, stack, order });
+
+    (parents.get(current) || []).forEach(parent => {
+      if (visited.has(parent)) return;
+      stack.push(parent);
+      onStep?.({ action: 'push', node: current, neighbor: parent, stack, order });
+    });
+  }
+
+  onStep?.({ action: 'done', node: null, neighbor: null, stack, order });
+  return order;
+}
+
 /**
  * Detect cycles in the graph (shouldn't exist in valid Git DAG)
  * CS Concept: Cycle detection using DFS - O(V + E)
  */
-export function detectCycle(nodes, edges) {
+export function detectCycle(nodes, edges, onStep) {
   const graph = new Map();
   const visiting = new Set();
   const visited = new Set();
@@ -185,21 +786,38 @@ export function detectCycle(nodes, edges) {
     }
   });
   
-  function dfs(nodeId) {
-    visiting.add(nodeId);
-    
-    const neighbors = graph.get(nodeId) || [];
-    for (const neighbor of neighbors) {
+  // Iterative DFS (an explicit stack, so long histories cannot overflow
+  // the call stack); `visiting` holds the nodes on the current path.
+  // Each stack frame is [node, index of the next neighbor to follow].
+  function dfs(startId) {
+    const stack = [[startId, 0]];
+    visiting.add(startId);
+    onStep?.({ action: 'enter', node: startId, neighbor: null, stack, visited });
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const neighbors = graph.get(frame[0]) || [];
+      if (frame[1] === neighbors.length) {
+        stack.pop();
+        visiting.delete(frame[0]);
+        visited.add(frame[0]);
+        onStep?.({ action: 'leave', node: frame[0], neighbor: null, stack, visited });
+        continue;
+      }
+
+      const neighbor = neighbors[frame[1]++];
       if (visiting.has(neighbor)) {
+        onStep?.({ action: 'cycle', node: frame[0], neighbor, stack, visited });
         return true; // Cycle detected
       }
       if (!visited.has(neighbor)) {
-        if (dfs(neighbor)) return true;
+        visiting.add(neighbor);
+        stack.push([neighbor, 0]);
+        onStep?.({ action: 'push', node: frame[0], neighbor, stack, visited });
+      } else {
+        onStep?.({ action: 'skip', node: frame[0], neighbor, stack, visited });
       }
     }
-    
-    visiting.delete(nodeId);
-    visited.add(nodeId);
     return false;
   }
   
@@ -209,6 +827,7 @@ export function detectCycle(nodes, edges) {
     }
   }
   
+  onStep?.({ action: 'done', node: null, neighbor: null, stack: [], visited });
   return false;
 }
 
@@ -245,16 +864,18 @@ export function calculateGraphMetrics(nodes, edges) {
   // Find leaf nodes (no children)
   const leaves = nodes.filter(node => outDegree.get(node.id) === 0);
   
-  // Calculate longest path (for tree depth)
+  // Calculate longest path (for tree depth) by dynamic programming over a
+  // topological order - O(V + E), instead of walking every path
+  const depth = new Map(roots.map(root => [root.id, 0]));
   let maxDepth = 0;
-  
-  function dfs(nodeId, depth) {
-    maxDepth = Math.max(maxDepth, depth);
-    const neighbors = graph.get(nodeId) || [];
-    neighbors.forEach(neighbor => dfs(neighbor, depth + 1));
-  }
-  
-  roots.forEach(root => dfs(root.id, 0));
+
+  topologicalSort(nodes, edges).reverse().forEach(nodeId => {
+    if (!depth.has(nodeId)) return;
+    maxDepth = Math.max(maxDepth, depth.get(nodeId));
+    graph.get(nodeId).forEach(neighbor => {
+      depth.set(neighbor, Math.max(depth.get(neighbor) ?? 0, depth.get(nodeId) + 1));
+    });
+  });
   
   return {
     nodeCount: nodes.length,
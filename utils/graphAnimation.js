@@ -0,0 +1,209 @@
+/**
+ * Animated transitions between two graph layouts
+ * CS Concepts: Keyed diffing (nodes matched by commit id), linear
+ * interpolation with easing, arc-length parameterization of a path
+ */
+import { routeEdge } from './graphAlgorithms';
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Slow start, fast middle, slow end - t and the result are in [0, 1]
+ */
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Match the nodes on screen with the nodes of the new layout by id
+ * Covers: entering nodes grow in at their place, matched nodes slide from
+ * where they are shown now, missing nodes fade out where they are
+ * Returns tracks { node, from, to, exiting } with from/to = { x, y, opacity, scale }
+ */
+export function planNodeTransition(shownNodes, targetNodes) {
+  const shown = new Map(shownNodes.map(node => [node.id, node]));
+  const targetIds = new Set(targetNodes.map(node => node.id));
+  const visual = (node) => ({ x: node.x, y: node.y, opacity: node.opacity ?? 1, scale: node.scale ?? 1 });
+
+  const tracks = targetNodes.map(node => {
+    const to = { x: node.x, y: node.y, opacity: 1, scale: 1 };
+    const current = shown.get(node.id);
+    const from = current ? visual(current) : { ...to, opacity: 0, scale: 0.4 };
+    return { node, from, to, exiting: false };
+  });
+
+  shownNodes.forEach(node => {
+    if (targetIds.has(node.id)) return;
+    const from = visual(node);
+    tracks.push({ node, from, to: { ...from, opacity: 0, scale: 0.6 }, exiting: true });
+  });
+
+  return tracks;
+}
+
+/**
+ * Commits a ref passes when it moves from one commit to another along
+ * first parents (either direction), excluding both ends - e.g. a branch
+ * fast-forwarded over three commits passes the two in between.
+ * Returns null when neither commit is a first-parent ancestor of the other.
+ */
+export function firstParentPath(fromId, toId, parentsById, limit = 50) {
+  const walk = (start, goal) => {
+    const passed = [];
+    let current = parentsById.get(start)?.[0];
+    while (current && passed.length < limit) {
+      if (current === goal) return passed;
+      passed.push(current);
+      current = parentsById.get(current)?.[0];
+    }
+    return null;
+  };
+
+  const forward = walk(toId, fromId);
+  if (forward) return forward.reverse();
+  return walk(fromId, toId);
+}
+
+/**
+ * Point at fraction t of the length of a polyline
+ */
+export function pointAlong(points, t) {
+  if (points.length === 1) return points[0];
+
+  const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  if (total === 0) return points[points.length - 1];
+
+  let remaining = t * total;
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] || i === lengths.length - 1) {
+      const local = lengths[i] === 0 ? 1 : Math.min(1, remaining / lengths[i]);
+      return {
+        x: lerp(points[i].x, points[i + 1].x, local),
+        y: lerp(points[i].y, points[i + 1].y, local)
+      };
+    }
+    remaining -= lengths[i];
+  }
+  return points[points.length - 1];
+}
+
+/**
+ * Match the ref labels on screen with their new places by ref name.
+ * A label whose ref moved glides along the commits it passes (when the
+ * old and new commit are on one first-parent line), otherwise straight.
+ * Labels are { key, commit, x, y, ... }; `positions` maps commit id to
+ * its new node position.
+ */
+export function planLabelTransition(shownLabels, targetLabels, parentsById, positions) {
+  const shown = new Map(shownLabels.map(label => [label.key, label]));
+  const targetKeys = new Set(targetLabels.map(label => label.key));
+
+  const tracks = targetLabels.map(label => {
+    const current = shown.get(label.key);
+    if (!current) {
+      return { label, path: [label], fromOpacity: 0, toOpacity: 1, exiting: false };
+    }
+
+    let path = [current, label];
+    if (current.commit !== label.commit) {
+      const passed = firstParentPath(current.commit, label.commit, parentsById) || [];
+      const offsetX = label.x - positions.get(label.commit).x;
+      const offsetY = label.y - positions.get(label.commit).y;
+      const waypoints = passed
+        .filter(id => positions.has(id))
+        .map(id => ({ x: positions.get(id).x + offsetX, y: positions.get(id).y + offsetY }));
+      path = [current, ...waypoints, label];
+    }
+    return { label, path, fromOpacity: current.opacity ?? 1, toOpacity: 1, exiting: false };
+  });
+
+  shownLabels.forEach(label => {
+    if (targetKeys.has(label.key)) return;
+    tracks.push({ label, path: [label], fromOpacity: label.opacity ?? 1, toOpacity: 0, exiting: true });
+  });
+
+  return tracks;
+}
+
+/**
+ * The graph at progress t (already eased) of a transition.
+ * Edges of both layouts are drawn between the interpolated nodes and fade
+ * with their ends; with `done`, everything that faded out is dropped.
+ */
+export function interpolateFrame({ nodeTracks, labelTracks, edges }, t, { done = false, nodeHeight = 60 } = {}) {
+  const nodes = nodeTracks
+    .filter(track => !(done && track.exiting))
+    .map(({ node, from, to, exiting }) => ({
+      ...node,
+      x: lerp(from.x, to.x, t),
+      y: lerp(from.y, to.y, t),
+      opacity: lerp(from.opacity, to.opacity, t),
+      scale: lerp(from.scale, to.scale, t),
+      exiting
+    }));
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+
+  const frameEdges = edges
+    .filter(edge => nodesById.has(edge.from) && nodesById.has(edge.to))
+    .map(({ fromLaneX, fromBends, ...edge }) => {
+      const laneX = fromLaneX === undefined || edge.laneX === undefined ? edge.laneX : lerp(fromLaneX, edge.laneX, t);
+      const bends = edge.bends && fromBends
+        ? edge.bends.map((bend, i) => ({ x: lerp(fromBends[i].x, bend.x, t), y: lerp(fromBends[i].y, bend.y, t) }))
+        : edge.bends;
+      return {
+        ...routeEdge({ ...edge, laneX, bends }, nodesById.get(edge.from), nodesById.get(edge.to), nodeHeight),
+        opacity: Math.min(nodesById.get(edge.from).opacity, nodesById.get(edge.to).opacity)
+      };
+    });
+
+  const labels = labelTracks
+    .filter(track => !(done && track.exiting))
+    .map(({ label, path, fromOpacity, toOpacity }) => ({
+      ...label,
+      ...pointAlong(path, t),
+      opacity: lerp(fromOpacity, toOpacity, t)
+    }));
+
+  return { nodes, edges: frameEdges, labels };
+}
+
+/**
+ * `count` points spread evenly along a drawn edge (its ends and bends),
+ * as starting places for the bends of its next shape
+ */
+function bendsAlong(edge, count) {
+  if (edge.bends && edge.bends.length === count) return edge.bends;
+  const line = [{ x: edge.x1, y: edge.y1 }, ...(edge.bends || []), { x: edge.x2, y: edge.y2 }];
+  return Array.from({ length: count }, (_, i) => pointAlong(line, (i + 1) / (count + 1)));
+}
+
+/**
+ * Everything needed to animate from the frame on screen to a new layout
+ */
+export function planTransition(shownFrame, layout, labels) {
+  const parentsById = new Map(layout.nodes.map(node => [node.id, node.parents || []]));
+  const positions = new Map(layout.nodes.map(node => [node.id, node]));
+
+  // Old edges stay while their ends fade out; new ones fade in. Edges
+  // drawn down a lane (lane layout) slide from the lane they are in now,
+  // and bends (layered layout) from the edge's current shape.
+  const strip = ({ from, to, laneX, rowGap, bends }) => ({ from, to, laneX, rowGap, bends });
+  const shownEdges = new Map(shownFrame.edges.map(edge => [`${edge.from}->${edge.to}`, edge]));
+  const edgesByKey = new Map([...shownEdges].map(([key, edge]) => [key, strip(edge)]));
+  layout.edges.forEach(edge => {
+    const key = `${edge.from}->${edge.to}`;
+    const shown = shownEdges.get(key);
+    edgesByKey.set(key, {
+      ...strip(edge),
+      fromLaneX: shown ? shown.laneX : undefined,
+      fromBends: shown && edge.bends ? bendsAlong(shown, edge.bends.length) : undefined
+    });
+  });
+
+  return {
+    nodeTracks: planNodeTransition(shownFrame.nodes, layout.nodes),
+    labelTracks: planLabelTransition(shownFrame.labels, labels, parentsById, positions),
+    edges: [...edgesByKey.values()]
+  };
+}
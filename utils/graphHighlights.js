@@ -0,0 +1,61 @@
+/**
+ * Highlight layers: algorithm results drawn on top of the commit graph
+ * CS Concepts: Overlaying several sets on one graph (a commit can be in
+ * more than one), induced subgraphs (the edges inside a set of nodes)
+ *
+ * A layer is { nodes, kind, label, color, numbered }:
+ * - nodes: commit ids, in the order the algorithm produced them
+ * - kind: 'path' joins consecutive commits; 'set' (a visit order or any
+ *   group of commits) takes every edge between two of its commits
+ * - numbered: show each commit's place in `nodes`
+ */
+
+// Picked to stand apart from the branch colours
+export const HIGHLIGHT_COLORS = ['#FF5722', '#00BCD4', '#E91E63', '#FFC107', '#3F51B5'];
+
+export function createHighlightLayer(nodes, { kind = 'path', label = '', color = null, numbered = true } = {}) {
+  return { nodes, kind, label, color, numbered };
+}
+
+const edgeKey = (from, to) => `${from}->${to}`;
+
+/**
+ * Everything the renderers need to draw the layers:
+ * - nodes: id -> [{ color, order }] - one mark per layer the commit is in
+ * - edges: 'from->to' -> color of the first layer that takes the edge
+ * - layers: the layers with their colours filled in
+ * - active: whether anything is highlighted (the rest is then dimmed)
+ */
+export function resolveHighlights(layers = [], edges = []) {
+  const nodes = new Map();
+  const edgeColors = new Map();
+
+  const resolved = layers
+    .filter(layer => layer.nodes.length > 0)
+    .map((layer, index) => ({ ...layer, color: layer.color || HIGHLIGHT_COLORS[index % HIGHLIGHT_COLORS.length] }));
+
+  resolved.forEach(layer => {
+    layer.nodes.forEach((id, index) => {
+      if (!nodes.has(id)) nodes.set(id, []);
+      nodes.get(id).push({ color: layer.color, order: layer.numbered ? index + 1 : null });
+    });
+
+    const take = (key) => {
+      if (!edgeColors.has(key)) edgeColors.set(key, layer.color);
+    };
+    if (layer.kind === 'path') {
+      // Paths may run either way along an edge (child to parent or back)
+      layer.nodes.slice(1).forEach((id, i) => {
+        take(edgeKey(layer.nodes[i], id));
+        take(edgeKey(id, layer.nodes[i]));
+      });
+    } else {
+      const members = new Set(layer.nodes);
+      edges.forEach(edge => {
+        if (members.has(edge.from) && members.has(edge.to)) take(edgeKey(edge.from, edge.to));
+      });
+    }
+  });
+
+  return { nodes, edges: edgeColors, layers: resolved, active: resolved.length > 0 };
+}
@@ -0,0 +1,137 @@
+/**
+ * Viewport math for drawing large commit graphs
+ * CS Concepts: Coordinate transforms (graph units <-> screen pixels),
+ * view-frustum culling with bounding boxes - only what can be seen is drawn
+ */
+import { valueRange } from './graphAlgorithms';
+
+/**
+ * Bounding box of positioned nodes, grown by `padding` on every side
+ */
+export function layoutBounds(nodes, padding = 100) {
+  if (nodes.length === 0) return { minX: 0, minY: 0, maxX: 800, maxY: 600 };
+  const x = valueRange(nodes.map(node => node.x));
+  const y = valueRange(nodes.map(node => node.y));
+  return { minX: x.min - padding, minY: y.min - padding, maxX: x.max + padding, maxY: y.max + padding };
+}
+
+/**
+ * A view is { x, y, scale }: the graph point at the centre of the element
+ * and screen pixels per graph unit. Kept in graph units, it stays where it
+ * is when the graph changes size.
+ */
+export const MIN_SCALE = 0.02;
+export const MAX_SCALE = 4;
+
+const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+/**
+ * The view that shows the whole graph when it fits at `minFitScale` or
+ * more, otherwise its top (the newest commits) at the largest scale that
+ * shows its full width, but never below `minFitScale`. Never enlarges.
+ */
+export function fitView(bounds, dimensions, { minFitScale = 0.3 } = {}) {
+  const graphWidth = bounds.maxX - bounds.minX;
+  const graphHeight = bounds.maxY - bounds.minY;
+  const fitScale = Math.min(1, dimensions.width / graphWidth, dimensions.height / graphHeight);
+  const x = (bounds.minX + bounds.maxX) / 2;
+
+  if (fitScale >= minFitScale) {
+    return { x, y: (bounds.minY + bounds.maxY) / 2, scale: fitScale };
+  }
+  const scale = Math.min(1, Math.max(minFitScale, dimensions.width / graphWidth));
+  return { x, y: bounds.minY + dimensions.height / scale / 2, scale };
+}
+
+/**
+ * The region of the graph a view shows, as { x, y, width, height }
+ */
+export function viewBoxOf(view, dimensions) {
+  const width = dimensions.width / view.scale;
+  const height = dimensions.height / view.scale;
+  return { x: view.x - width / 2, y: view.y - height / 2, width, height };
+}
+
+/**
+ * Move the view with the pointer by (dx, dy) screen pixels
+ */
+export function panView(view, dx, dy) {
+  return { ...view, x: view.x - dx / view.scale, y: view.y - dy / view.scale };
+}
+
+/**
+ * Zoom by `factor` around `anchor`, a screen offset from the centre of the
+ * element: the graph point under the anchor stays under it
+ */
+export function zoomView(view, factor, anchor = { x: 0, y: 0 }) {
+  const scale = clampScale(view.scale * factor);
+  // Graph point under the anchor, before and after, must be the same
+  const shift = 1 / view.scale - 1 / scale;
+  return { x: view.x + anchor.x * shift, y: view.y + anchor.y * shift, scale };
+}
+
+/**
+ * The view moved so graph point (x, y) is at the centre
+ */
+export function centerView(view, x, y) {
+  return { ...view, x, y };
+}
+
+/**
+ * Screen pixels per graph unit, and the offset of the drawing inside the
+ * element - an SVG viewBox is scaled to fit and centered ("xMidYMid meet")
+ */
+export function viewTransform(viewBox, dimensions) {
+  const scale = Math.min(dimensions.width / viewBox.width, dimensions.height / viewBox.height);
+  return {
+    scale,
+    offsetX: (dimensions.width - viewBox.width * scale) / 2,
+    offsetY: (dimensions.height - viewBox.height * scale) / 2
+  };
+}
+
+/**
+ * The graph-unit rectangle actually on screen (larger than the viewBox
+ * along one axis when the aspect ratios differ), grown by `margin`
+ */
+export function visibleRect(viewBox, dimensions, margin = 0) {
+  const { scale, offsetX, offsetY } = viewTransform(viewBox, dimensions);
+  return {
+    minX: viewBox.x - offsetX / scale - margin,
+    minY: viewBox.y - offsetY / scale - margin,
+    maxX: viewBox.x + (dimensions.width - offsetX) / scale + margin,
+    maxY: viewBox.y + (dimensions.height - offsetY) / scale + margin
+  };
+}
+
+const overlaps = (rect, minX, minY, maxX, maxY) => (
+  maxX >= rect.minX && minX <= rect.maxX && maxY >= rect.minY && minY <= rect.maxY
+);
+
+/**
+ * Bounding box of a routed edge: its ends, bends and lane
+ */
+function edgeBox(edge) {
+  const xs = [edge.x1, edge.x2];
+  const ys = [edge.y1, edge.y2];
+  if (edge.laneX !== undefined) xs.push(edge.laneX);
+  (edge.bends || []).forEach(bend => {
+    xs.push(bend.x);
+    ys.push(bend.y);
+  });
+  const x = valueRange(xs);
+  const y = valueRange(ys);
+  return [x.min, y.min, x.max, y.max];
+}
+
+/**
+ * Only the nodes, edges and labels that overlap `rect`. Nodes are points
+ * here, so `rect` should include a margin of half a node (and a label).
+ */
+export function cullFrame(frame, rect) {
+  return {
+    nodes: frame.nodes.filter(node => overlaps(rect, node.x, node.y, node.x, node.y)),
+    edges: frame.edges.filter(edge => edge.x1 !== undefined && overlaps(rect, ...edgeBox(edge))),
+    labels: frame.labels.filter(label => overlaps(rect, label.x, label.y, label.x, label.y))
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Versioned JSON serialization of a GitRepository
+ * Covers: schema versioning, Base64, compressed URL-safe snapshots
+ *
+ * Format (version 1):
+ * {
+ *   format: 'git-visualizer-repository', version: 1,
+ *   objects: [{ type, data, encoding } | { type: 'tree', entries: [[mode, name, hash]] }],
+ *   refs: { ref: hash }, HEAD: { type, ref | hash }, reflogs: { ref: [entry] },
+ *   index: [[path, mode, hash]], workingDirectory: [[path, data, encoding]]
+ * }
+ * Commits and tags are stored as their raw text (Base64 when it is not
+ * valid UTF-8) so every hash is preserved.
+ */
+import { GitRepository, GitTree, GitBlob, modeToType, parseObject, toBytes, fromBytes } from './gitStructures';
+import { deflateRaw, inflateRaw } from './compression';
+
+export const SERIALIZATION_FORMAT = 'git-visualizer-repository';
+export const SERIALIZATION_VERSION = 1;
+
+/**
+ * Base64 encode bytes (built in chunks - String.fromCharCode has an argument limit)
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode Base64 into bytes
+ */
+export function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Content as [data, encoding]: text stays readable, bytes become Base64
+ */
+const encodeContent = (content) => (
+  typeof content === 'string' ? [content, 'utf8'] : [toBase64(content), 'base64']
+);
+const decodeContent = (data, encoding) => (encoding === 'base64' ? fromBase64(data) : data);
+
+/**
+ * Serialize a repository into a plain JSON-compatible object
+ */
+export function serializeRepository(repo) {
+  const objects = [...repo.objects.values()].map(obj => {
+    switch (obj.type) {
+      case 'tree':
+        return { type: 'tree', entries: obj.entries.map(e => [e.mode, e.name, e.hash]) };
+      case 'blob': {
+        const [data, encoding] = encodeContent(obj.content);
+        return { type: 'blob', data, encoding };
+      }
+      default: {
+        const [data, encoding] = encodeContent(obj.raw || fromBytes(obj.serialize()));
+        return { type: obj.type, data, encoding };
+      }
+    }
+  });
+
+  return {
+    format: SERIALIZATION_FORMAT,
+    version: SERIALIZATION_VERSION,
+    objects,
+    refs: Object.fromEntries(repo.refs),
+    HEAD: { ...repo.HEAD },
+    reflogs: Object.fromEntries(repo.reflogs),
+    index: [...repo.index.entries()].map(([path, entry]) => [path, entry.mode, entry.hash]),
+    workingDirectory: [...repo.workingDirectory.entries()].map(([path, content]) => [path, ...encodeContent(content)])
+  };
+}
+
+/**
+ * Rebuild a repository from serializeRepository output.
+ * Object ids are recomputed from content rather than trusted.
+ */
+export function deserializeRepository(data) {
+  if (!data || data.format !== SERIALIZATION_FORMAT) {
+    throw new Error('Not a serialized repository');
+  }
+  if (data.version !== SERIALIZATION_VERSION) {
+    throw new Error(`Unsupported repository format version ${data.version} (expected ${SERIALIZATION_VERSION})`);
+  }
+
+  const repo = new GitRepository();
+  data.objects.forEach(item => {
+    let obj;
+    if (item.type === 'tree') {
+      obj = new GitTree(item.entries.map(([mode, name, hash]) => ({ mode, name, hash, type: modeToType(mode) })));
+    } else if (item.type === 'blob') {
+      obj = new GitBlob(decodeContent(item.data, item.encoding));
+    } else {
+      obj = parseObject(item.type, toBytes(decodeContent(item.data, item.encoding)));
+    }
+    repo.storeObject(obj);
+  });
+
+  Object.entries(data.refs).forEach(([ref, hash]) => repo.refs.set(ref, hash));
+  repo.HEAD = { ...data.HEAD };
+  Object.entries(data.reflogs || {}).forEach(([ref, entries]) => repo.reflogs.set(ref, entries));
+  data.index.forEach(([path, mode, hash]) => repo.index.set(path, { mode, hash, type: modeToType(mode) }));
+  data.workingDirectory.forEach(([path, content, encoding]) => (
+    repo.workingDirectory.set(path, decodeContent(content, encoding))
+  ));
+
+  return repo;
+}
+
+/**
+ * Repository as pretty-printed JSON text (for file export)
+ */
+export function repositoryToJSON(repo) {
+  return JSON.stringify(serializeRepository(repo), null, 2);
+}
+
+/**
+ * Repository from JSON text (file import)
+ */
+export function repositoryFromJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  return deserializeRepository(data);
+}
+
+const SNAPSHOT_PREFIX = 'repo=';
+
+// Longer URLs are cut off by some browsers and by most places a link is pasted
+export const MAX_SNAPSHOT_LENGTH = 64 * 1024;
+
+/**
+ * Compressed snapshot for a URL fragment: "repo=" + Base64url(deflate(JSON)).
+ * Throws when it would be longer than MAX_SNAPSHOT_LENGTH characters.
+ */
+export function encodeSnapshot(repo) {
+  const compressed = deflateRaw(toBytes(JSON.stringify(serializeRepository(repo))));
+  const snapshot = SNAPSHOT_PREFIX + toBase64(compressed).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  if (snapshot.length > MAX_SNAPSHOT_LENGTH) {
+    throw new Error(
+      `The repository is too large for a share link (${snapshot.length} characters, at most ${MAX_SNAPSHOT_LENGTH}) - export it as a file instead`
+    );
+  }
+  return snapshot;
+}
+
+/**
+ * Read a repository back from a URL fragment (with or without "#").
+ * Returns null when the fragment holds no snapshot.
+ */
+export function decodeSnapshot(fragment) {
+  const text = fragment.replace(/^#/, '');
+  if (!text.startsWith(SNAPSHOT_PREFIX)) return null;
+
+  const base64 = text.slice(SNAPSHOT_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const { data } = inflateRaw(fromBase64(padded));
+  return deserializeRepository(JSON.parse(fromBytes(data)));
+}
@@ -0,0 +1,82 @@
+/**
+ * Save slots for serialized repositories in IndexedDB
+ * Covers: key-value storage, wrapping callback APIs in Promises
+ */
+
+const DATABASE_NAME = 'git-visualizer';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+/**
+ * Slot the hook writes to after every change
+ */
+export const AUTOSAVE_SLOT = 'autosave';
+
+/**
+ * Resolve or reject with the outcome of an IndexedDB request
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let databasePromise = null;
+
+/**
+ * Open (and on first use create) the database, once per page
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'name' });
+    };
+    databasePromise = promisify(request);
+  }
+  return databasePromise;
+}
+
+/**
+ * Run one request against the sessions store
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  return promisify(operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+}
+
+/**
+ * Save serialized repository data under a slot name
+ */
+export function saveSlot(name, data) {
+  return withStore('readwrite', store => store.put({ name, data, savedAt: new Date().toISOString() }));
+}
+
+/**
+ * Load a slot's serialized data (null if the slot does not exist)
+ */
+export async function loadSlot(name) {
+  const record = await withStore('readonly', store => store.get(name));
+  return record ? record.data : null;
+}
+
+/**
+ * Every slot as { name, savedAt }, newest first (without the data)
+ */
+export async function listSlots() {
+  const records = await withStore('readonly', store => store.getAll());
+  return records
+    .map(({ name, savedAt }) => ({ name, savedAt }))
+    .sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1));
+}
+
+/**
+ * Delete a slot
+ */
+export function deleteSlot(name) {
+  return withStore('readwrite', store => store.delete(name));
+}
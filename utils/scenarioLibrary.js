@@ -0,0 +1,279 @@
+/**
+ * Built-in scenarios (see scenarios.js for the format)
+ * The first one builds the sample repository shown on start.
+ */
+
+const ALICE = 'Alice <alice@example.com>';
+const BOB = 'Bob <bob@example.com>';
+const CAROL = 'Carol <carol@example.com>';
+
+export const BUILTIN_SCENARIOS = [
+  {
+    id: 'basics',
+    title: 'Commits, branches and tags',
+    description: 'The building blocks: snapshots, a tag for a release, and a branch that diverges from main.',
+    author: ALICE,
+    steps: [
+      {
+        title: 'First commit',
+        narration: 'Alice creates the project and records its first snapshot. A commit points at a tree (the directory listing) and has no parent.',
+        files: {
+          'README.md': '# My Project\nThis is a sample project.',
+          'src/index.js': 'console.log("Hello, World!");'
+        },
+        commands: ['git add -A', 'git commit -m "Initial commit"']
+      },
+      {
+        title: 'Second commit',
+        narration: 'Bob adds package.json and a utility module. The new commit points back at its parent, and the unchanged src/index.js blob is shared with the first snapshot.',
+        author: BOB,
+        files: {
+          'README.md': '# My Project\nThis is a sample project.\n\n## Features\n- Feature 1',
+          'package.json': '{"name": "sample", "version": "1.0.0"}',
+          'src/utils/format.js': 'export const format = (s) => s.trim();'
+        },
+        commands: ['git add -A', 'git commit -m "Add package.json and update README"']
+      },
+      {
+        title: 'Tag the release',
+        narration: 'An annotated tag is an object of its own (with a tagger and message) that points at the commit. Unlike a branch it never moves.',
+        author: BOB,
+        commands: ['git tag -a v1.0 -m "First release"']
+      },
+      {
+        title: 'Start a branch',
+        narration: 'A branch is just a name for a commit. Creating feature-branch copies no files; checking it out only changes what HEAD points at.',
+        commands: ['git branch feature-branch', 'git checkout feature-branch']
+      },
+      {
+        title: 'Commit on the branch',
+        narration: 'The commit moves feature-branch forward. main stays where it was, and only the trees along src/features/ are new.',
+        files: { 'src/features/feature.js': 'export function newFeature() { return "cool"; }' },
+        commands: ['git add -A', 'git commit -m "Add new feature"']
+      },
+      {
+        title: 'History diverges',
+        narration: 'Back on main, Bob adds tests. The two branches now have different commits on top of a common ancestor - the merge base.',
+        author: BOB,
+        commands: ['git checkout main'],
+        files: { 'tests/index.test.js': 'describe("tests", () => { it("works", () => {}); });' }
+      },
+      {
+        title: 'Commit on main',
+        narration: 'The whole src/ subtree is reused from the previous commit; only the root tree and tests/ are new objects.',
+        author: BOB,
+        commands: ['git add tests/index.test.js', 'git commit -m "Add tests"']
+      }
+    ]
+  },
+
+  {
+    id: 'feature-branch',
+    title: 'Feature branch workflow',
+    description: 'Develop on a branch while main keeps moving, then bring the work back with a merge commit.',
+    author: ALICE,
+    steps: [
+      {
+        title: 'Project on main',
+        narration: 'The project starts with a single commit on main.',
+        files: { 'app.js': 'function greet(name) {\n  return "Hello " + name;\n}\n' },
+        commands: ['git add -A', 'git commit -m "Create app"']
+      },
+      {
+        title: 'Create the feature branch',
+        narration: '`git switch -c` creates a branch at HEAD and checks it out in one go.',
+        commands: ['git switch -c login']
+      },
+      {
+        title: 'Work on the feature',
+        narration: 'Each commit on login moves only the checked-out branch; main stays behind.',
+        files: { 'login.js': 'export function login(user) {\n  return Boolean(user);\n}\n' },
+        commands: ['git add login.js', 'git commit -m "Add login"']
+      },
+      {
+        title: 'Keep going',
+        narration: 'A second commit on the feature branch.',
+        files: { 'login.js': 'export function login(user) {\n  return Boolean(user && user.password);\n}\n' },
+        commands: ['git commit -am "Require a password"']
+      },
+      {
+        title: 'Meanwhile on main',
+        narration: 'Bob fixes a bug on main. The branches have diverged, so a fast-forward is no longer possible.',
+        author: BOB,
+        commands: ['git switch main'],
+        files: { 'app.js': 'function greet(name) {\n  return `Hello ${name}!`;\n}\n' }
+      },
+      {
+        title: 'Commit the fix',
+        narration: 'main moves forward independently of login.',
+        author: BOB,
+        commands: ['git commit -am "Fix greeting punctuation"']
+      },
+      {
+        title: 'Merge the feature',
+        narration: 'A three-way merge combines both sides using their merge base. The result is a merge commit with two parents; `--no-ff` would force one even when a fast-forward were possible.',
+        commands: ['git merge --no-ff login -m "Merge branch \'login\'"']
+      },
+      {
+        title: 'Clean up',
+        narration: 'The branch name is no longer needed: its commits are reachable from main through the merge commit, so `git branch -d` allows the delete.',
+        commands: ['git branch -d login']
+      }
+    ]
+  },
+
+  {
+    id: 'rebase-vs-merge',
+    title: 'Rebase vs merge',
+    description: 'The same diverged branch integrated twice: once with a merge commit, once by rebasing into a straight line.',
+    author: ALICE,
+    steps: [
+      {
+        title: 'A shared start',
+        narration: 'main has one commit.',
+        files: { 'notes.md': '# Notes\n' },
+        commands: ['git add -A', 'git commit -m "Start notes"']
+      },
+      {
+        title: 'Topic work',
+        narration: 'Alice writes two commits on topic.',
+        files: { 'ideas.md': '- idea one\n' },
+        commands: [
+          'git switch -c topic',
+          'git add ideas.md',
+          'git commit -m "Add first idea"'
+        ]
+      },
+      {
+        title: 'More topic work',
+        narration: 'topic is now two commits ahead of where it started.',
+        files: { 'ideas.md': '- idea one\n- idea two\n' },
+        commands: ['git commit -am "Add second idea"']
+      },
+      {
+        title: 'main moves on',
+        narration: 'Carol commits to main in the meantime. topic and main have diverged.',
+        author: CAROL,
+        files: { 'notes.md': '# Notes\n\nMeeting on Monday.\n' },
+        commands: ['git switch main', 'git commit -am "Add meeting note"']
+      },
+      {
+        title: 'Two copies of topic',
+        narration: 'To compare both strategies, we make two branches at the tip of topic.',
+        commands: ['git branch topic-merge topic', 'git branch topic-rebase topic']
+      },
+      {
+        title: 'Merge',
+        narration: 'Merging main into topic-merge keeps history exactly as it happened and adds a merge commit with two parents.',
+        commands: ['git switch topic-merge', 'git merge main -m "Merge branch \'main\' into topic-merge"']
+      },
+      {
+        title: 'Rebase',
+        narration: 'Rebasing topic-rebase onto main replays its two commits on top of main. They are new commits with new hashes; the originals are still reachable from topic.',
+        commands: ['git switch topic-rebase', 'git rebase main']
+      },
+      {
+        title: 'Compare',
+        narration: 'Both branches contain the same files, but topic-rebase has a straight history while topic-merge records the parallel work. After a rebase main could fast-forward to topic-rebase.',
+        commands: ['git switch main']
+      }
+    ]
+  },
+
+  {
+    id: 'hotfix',
+    title: 'Hotfix on a release',
+    description: 'A bug is found in a tagged release while new work continues on develop.',
+    author: BOB,
+    steps: [
+      {
+        title: 'Release 1.0',
+        narration: 'The released version is tagged v1.0 on main.',
+        files: {
+          'price.js': 'export const total = (items) => items.reduce((sum, item) => sum + item.price, 0);\n',
+          'VERSION': '1.0.0\n'
+        },
+        commands: ['git add -A', 'git commit -m "Release 1.0"', 'git tag -a v1.0 -m "Version 1.0"']
+      },
+      {
+        title: 'Work continues',
+        narration: 'New features go to develop, which is not ready to ship.',
+        author: ALICE,
+        files: { 'discounts.js': 'export const discount = (total) => total * 0.9;\n' },
+        commands: ['git switch -c develop', 'git add discounts.js', 'git commit -m "Start discounts"']
+      },
+      {
+        title: 'Branch from the release',
+        narration: 'Production has a bug. The hotfix branch starts at the tag, not at develop, so unfinished work cannot leak into the fix.',
+        commands: ['git switch -c hotfix v1.0']
+      },
+      {
+        title: 'Fix and tag',
+        narration: 'The fix is committed and tagged as the patch release.',
+        files: {
+          'price.js': 'export const total = (items) => items.reduce((sum, item) => sum + (item.price || 0), 0);\n',
+          'VERSION': '1.0.1\n'
+        },
+        commands: ['git commit -am "Ignore items without a price"', 'git tag -a v1.0.1 -m "Version 1.0.1"']
+      },
+      {
+        title: 'Ship it',
+        narration: 'main has not moved since v1.0, so merging the hotfix is a fast-forward: main simply moves to the fix.',
+        commands: ['git switch main', 'git merge hotfix']
+      },
+      {
+        title: 'Bring the fix to develop',
+        narration: 'develop needs the fix too. It has its own commits, so this merge creates a merge commit.',
+        author: ALICE,
+        commands: ['git switch develop', 'git merge hotfix -m "Merge hotfix into develop"']
+      },
+      {
+        title: 'Done',
+        narration: 'The hotfix branch is merged everywhere and can be deleted. The tags keep both releases findable.',
+        commands: ['git branch -d hotfix']
+      }
+    ]
+  },
+
+  {
+    id: 'lost-commits',
+    title: 'Detached HEAD and the reflog',
+    description: 'Commit on a detached HEAD, lose the work by switching away, then find it again with the reflog.',
+    author: CAROL,
+    steps: [
+      {
+        title: 'Some history',
+        narration: 'main has two commits.',
+        files: { 'story.txt': 'Once upon a time\n' },
+        commands: ['git add -A', 'git commit -m "Begin story"']
+      },
+      {
+        title: 'Continue',
+        narration: 'A second commit on main.',
+        files: { 'story.txt': 'Once upon a time\nthere was a repository.\n' },
+        commands: ['git commit -am "Continue story"']
+      },
+      {
+        title: 'Detach HEAD',
+        narration: 'Checking out a commit instead of a branch detaches HEAD: it now points straight at a commit.',
+        commands: ['git checkout HEAD~1']
+      },
+      {
+        title: 'Experiment',
+        narration: 'Commits still work, but only HEAD knows about the new one - no branch points at it.',
+        files: { 'story.txt': 'Once upon a time\nthere was a dragon.\n' },
+        commands: ['git commit -am "Try a different ending"']
+      },
+      {
+        title: 'Switch away',
+        narration: 'Switching back to main leaves the experiment behind. It is unreachable from every ref and a gc could prune it.',
+        commands: ['git checkout main']
+      },
+      {
+        title: 'Rescue from the reflog',
+        narration: 'The reflog remembers every position of HEAD. HEAD@{1} is where HEAD was one move ago: the lost commit. A branch makes it reachable again.',
+        commands: ['git branch dragon HEAD@{1}']
+      }
+    ]
+  }
+];
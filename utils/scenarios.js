@@ -0,0 +1,125 @@
+/**
+ * Scripted scenarios: repositories built step by step, with narration
+ * Covers: replaying an operation log, one snapshot per step for seeking
+ *
+ * A scenario is plain JSON:
+ * {
+ *   id, title, description,
+ *   author: 'Name <email>',               // commits and tags, unless a step overrides it
+ *   steps: [{
+ *     title, narration,
+ *     files: { path: content | null },     // written first (null deletes the file)
+ *     commands: ['git add -A', 'git commit -m "Initial commit"'],
+ *     author                              // optional, for this step only
+ *   }]
+ * }
+ * Commands are the console's Git commands (see gitCommands.js).
+ */
+import { GitRepository } from './gitStructures';
+import { executeCommand, DEFAULT_AUTHOR } from './gitCommands';
+import { BUILTIN_SCENARIOS } from './scenarioLibrary';
+
+export { BUILTIN_SCENARIOS };
+
+/**
+ * Check that data has the scenario shape (for scenarios loaded from files).
+ * Returns the data, or throws naming the first problem.
+ */
+export function validateScenario(data) {
+  const fail = (message) => { throw new Error(`Invalid scenario: ${message}`); };
+  const isText = (value) => typeof value === 'string';
+
+  if (!data || typeof data !== 'object') fail('expected a JSON object');
+  if (!isText(data.title) || !data.title.trim()) fail('missing "title"');
+  if (data.author !== undefined && !isText(data.author)) fail('"author" must be a string');
+  if (!Array.isArray(data.steps) || data.steps.length === 0) fail('"steps" must be a non-empty array');
+
+  data.steps.forEach((step, index) => {
+    const where = `step ${index + 1}`;
+    if (!step || typeof step !== 'object') fail(`${where} is not an object`);
+    if (!isText(step.narration)) fail(`${where} has no "narration"`);
+    if (step.author !== undefined && !isText(step.author)) fail(`${where}: "author" must be a string`);
+    if (step.commands !== undefined && !(Array.isArray(step.commands) && step.commands.every(isText))) {
+      fail(`${where}: "commands" must be an array of strings`);
+    }
+    if (step.files !== undefined) {
+      if (!step.files || typeof step.files !== 'object' || Array.isArray(step.files)) {
+        fail(`${where}: "files" must map paths to contents`);
+      }
+      Object.entries(step.files).forEach(([path, content]) => {
+        if (content !== null && !isText(content)) fail(`${where}: content of '${path}' must be a string or null`);
+      });
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Scenario from JSON text (e.g. a file a teacher wrote)
+ */
+export function parseScenario(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Scenario file is not valid JSON');
+  }
+  return validateScenario(data);
+}
+
+/**
+ * Apply one step: write its files, then run its commands
+ */
+export function runScenarioStep(repo, step, scenario) {
+  Object.entries(step.files || {}).forEach(([path, content]) => {
+    if (content === null) {
+      repo.deleteFile(path);
+    } else {
+      repo.writeFile(path, content);
+    }
+  });
+
+  const author = step.author || scenario.author || DEFAULT_AUTHOR;
+  (step.commands || []).forEach(command => {
+    const result = executeCommand(repo, command, { author });
+    if (result.error) {
+      throw new Error(`'${command}' failed: ${result.output}`);
+    }
+  });
+}
+
+/**
+ * Run a whole scenario on a new repository.
+ * Returns { repository, snapshots } where snapshots[0] is the empty
+ * repository and snapshots[i] the state after step i.
+ */
+export function playScenario(scenario) {
+  const repository = new GitRepository();
+  const snapshots = [repository.snapshot()];
+
+  scenario.steps.forEach((step, index) => {
+    try {
+      runScenarioStep(repository, step, scenario);
+    } catch (error) {
+      throw new Error(`Step ${index + 1}${step.title ? ` (${step.title})` : ''}: ${error.message}`);
+    }
+    snapshots.push(repository.snapshot());
+  });
+
+  return { repository, snapshots };
+}
+
+/**
+ * The repository a scenario ends with
+ */
+export function createScenarioRepository(scenario) {
+  return playScenario(scenario).repository;
+}
+
+/**
+ * The default repository shown on start: the first built-in scenario
+ */
+export function createSampleRepository() {
+  return createScenarioRepository(BUILTIN_SCENARIOS[0]);
+}
@@ -0,0 +1,124 @@
+/**
+ * Synthetic repositories for measuring performance on large histories
+ * Covers: seeded pseudo-random generation (the same options always give
+ * the same hashes), building commits straight from objects
+ *
+ * The history looks like a busy project: a main line, topic branches
+ * that fork off, get commits and are merged back (then deleted), and a
+ * tag every few hundred commits on main.
+ */
+import { GitRepository, GitCommit, HEADS_PREFIX, TAGS_PREFIX } from './gitStructures';
+
+const AUTHORS = [
+  'Alice <alice@example.com>',
+  'Bob <bob@example.com>',
+  'Carol <carol@example.com>',
+  'Dave <dave@example.com>',
+  'Erin <erin@example.com>'
+];
+const START_TIME = Date.UTC(2020, 0, 1);
+
+/**
+ * Mulberry32: a tiny 32-bit PRNG, returns floats in [0, 1)
+ * CS Concept: Deterministic pseudo-random number generation
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a repository with `commits` commits. Options:
+ * - branches: most topic branches open at once
+ * - branchRate / mergeRate: chance per commit to fork a branch / merge one
+ * - files: size of the file set commits change (trees stay small)
+ * - tagEvery: tag main every n commits (0 for none)
+ * - seed: for the random choices
+ * Returns { repository, summary } with counts and the time it took.
+ */
+export function generateSyntheticRepository(options = {}) {
+  const {
+    commits = 10000,
+    branches = 8,
+    branchRate = 0.04,
+    mergeRate = 0.05,
+    files = 40,
+    tagEvery = 500,
+    seed = 1
+  } = options;
+  const started = performance.now();
+  const random = createSeededRandom(seed);
+  const pick = (items) => items[Math.floor(random() * items.length)];
+
+  const repo = new GitRepository();
+  const lines = [];
+  const summary = { commits: 0, merges: 0, branches: 0, tags: 0 };
+  let time = START_TIME;
+  let lastTagged = 0;
+
+  // One commit on a line: change a random file, optionally merging another line
+  const addCommit = (line, message, mergeWith = null) => {
+    time += Math.floor(60000 + random() * 3600000);
+    const path = `src/module${Math.floor(random() * files)}.js`;
+    const tree = repo.writePath(line.tree, path, `// ${message}\nexport const revision = ${summary.commits};\n`);
+    const parents = [line.tip, mergeWith && mergeWith.tip].filter(Boolean);
+    const commit = new GitCommit(tree, parents, pick(AUTHORS), message, new Date(time).toISOString());
+    repo.storeObject(commit);
+    line.tip = commit.hash;
+    line.tree = tree;
+    summary.commits++;
+    if (mergeWith) summary.merges++;
+  };
+
+  const main = { name: 'main', tip: null, tree: null };
+  lines.push(main);
+  addCommit(main, 'Initial commit');
+
+  while (summary.commits < commits) {
+    const topics = lines.slice(1);
+
+    if (topics.length < branches && random() < branchRate) {
+      const from = pick(lines);
+      lines.push({ name: `topic-${++summary.branches}`, tip: from.tip, tree: from.tree });
+    } else if (topics.length > 0 && random() < mergeRate) {
+      // Merge a topic into main (or now and then into another topic) and retire it
+      const topic = pick(topics);
+      const into = random() < 0.8 ? main : pick(lines.filter(line => line !== topic));
+      addCommit(into, `Merge branch '${topic.name}' into ${into.name}`, topic);
+      lines.splice(lines.indexOf(topic), 1);
+    } else {
+      const line = random() < 0.35 ? main : pick(lines);
+      addCommit(line, `Update ${line.name} (#${summary.commits})`);
+    }
+
+    // Forking a branch adds no commit, so check the count moved on
+    if (tagEvery > 0 && summary.commits % tagEvery === 0 && summary.commits !== lastTagged) {
+      lastTagged = summary.commits;
+      repo.refs.set(`${TAGS_PREFIX}v0.${++summary.tags}`, main.tip);
+    }
+  }
+
+  // Branches that are still open, then check out main
+  lines.forEach(line => {
+    repo.refs.set(`${HEADS_PREFIX}${line.name}`, line.tip);
+    repo.logRefUpdate(`${HEADS_PREFIX}${line.name}`, null, line.tip, 'generate', 'synthetic history');
+  });
+  repo.logRefUpdate('HEAD', null, main.tip, 'generate', 'synthetic history');
+  repo.syncWorkingState(null, main.tree);
+
+  return {
+    repository: repo,
+    summary: {
+      ...summary,
+      openBranches: lines.length,
+      objects: repo.objects.size,
+      milliseconds: Math.round(performance.now() - started)
+    }
+  };
+}
@@ -0,0 +1,153 @@
+/**
+ * Zip archive reading and writing
+ * CS Concept: Binary file formats with a trailing directory (central directory)
+ */
+import { inflateRaw, deflateRaw, crc32 } from './compression';
+import { toBytes, fromBytes, concatBytes } from './gitStructures';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Locate the end-of-central-directory record, scanning back over an
+ * optional archive comment (at most 64 KiB)
+ */
+function findEndOfCentralDirectory(view) {
+  const minimum = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let pos = view.byteLength - 22; pos >= minimum; pos--) {
+    if (view.getUint32(pos, true) === END_OF_CENTRAL_DIRECTORY) return pos;
+  }
+  throw new Error('Not a zip file (no end of central directory record)');
+}
+
+/**
+ * Read every file in a zip archive.
+ * Returns a Map of path -> Uint8Array (directories are skipped).
+ * Supports stored and deflated entries; zip64 archives are not supported.
+ */
+export function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  if (pos === 0xffffffff || entryCount === 0xffff) {
+    throw new Error('zip64 archives are not supported');
+  }
+
+  const files = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const method = view.getUint16(pos + 10, true);
+    const expectedCrc = view.getUint32(pos + 16, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = fromBytes(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry '${name}'`);
+    }
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = compressed.slice();
+    } else if (method === 8) {
+      content = inflateRaw(compressed, 0, size).data;
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for '${name}'`);
+    }
+    if (crc32(content) !== expectedCrc) {
+      throw new Error(`CRC mismatch for '${name}'`);
+    }
+    files.set(name, content);
+  }
+
+  return files;
+}
+
+/**
+ * Date and time in MS-DOS format, as stored in zip headers
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a zip archive from a Map of path -> content (string or bytes).
+ * Paths ending in "/" become directory entries. Each file is deflated
+ * unless that would make it larger. `modes` optionally maps paths to
+ * Unix modes (e.g. 0o100755 for executables).
+ */
+export function writeZip(files, { modified = new Date(), modes = new Map() } = {}) {
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((content, path) => {
+    const name = toBytes(path);
+    const isDirectory = path.endsWith('/');
+    const data = isDirectory ? new Uint8Array(0) : toBytes(content);
+    const deflated = isDirectory ? data : deflateRaw(data);
+    const useDeflate = deflated.length < data.length;
+    const stored = useDeflate ? deflated : data;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true); // version needed to extract (2.0)
+    local.setUint16(6, 0x0800, true); // UTF-8 file names
+    local.setUint16(8, useDeflate ? 8 : 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    localParts.push(new Uint8Array(local.buffer), name, stored);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 0x0314, true); // made by: Unix, version 2.0
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, useDeflate ? 8 : 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // Unix permissions in the high 16 bits, MS-DOS directory flag in the low ones
+    const mode = modes.get(path) || (isDirectory ? 0o40755 : 0o100644);
+    central.setUint32(38, ((mode << 16) | (isDirectory ? 0x10 : 0)) >>> 0, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + stored.length;
+  });
+
+  const centralDirectory = concatBytes(centralParts);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.size, true);
+  end.setUint16(10, files.size, true);
+  end.setUint32(12, centralDirectory.length, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, centralDirectory, new Uint8Array(end.buffer)]);
+}